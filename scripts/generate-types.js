@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * @description Writes types/entities.d.ts from the schemas in
+ * src/schemas.js. Run `npm run types` after changing a schema;
+ * `--check` fails instead if the file is out of date.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { entities, parseType } from "../src/schemas.js";
+
+const target = new URL("../types/entities.d.ts", import.meta.url);
+
+function tsType(type) {
+    const { base, list } = parseType(type);
+    const t = base === 'object' ? 'Record<string, unknown>' : base;
+    if (!list)
+	return t;
+    return /[|<]/.test(t) ? `Array<${t}>` : `${t}[]`;
+}
+
+function render() {
+    const lines = [
+	"// Generated by scripts/generate-types.js from src/schemas.js; do not edit.",
+	"",
+    ];
+    for (const [name, { description, fields }] of Object.entries(entities)) {
+	lines.push(`/** ${description} */`);
+	lines.push(`export interface ${name} {`);
+	for (const [field, [type, doc]] of Object.entries(fields)) {
+	    lines.push(`    /** ${doc} */`);
+	    lines.push(`    ${field}${parseType(type).optional ? '?' : ''}: ${tsType(type)};`);
+	}
+	lines.push("}", "");
+    }
+    return lines.join('\n');
+}
+
+const text = render();
+if (process.argv.includes('--check')) {
+    const current = await readFile(target, 'utf8').catch(() => "");
+    if (current !== text) {
+	console.error("types/entities.d.ts is out of date, run npm run types");
+	process.exit(1);
+    }
+} else {
+    await writeFile(target, text);
+}
@@ -0,0 +1,198 @@
+/**
+ * @description Ways of obtaining the Cognito id token which SWB
+ * requests are signed with. An authenticator is any object with an
+ * async getToken(context) method returning an id token; the client
+ * calls it on login and whenever the token needs renewing.
+ * module:auth
+ */
+import { readFile } from "node:fs/promises";
+import { SwbAuthError } from "./errors.js";
+
+/**
+ * @typedef AuthContext
+ * @property {string} api - The API address for SWB
+ * @property {function(string, string, Object=): Promise<*>} request -
+ *   Makes an unauthenticated request, given method, path and { body }
+ * @property {function(string): Promise<IdProvider>} getIdp - Looks up
+ *   an identity provider by name
+ */
+
+/**
+ * Logs in with the username and password of an internal SWB account.
+ */
+class InternalAuthenticator {
+    #password;
+
+    /**
+     * @param {string} username - The username of an admin account
+     * @param {string} password - The password of an admin account
+     */
+    constructor(username, password) {
+	this.username = username;
+	this.#password = password;
+    }
+
+    /**
+     * @param {AuthContext} context
+     *
+     * @returns {Promise<string>}
+     */
+    async getToken({ request }) {
+	const body = {
+	    username: this.username,
+	    password: this.#password,
+	    authenticationProvider: "internal",
+	};
+	const auth = await request('POST', '/api/authentication/id-tokens', { body });
+	return auth.idToken;
+    }
+}
+
+/**
+ * Uses an id token obtained elsewhere. Such a token cannot be
+ * renewed, so requests fail with SwbAuthError once it expires.
+ */
+class TokenAuthenticator {
+    #token;
+
+    /**
+     * @param {string} token - A Cognito id token
+     */
+    constructor(token) {
+	this.#token = token;
+    }
+
+    async getToken() {
+	return this.#token;
+    }
+}
+
+/**
+ * Reads the id token from an environment variable each time one is
+ * needed, so whatever sets the variable can keep it fresh.
+ */
+class EnvTokenAuthenticator {
+    /**
+     * @param {string=} name - Variable name (default SWB_ID_TOKEN)
+     * @param {Object=} env - Environment variables (default process.env)
+     */
+    constructor(name = "SWB_ID_TOKEN", env = process.env) {
+	this.name = name;
+	this.env = env;
+    }
+
+    async getToken() {
+	const token = this.env[this.name]?.trim();
+	if (!token)
+	    throw new SwbAuthError(`environment variable ${this.name} is not set`,
+				   { code: 'noToken' });
+	return token;
+    }
+}
+
+/**
+ * Reads the id token from a file each time one is needed, such as
+ * one kept up to date by a separate sign-in helper.
+ */
+class FileTokenAuthenticator {
+    /**
+     * @param {string} file - Path of a file holding only the token
+     */
+    constructor(file) {
+	this.file = file;
+    }
+
+    async getToken() {
+	let text;
+	try {
+	    text = await readFile(this.file, 'utf8');
+	} catch (err) {
+	    throw new SwbAuthError(`cannot read token file ${this.file}: ${err.message}`,
+				   { code: 'noToken', cause: err });
+	}
+	return text.trim();
+    }
+}
+
+/**
+ * Calls a function for each new token.
+ */
+class CallbackAuthenticator {
+    /**
+     * @param {function(AuthContext): Promise<string>} callback
+     */
+    constructor(callback) {
+	this.callback = callback;
+    }
+
+    async getToken(context) {
+	return this.callback(context);
+    }
+}
+
+/**
+ * Signs in through a federated identity provider. Federated sign-in
+ * happens in a browser, so the provider's signInUri is handed to a
+ * prompt function, which shows it to the user and resolves with the
+ * URL they were redirected to (or the id token itself).
+ *
+ * @example
+ * new FederatedAuthenticator('Dundee', async uri => {
+ *     console.log(`Sign in at ${uri}`);
+ *     return readline.question('Paste the address you were sent to: ');
+ * });
+ */
+class FederatedAuthenticator {
+    /**
+     * @param {string} idp - Name of the SWB identity provider
+     * @param {function(string, IdProvider): Promise<string>} prompt -
+     *   Given the sign-in URI and provider, resolves with the redirect
+     *   URL or an id token
+     */
+    constructor(idp, prompt) {
+	this.idp = idp;
+	this.prompt = prompt;
+    }
+
+    async getToken({ getIdp }) {
+	const idp = await getIdp(this.idp);
+	if (!idp)
+	    throw new SwbAuthError(`identity provider ${this.idp} not found`,
+				   { code: 'unknownIdp' });
+	if (!idp.signInUri)
+	    throw new SwbAuthError(`identity provider ${this.idp} has no sign-in URI`,
+				   { code: 'unknownIdp' });
+
+	return tokenFromRedirect(await this.prompt(idp.signInUri, idp));
+    }
+}
+
+/**
+ * Pulls the id token out of the URL Cognito redirects to after a
+ * sign-in, where it is in the fragment (#id_token=...) or query.
+ * Anything which is not a URL is taken to be the token.
+ *
+ * @param {string} text
+ *
+ * @returns {string|undefined}
+ */
+function tokenFromRedirect(text) {
+    text = text?.trim();
+    if (!text || !/^https?:\/\//i.test(text))
+	return text || undefined;
+
+    const url = new URL(text);
+    return new URLSearchParams(url.hash.slice(1)).get('id_token')
+	?? url.searchParams.get('id_token')
+	?? undefined;
+}
+
+export {
+    InternalAuthenticator,
+    TokenAuthenticator,
+    EnvTokenAuthenticator,
+    FileTokenAuthenticator,
+    CallbackAuthenticator,
+    FederatedAuthenticator,
+    tokenFromRedirect,
+};
@@ -0,0 +1,552 @@
+/**
+ * @description The `swb` command-line tool
+ * module:cli
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline/promises";
+import { parseArgs } from "node:util";
+import SWB, { loadSnapshot, diffSnapshots, formatSnapshotDiff } from "./swb.js";
+import { toTable, toCsv, toMarkdown } from "./format.js";
+import { accessRows, formatAccessReport } from "./report.js";
+
+const usage = `Usage: swb [options] <resource> <command> [arguments]
+
+Resources and commands:
+  users list
+  users get <uid>
+  users add-federated <email> [--idp <name>] --provider <url> [--role <role>]
+  users update <uid> [--first-name <name>] [--last-name <name>]
+		     [--status active|inactive] [--role <role>]
+  users offboard <uid> [--environments stop|terminate] [--project-admins]
+  users delete <uid> --confirm <uid> [--force]
+  projects list
+  projects get <projectId>
+  projects create <projectId> [--index <indexId>] [--description <text>] [--admin <uid>]...
+  projects add-user <projectId> <uid>
+  projects remove-user <projectId> <uid>
+  projects delete <projectId> --confirm <projectId> [--force]
+  studies list [--category Organization|"My Studies"]
+  studies get <studyId>
+  studies create <studyId> --project <projectId> [--name <name>] [--description <text>]
+		 [--category <category>] [--type unstructured|structured] [--no-upload]
+  studies grant <studyId> <uid> [--level readonly|admin]
+  studies revoke <studyId> <uid> [--level readonly|admin]
+  studies files <studyId>
+  studies upload <studyId> <file>...
+  studies delete <studyId> --confirm <studyId> [--force]
+  studies copy [<studyId>...] --to-profile <name> [--project <projectId>]
+  idp get <name>
+  workspace-types list
+  workspace-types candidates [--all]
+  workspace-types import <candidateId> [--name <name>] [--description <text>]
+  workspace-types approve <workspaceTypeId>
+  workspace-types revoke <workspaceTypeId>
+  workspace-types configs <workspaceTypeId>
+  workspace-types update-config <workspaceTypeId> <configId> --file <changes.json>
+  workspace-types copy-configs <fromTypeId> <toTypeId> [--overwrite] [--to-profile <name>]
+  workspace-types delete-config <workspaceTypeId> <configId> --confirm <configId> [--force]
+  report access
+  costs environment <envId> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]
+  costs project <projectId> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]
+  costs index <indexId> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]
+  costs report [--by project|user|workspace-type|environment] [--from ...] [--to ...]
+  costs check <budgets.json> [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>]
+  snapshot export <file>
+  snapshot diff <old.json> <new.json>
+  snapshot restore <file> [--continue-on-error]
+
+Options:
+  -p, --profile <name>    Profile in ~/.swb/config (default SWB_PROFILE or "default")
+  -o, --output <format>   table (default), json, csv or markdown
+  -c, --columns <list>    Comma-separated columns for table and csv output
+  -n, --dry-run           Show what would be sent without changing anything
+      --no-dry-run        Make changes even if the profile says dryrun
+  -j, --journal <file>    Write the changes made (or with --dry-run, which
+			  would be made) to a JSON file
+  -h, --help              Show this help
+
+Credentials come from the profile, overridden by SWB_API, SWB_USERNAME
+and SWB_PASSWORD. SWB_ID_TOKEN, or token_file in the profile, supplies
+an id token instead of logging in. A profile's idp and index are the
+defaults for --idp and --index.
+
+--to-profile copies to the deployment of another profile, which the
+environment variables do not override; --dry-run and --journal then
+apply to that deployment.
+
+Deleting needs --confirm with the id of the record, except with
+--dry-run, and is refused while anything still depends on the record
+unless --force is given.
+
+Costs cover the last 30 days unless --from and --to are given.
+costs check exits with status 1 when a budget is exceeded.`;
+
+const options = {
+    profile: { type: 'string', short: 'p' },
+    output: { type: 'string', short: 'o', default: 'table' },
+    columns: { type: 'string', short: 'c' },
+    'dry-run': { type: 'boolean', short: 'n', default: false },
+    'no-dry-run': { type: 'boolean', default: false },
+    journal: { type: 'string', short: 'j' },
+    help: { type: 'boolean', short: 'h', default: false },
+
+    idp: { type: 'string' },
+    provider: { type: 'string' },
+    role: { type: 'string' },
+    'first-name': { type: 'string' },
+    'last-name': { type: 'string' },
+    status: { type: 'string' },
+    index: { type: 'string' },
+    description: { type: 'string' },
+    admin: { type: 'string', multiple: true },
+    category: { type: 'string' },
+    project: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string' },
+    'no-upload': { type: 'boolean', default: false },
+    level: { type: 'string', default: 'readonly' },
+    file: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    overwrite: { type: 'boolean', default: false },
+    environments: { type: 'string' },
+    'project-admins': { type: 'boolean', default: false },
+    'continue-on-error': { type: 'boolean', default: false },
+    confirm: { type: 'string' },
+    force: { type: 'boolean', default: false },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    by: { type: 'string', default: 'project' },
+    'to-profile': { type: 'string' },
+};
+
+// columns shown by default for each kind of record
+const defaultColumns = {
+    users: ["uid", "email", "identityProviderName", "firstName", "lastName",
+	    "userRole", "status", "projectId"],
+    projects: ["id", "description", "indexId", "projectAdmins"],
+    studies: ["id", "name", "category", "projectId", "access"],
+    "workspace-types": ["id", "name", "status"],
+    candidates: ["id", "name", "description"],
+    configs: ["id", "name", "desc", "allowRoleIds"],
+    files: ["filename", "size", "lastModified"],
+    uploads: ["name", "size", "status", "error"],
+    steps: ["action", "summary", "status", "error"],
+    access: ["projectId", "studyId", "access", "uid", "email", "status", "flags"],
+    costs: ["startDate", "service", "amount", "unit"],
+    totals: ["id", "total"],
+    environments: ["envId", "name", "projectId", "owner", "workspaceTypeId", "status", "total"],
+    breaches: ["level", "scope", "id", "spent", "limit", "message"],
+};
+
+/** Raised for mistakes on the command line; exits with status 2. */
+class UsageError extends Error {}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv - Arguments, without node and the script name
+ * @param {Object=} io
+ * @param {Object=} io.stdout - Stream for results (default process.stdout)
+ * @param {Object=} io.stderr - Stream for errors (default process.stderr)
+ * @param {Object=} io.env - Environment variables (default process.env)
+ * @param {Object=} io.stdin - Stream answers to sign-in prompts are
+ *   read from (default process.stdin)
+ *
+ * @returns {Promise<number>} The exit status
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env,
+			    stdin = process.stdin } = {}) {
+    try {
+	const { values, positionals } = parseArgs({
+	    args: argv, options, allowPositionals: true, strict: true,
+	});
+
+	if (values.help || positionals.length === 0) {
+	    stdout.write(usage + '\n');
+	    return values.help ? 0 : 2;
+	}
+
+	if (!["table", "json", "csv", "markdown"].includes(values.output))
+	    throw new UsageError(`unknown output format "${values.output}"`);
+
+	const [resource, command, ...args] = positionals;
+
+	// comparing saved snapshots needs no SWB
+	if (resource === 'snapshot' && command === 'diff') {
+	    if (args.length !== 2)
+		throw new UsageError('snapshot diff expects <old.json> <new.json>');
+	    const diff = diffSnapshots(await loadSnapshot(args[0]), await loadSnapshot(args[1]));
+	    stdout.write((values.output === 'json' ? JSON.stringify(diff, null, 2)
+			  : formatSnapshotDiff(diff)) + '\n');
+	    return diff.changes.length ? 1 : 0;
+	}
+
+	// federated profiles sign in through a browser
+	const prompt = async uri => {
+	    const rl = createInterface({ input: stdin, output: stderr });
+	    try {
+		stderr.write(`Sign in at ${uri}\n`);
+		return await rl.question('Paste the address you were redirected to: ');
+	    } finally {
+		rl.close();
+	    }
+	};
+	const connect = async (name, options) => {
+	    const client = await SWB.fromProfile(name, { prompt, ...options });
+	    if (values['dry-run']) client.dryrun = true;
+	    if (values['no-dry-run']) client.dryrun = false;
+	    return client;
+	};
+
+	const swb = await connect(values.profile, { env });
+	// where changes are made, and so journaled
+	let changed = swb;
+	const open = async name => {
+	    changed = await connect(name, { env: withoutOverrides(env) });
+	    return changed;
+	};
+
+	let outcome;
+	try {
+	    outcome = await run(swb, resource, command, args, values, open);
+	} finally {
+	    if (values.journal)
+		await writeFile(values.journal, changed.exportJournal() + '\n');
+	}
+	const { result, kind, text, status = 0 } = outcome;
+
+	const columns = values.columns ? values.columns.split(',') : defaultColumns[kind];
+	stdout.write((text ?? render(result, values.output, columns)) + '\n');
+	return status;
+    } catch (err) {
+	stderr.write(`swb: ${err.message}\n`);
+	if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+	    stderr.write(`Try 'swb --help' for usage.\n`);
+	    return 2;
+	}
+	return 1;
+    }
+}
+
+// the environment without the variables which override profiles, so
+// a second profile is read as written
+function withoutOverrides(env) {
+    return Object.fromEntries(Object.entries(env).filter(([name]) =>
+	!/^SWB_(API|USERNAME|PASSWORD|AUTH|IDP|INDEX|DRY_RUN|ID_TOKEN|PROFILE)$/.test(name)));
+}
+
+// dispatches a command to the SWB client, returning the result and
+// the kind of record it holds; open makes a client for another profile
+async function run(swb, resource, command, args, values, open) {
+    const need = (count, names) => {
+	if (args.length !== count)
+	    throw new UsageError(`${resource} ${command} expects ${names}`);
+    };
+    const required = name => {
+	if (values[name] === undefined)
+	    throw new UsageError(`${resource} ${command} needs --${name}`);
+	return values[name];
+    };
+    // deletes are confirmed by repeating the id, as the client requires
+    const guarded = id => {
+	if (!swb.dryrun && values.confirm !== id)
+	    throw new UsageError(`${resource} ${command} needs --confirm ${id}`);
+	return { confirm: values.confirm, force: values.force };
+    };
+    const range = { from: values.from, to: values.to };
+    const deleted = (what, id) => ({ text: `${swb.dryrun ? "would delete" : "deleted"} ${what} ${id}` });
+
+    switch (`${resource} ${command}`) {
+    case 'users list':
+	need(0, 'no arguments');
+	return { kind: 'users', result: await swb.getUsers() };
+    case 'users get':
+	need(1, '<uid>');
+	return { kind: 'users', result: await swb.getUser(args[0]) };
+    case 'users add-federated': {
+	need(1, '<email>');
+	const name = values.idp ?? swb.defaults.idp ?? required('idp');
+	const idp = await swb.getIdp(name);
+	if (!idp)
+	    throw new UsageError(`unknown identity provider "${name}"`);
+	return {
+	    kind: 'users',
+	    result: await swb.addFederatedUser(idp, required('provider'), args[0],
+					       values.role ?? "researcher"),
+	};
+    }
+    case 'users update': {
+	need(1, '<uid>');
+	const u = await swb.getUser(args[0]);
+	return {
+	    kind: 'users',
+	    result: await swb.updateUserDetails(u.uid,
+						values['first-name'] ?? u.firstName,
+						values['last-name'] ?? u.lastName,
+						values.status ?? u.status,
+						values.role ?? u.userRole),
+	};
+    }
+    case 'users offboard': {
+	need(1, '<uid>');
+	const report = await swb.offboardUser(args[0], {
+	    environments: values.environments,
+	    projectAdmins: values['project-admins'],
+	});
+	return {
+	    kind: 'steps',
+	    result: report.steps.map(s => ({ ...s, error: s.error?.message })),
+	    status: report.failed ? 1 : 0,
+	};
+    }
+    case 'users delete':
+	need(1, '<uid>');
+	await swb.deleteUser(args[0], guarded(args[0]));
+	return deleted('user', args[0]);
+
+    case 'projects list':
+	need(0, 'no arguments');
+	return { kind: 'projects', result: await swb.getProjects() };
+    case 'projects get':
+	need(1, '<projectId>');
+	return { kind: 'projects', result: await swb.getProject(args[0]) };
+    case 'projects create': {
+	need(1, '<projectId>');
+	const admins = await Promise.all((values.admin ?? []).map(uid => swb.getUser(uid)));
+	return {
+	    kind: 'projects',
+	    result: await swb.createProject(args[0], values.description ?? args[0],
+					    { id: values.index ?? swb.defaults.index ?? required('index') },
+					    admins),
+	};
+    }
+    case 'projects add-user':
+    case 'projects remove-user':
+	need(2, '<projectId> <uid>');
+	return {
+	    kind: 'users',
+	    result: await swb.addRemoveProjectUser(args[0], args[1],
+						   command === 'add-user' ? 'add' : 'remove'),
+	};
+    case 'projects delete':
+	need(1, '<projectId>');
+	await swb.deleteProject(args[0], guarded(args[0]));
+	return deleted('project', args[0]);
+
+    case 'studies list':
+	need(0, 'no arguments');
+	return { kind: 'studies', result: await swb.getStudies(values.category ?? "Organization") };
+    case 'studies get':
+	need(1, '<studyId>');
+	return { kind: 'studies', result: await swb.getStudy(args[0]) };
+    case 'studies create':
+	need(1, '<studyId>');
+	return {
+	    kind: 'studies',
+	    result: await swb.createStudy(args[0], values.name ?? args[0],
+					  values.description ?? "", required('project'),
+					  values.category ?? "Organization",
+					  values.type ?? "unstructured",
+					  !values['no-upload']),
+	};
+    case 'studies grant':
+    case 'studies revoke':
+	need(2, '<studyId> <uid>');
+	return {
+	    kind: 'permissions',
+	    result: await swb.addRemoveStudyPermission(args[0], args[1],
+						       command === 'grant' ? 'add' : 'remove',
+						       values.level),
+	};
+
+    case 'studies files':
+	need(1, '<studyId>');
+	return { kind: 'files', result: await swb.getStudyFiles(args[0]) };
+    case 'studies upload': {
+	if (args.length < 2)
+	    throw new UsageError('studies upload expects <studyId> <file>...');
+	const results = await swb.uploadStudyFiles(args[0], args.slice(1));
+	return {
+	    kind: 'uploads',
+	    result: results.map(r => ({ ...r, error: r.error?.message })),
+	    status: results.some(r => r.status === 'failed') ? 1 : 0,
+	};
+    }
+    case 'studies copy':
+	return {
+	    kind: 'studies',
+	    result: await swb.copyStudiesTo(await open(required('to-profile')), {
+		ids: args.length ? args : undefined,
+		project: values.project,
+	    }),
+	};
+    case 'studies delete':
+	need(1, '<studyId>');
+	await swb.deleteStudy(args[0], guarded(args[0]));
+	return deleted('study', args[0]);
+
+    case 'idp get': {
+	need(1, '<name>');
+	const idp = await swb.getIdp(args[0]);
+	if (!idp)
+	    throw new UsageError(`unknown identity provider "${args[0]}"`);
+	return { kind: 'idp', result: idp };
+    }
+
+    case 'workspace-types list':
+	need(0, 'no arguments');
+	return { kind: 'workspace-types', result: await swb.getWorkspaceTypes() };
+    case 'workspace-types candidates':
+	need(0, 'no arguments');
+	return {
+	    kind: 'candidates',
+	    result: await swb.getWorkspaceTypeCandidates(
+		values.all ? { status: "*", version: "*" } : undefined),
+	};
+    case 'workspace-types import': {
+	need(1, '<candidateId>');
+	const candidates = await swb.getWorkspaceTypeCandidates({ version: "*" });
+	const candidate = candidates.find(c => c.id === args[0]);
+	if (!candidate)
+	    throw new UsageError(`no importable product version "${args[0]}"`);
+	return {
+	    kind: 'workspace-types',
+	    result: await swb.importWorkspaceType(candidate,
+						  { name: values.name, desc: values.description }),
+	};
+    }
+    case 'workspace-types approve':
+    case 'workspace-types revoke':
+	need(1, '<workspaceTypeId>');
+	return {
+	    kind: 'workspace-types',
+	    result: command === 'approve' ? await swb.approveWorkspaceType(args[0])
+		: await swb.revokeWorkspaceType(args[0]),
+	};
+    case 'workspace-types configs':
+	need(1, '<workspaceTypeId>');
+	return { kind: 'configs', result: await swb.getWorkspaceConfigurations(args[0]) };
+    case 'workspace-types update-config': {
+	need(2, '<workspaceTypeId> <configId>');
+	const changes = JSON.parse(await readFile(required('file'), 'utf8'));
+	const configs = await swb.getWorkspaceConfigurations(args[0]);
+	const config = configs.find(c => c.id === args[1]);
+	if (!config)
+	    throw new UsageError(`no configuration "${args[1]}" for workspace type ${args[0]}`);
+	return {
+	    kind: 'configs',
+	    result: await swb.updateWorkspaceConfiguration(args[0], { ...config, ...changes, id: config.id }),
+	};
+    }
+    case 'workspace-types copy-configs':
+	need(2, '<fromTypeId> <toTypeId>');
+	if (values['to-profile'])
+	    return {
+		kind: 'configs',
+		result: await swb.copyWorkspaceConfigurationsTo(
+		    await open(values['to-profile']), args[0],
+		    { toType: args[1], overwrite: values.overwrite }),
+	    };
+	return {
+	    kind: 'configs',
+	    result: await swb.copyWorkspaceConfigurations(args[0], args[1],
+							  { overwrite: values.overwrite }),
+	};
+    case 'workspace-types delete-config':
+	need(2, '<workspaceTypeId> <configId>');
+	await swb.deleteWorkspaceConfiguration(args[0], args[1], guarded(args[1]));
+	return deleted(`configuration ${args[1]} of workspace type`, args[0]);
+
+    case 'report access': {
+	need(0, 'no arguments');
+	const report = await swb.generateAccessReport();
+	// the report's own layouts, unless columns were picked
+	if (values.output === 'table' || (values.columns && values.output !== 'json'))
+	    return { kind: 'access', result: accessRows(report) };
+	return { text: formatAccessReport(report, values.output) };
+    }
+
+    case 'costs environment':
+    case 'costs project':
+    case 'costs index': {
+	need(1, `<${command === 'environment' ? 'env' : command}Id>`);
+	const method = { environment: 'getEnvironmentCosts', project: 'getProjectCosts',
+			 index: 'getIndexCosts' }[command];
+	const entries = await swb[method](args[0], range);
+	// a row per day and service, except as JSON
+	return {
+	    kind: 'costs',
+	    result: values.output === 'json' ? entries : entries.flatMap(e =>
+		Object.entries(e.cost).map(([service, { amount, unit }]) =>
+		    ({ startDate: e.startDate, service, amount, unit }))),
+	};
+    }
+    case 'costs report': {
+	need(0, 'no arguments');
+	const report = await swb.generateCostReport(range);
+	if (values.output === 'json')
+	    return { result: report };
+	if (values.by === 'environment')
+	    return { kind: 'environments', result: report.environments };
+	const totals = { project: 'byProject', user: 'byUser', 'workspace-type': 'byWorkspaceType' }[values.by];
+	if (!totals)
+	    throw new UsageError(`unknown --by "${values.by}"`);
+	return { kind: 'totals', result: report[totals] };
+    }
+    case 'costs check': {
+	need(1, '<budgets.json>');
+	const breaches = await swb.checkBudgets(args[0], range);
+	return {
+	    kind: 'breaches',
+	    result: breaches,
+	    status: breaches.some(b => b.level === 'exceeded') ? 1 : 0,
+	};
+    }
+
+    case 'snapshot export': {
+	need(1, '<file>');
+	const snapshot = await swb.exportSnapshot(args[0]);
+	const counts = ["users", "indexes", "projects", "studies", "workspaceTypes"]
+	    .map(section => `${snapshot[section].length} ${section}`);
+	return { text: `wrote ${args[0]}: ${counts.join(', ')}` };
+    }
+    case 'snapshot restore': {
+	need(1, '<file>');
+	const { plan, results } = await swb.restoreSnapshot(
+	    args[0], { continueOnError: values['continue-on-error'] });
+	return {
+	    kind: 'steps',
+	    result: [
+		...plan.warnings.map(summary => ({ summary, status: 'warning' })),
+		...results.map(r => ({ action: r.step.action, summary: r.step.summary,
+				       status: r.status, error: r.error?.message })),
+	    ],
+	    status: results.some(r => r.status === 'failed') ? 1 : 0,
+	};
+    }
+
+    default:
+	throw new UsageError(`unknown command "${[resource, command].filter(Boolean).join(' ')}"`);
+    }
+}
+
+// formats a result for output; single records are shown as
+// field/value pairs in table and csv output
+function render(result, format, columns) {
+    if (format === 'json')
+	return JSON.stringify(result, null, 2);
+
+    let rows = Array.isArray(result) ? result : [result];
+    if (!Array.isArray(result)) {
+	rows = Object.entries(result ?? {}).map(([field, value]) => ({ field, value }));
+	columns = ["field", "value"];
+    }
+
+    if (format === 'markdown')
+	return toMarkdown(rows, columns);
+    return format === 'csv' ? toCsv(rows, columns) : toTable(rows, columns);
+}
+
+export {
+    main,
+};
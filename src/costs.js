@@ -0,0 +1,291 @@
+/**
+ * @description Environment costs rolled up by project, user and
+ * workspace type, and budget checks against those totals.
+ * module:costs
+ */
+import { readFile } from "node:fs/promises";
+import YAML from "yaml";
+import { SwbValidationError } from "./errors.js";
+
+/**
+ * @typedef CostRange
+ * @property {string|Date=} from - First day, as YYYY-MM-DD or a Date
+ *   (default 30 days before to)
+ * @property {string|Date=} to - Last day (default today)
+ */
+
+/**
+ * @typedef CostTotal
+ * @property {string} id - Project, user or workspace type ID
+ * @property {number} total - Spend over the range
+ */
+
+/**
+ * @typedef CostReport
+ * @property {string} from - First day covered, YYYY-MM-DD
+ * @property {string} to - Last day covered, YYYY-MM-DD
+ * @property {string} unit - Currency of the amounts, e.g. "USD"
+ * @property {number} total - Spend of all environments
+ * @property {Object[]} environments - Each { envId, name, projectId,
+ *   owner, workspaceTypeId, status, total }
+ * @property {CostTotal[]} byProject - Highest spend first
+ * @property {CostTotal[]} byUser - By environment owner
+ * @property {CostTotal[]} byWorkspaceType
+ */
+
+/**
+ * @typedef Budgets
+ * @property {number=} warnAt - Fraction of a limit which raises a
+ *   warning (default 0.8); 1 or more means only breaches count
+ * @property {number=} total - Limit for all spend together
+ * @property {Object<string, number>=} projects - Limits by project ID;
+ *   "*" applies to projects not listed
+ * @property {Object<string, number>=} users - Limits by uid, with "*"
+ * @property {Object<string, number>=} workspaceTypes - Limits by
+ *   workspace type ID, with "*"
+ */
+
+/**
+ * @typedef BudgetBreach
+ * @property {string} scope - "total", "project", "user" or "workspaceType"
+ * @property {string=} id - What the limit is for, except for total
+ * @property {string} level - "exceeded", or "warning" when spend is
+ *   past warnAt but within the limit
+ * @property {number} spent
+ * @property {number} limit
+ * @property {number} ratio - spent / limit
+ * @property {string} unit
+ * @property {string} message - Human-readable description
+ */
+
+const day = 24 * 60 * 60 * 1000;
+
+const isoDay = date => date.toISOString().slice(0, 10);
+const cents = amount => Math.round(amount * 100) / 100;
+
+// a YYYY-MM-DD string or Date as a Date at UTC midnight
+function parseDay(value, what) {
+    const date = value instanceof Date ? value
+	  : /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(NaN);
+    if (Number.isNaN(date.getTime()))
+	throw new SwbValidationError(`${what} must be a date as YYYY-MM-DD, not "${value}"`,
+				     { code: 'invalidRange' });
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Works out the days a range covers. SWB only answers for a number
+ * of days up to today, so days is how far back from today the range
+ * starts.
+ *
+ * @param {CostRange=} range
+ * @param {Date=} now
+ *
+ * @returns {{ from: string, to: string, days: number }}
+ */
+function costRange({ from, to } = {}, now = new Date()) {
+    const today = parseDay(now, 'now');
+    const last = to === undefined ? today : parseDay(to, 'to');
+    const first = from === undefined ? new Date(last.getTime() - 29 * day) : parseDay(from, 'from');
+    if (first > last)
+	throw new SwbValidationError(`cost range starts ${isoDay(first)}, after it ends ${isoDay(last)}`,
+				     { code: 'invalidRange' });
+    return {
+	from: isoDay(first),
+	to: isoDay(last),
+	days: Math.max(1, Math.round((today - first) / day) + 1),
+    };
+}
+
+/**
+ * @param {CostEntry[]} entries
+ *
+ * @returns {number} Spend over all days and services
+ */
+function sumCosts(entries) {
+    let total = 0;
+    for (const entry of entries)
+	for (const { amount } of Object.values(entry.cost ?? {}))
+	    total += amount ?? 0;
+    return cents(total);
+}
+
+/**
+ * Adds up daily costs from several sources, day by day and service
+ * by service.
+ *
+ * @param {CostEntry[][]} lists
+ *
+ * @returns {CostEntry[]} One entry per day, oldest first
+ */
+function mergeCosts(lists) {
+    const days = new Map();
+    for (const entry of lists.flat()) {
+	if (!days.has(entry.startDate))
+	    days.set(entry.startDate, { startDate: entry.startDate, cost: {} });
+	const cost = days.get(entry.startDate).cost;
+	for (const [service, { amount = 0, unit }] of Object.entries(entry.cost ?? {})) {
+	    cost[service] ??= { amount: 0, unit };
+	    cost[service].amount = cents(cost[service].amount + amount);
+	}
+    }
+    return [...days.values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+// the currency of the first amount given
+function unitOf(entries) {
+    for (const entry of entries)
+	for (const { unit } of Object.values(entry.cost ?? {}))
+	    if (unit) return unit;
+    return "USD";
+}
+
+/**
+ * Reads the costs of every research environment over a range and
+ * totals them by project, by owner and by workspace type. Terminated
+ * environments count too, for the days they ran. Only reads from SWB.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {CostRange=} range
+ *
+ * @returns {Promise<CostReport>}
+ */
+async function generateCostReport(swb, range) {
+    const { from, to } = costRange(range);
+    const envs = await swb.getEnvironments();
+    const costs = await Promise.all(envs.map(env => swb.getEnvironmentCosts(env.id, { from, to })));
+
+    const environments = envs.map((env, i) => ({
+	envId: env.id,
+	name: env.name,
+	projectId: env.projectId,
+	owner: env.createdBy,
+	workspaceTypeId: env.envTypeId,
+	status: env.status,
+	total: sumCosts(costs[i]),
+    })).sort((a, b) => b.total - a.total);
+
+    const rollUp = key => {
+	const totals = new Map();
+	for (const env of environments)
+	    totals.set(env[key], cents((totals.get(env[key]) ?? 0) + env.total));
+	return [...totals].map(([id, total]) => ({ id, total }))
+	    .sort((a, b) => b.total - a.total || String(a.id).localeCompare(String(b.id)));
+    };
+
+    return {
+	from,
+	to,
+	unit: unitOf(costs.flat()),
+	total: cents(environments.reduce((sum, env) => sum + env.total, 0)),
+	environments,
+	byProject: rollUp('projectId'),
+	byUser: rollUp('owner'),
+	byWorkspaceType: rollUp('workspaceTypeId'),
+    };
+}
+
+// sections of a budget file and the report totals they limit
+const budgetScopes = {
+    projects: ["project", "byProject"],
+    users: ["user", "byUser"],
+    workspaceTypes: ["workspaceType", "byWorkspaceType"],
+};
+
+/**
+ * Checks the shape of a budget configuration.
+ *
+ * @param {Budgets} budgets
+ */
+function validateBudgets(budgets) {
+    const fail = (field, problem) => {
+	throw new SwbValidationError(`budgets ${field} ${problem}`,
+				     { code: 'invalidBudgets', body: { field } });
+    };
+    const isLimit = v => typeof v === 'number' && v >= 0;
+
+    if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets))
+	throw new SwbValidationError("budgets must be an object", { code: 'invalidBudgets' });
+    if (budgets.warnAt !== undefined && !isLimit(budgets.warnAt))
+	fail('warnAt', 'must be a fraction, e.g. 0.8');
+    if (budgets.total !== undefined && !isLimit(budgets.total))
+	fail('total', 'must be a non-negative number');
+    for (const section of Object.keys(budgetScopes)) {
+	const limits = budgets[section];
+	if (limits === undefined)
+	    continue;
+	if (typeof limits !== 'object' || Array.isArray(limits) || limits === null)
+	    fail(section, 'must map IDs to limits');
+	for (const [id, limit] of Object.entries(limits))
+	    if (!isLimit(limit))
+		fail(`${section}.${id}`, 'must be a non-negative number');
+    }
+}
+
+/**
+ * Reads a budget configuration from a JSON or YAML file.
+ *
+ * @param {string} file - Path of the file; .yaml and .yml are read as YAML
+ *
+ * @returns {Promise<Budgets>}
+ */
+async function loadBudgets(file) {
+    const text = await readFile(file, 'utf8');
+    const budgets = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    validateBudgets(budgets);
+    return budgets;
+}
+
+/**
+ * Compares the spend in a cost report with budget limits. A limit of
+ * 0 is breached by any spend.
+ *
+ * @param {CostReport} report
+ * @param {Budgets} budgets
+ *
+ * @returns {BudgetBreach[]} Breaches first, then warnings, each with
+ *   the highest ratio first
+ */
+function checkBudgets(report, budgets) {
+    validateBudgets(budgets);
+    const { warnAt = 0.8 } = budgets;
+    const found = [];
+    const money = amount => `${amount.toFixed(2)} ${report.unit}`;
+
+    const check = (scope, id, spent, limit) => {
+	const ratio = limit > 0 ? spent / limit : (spent > 0 ? Infinity : 0);
+	const level = spent > limit ? "exceeded" : (warnAt < 1 && ratio >= warnAt ? "warning" : undefined);
+	if (!level)
+	    return;
+	const what = id === undefined ? "total spend" : `${scope} ${id}`;
+	found.push({
+	    scope, id, level, spent, limit, ratio, unit: report.unit,
+	    message: `${what} ${level === 'exceeded' ? "exceeded its budget" : "is close to its budget"}: ` +
+		`${money(spent)} of ${money(limit)} between ${report.from} and ${report.to}`,
+	});
+    };
+
+    if (budgets.total !== undefined)
+	check("total", undefined, report.total, budgets.total);
+    for (const [section, [scope, totals]] of Object.entries(budgetScopes)) {
+	const limits = budgets[section] ?? {};
+	for (const { id, total } of report[totals]) {
+	    const limit = limits[id] ?? limits["*"];
+	    if (limit !== undefined && id !== undefined)
+		check(scope, id, total, limit);
+	}
+    }
+
+    return found.sort((a, b) => (a.level === b.level ? 0 : a.level === 'exceeded' ? -1 : 1) ||
+		      b.ratio - a.ratio);
+}
+
+export {
+    costRange,
+    sumCosts,
+    mergeCosts,
+    generateCostReport,
+    validateBudgets,
+    loadBudgets,
+    checkBudgets,
+};
@@ -0,0 +1,161 @@
+/**
+ * @description Cached, indexed copy of the SWB user list. SWB has
+ * no endpoint for fetching a single user, so every lookup would
+ * otherwise download the whole of /api/users.
+ * class module:directory
+ */
+class UserDirectory {
+    #loader;
+    #loading;
+    #loadedAt;
+
+    #byUid = new Map();
+    #byEmailAndIdp = new Map();
+    #byProject = new Map();
+
+    /**
+     * @param {function(): Promise<User[]>} loader - Fetches every user
+     * @param {Object=} options
+     * @param {number=} options.ttl - How long a loaded list stays fresh, in ms (default 5 minutes)
+     */
+    constructor(loader, { ttl = 5 * 60 * 1000 } = {}) {
+	this.#loader = loader;
+	this.ttl = ttl;
+    }
+
+    /** Whether the cached list can be used without reloading */
+    get fresh() {
+	return this.#loadedAt !== undefined && Date.now() - this.#loadedAt < this.ttl;
+    }
+
+    /**
+     * Loads the user list unless the cached copy is still fresh.
+     *
+     * @returns {Promise<bool>} true if the list was (re)loaded
+     */
+    async load() {
+	if (this.fresh)
+	    return false;
+	await this.refresh();
+	return true;
+    }
+
+    /**
+     * Reloads the user list from SWB. Concurrent callers share a
+     * single download.
+     */
+    async refresh() {
+	if (!this.#loading) {
+	    this.#loading = this.#loader()
+		.then(users => {
+		    this.#byUid.clear();
+		    this.#byEmailAndIdp.clear();
+		    this.#byProject.clear();
+		    users.forEach(u => this.#index(u));
+		    this.#loadedAt = Date.now();
+		})
+		.finally(() => { this.#loading = undefined; });
+	}
+	await this.#loading;
+    }
+
+    /**
+     * Forgets the cached list, so the next lookup reloads it.
+     */
+    invalidate() {
+	this.#loadedAt = undefined;
+    }
+
+    /**
+     * Stores a user record returned by SWB, replacing any older copy.
+     *
+     * @param {User} user
+     */
+    update(user) {
+	this.remove(user.uid);
+	this.#index(user);
+    }
+
+    /**
+     * Drops a user from the cache.
+     *
+     * @param {string} uid
+     */
+    remove(uid) {
+	const old = this.#byUid.get(uid);
+	if (!old)
+	    return;
+
+	this.#byUid.delete(uid);
+	this.#byEmailAndIdp.delete(emailIdpKey(old.email, old.identityProviderName));
+	(old.projectId ?? []).forEach(p => this.#byProject.get(p)?.delete(uid));
+    }
+
+    /**
+     * @returns {Promise<User[]>} Every user
+     */
+    async all() {
+	await this.load();
+	return [...this.#byUid.values()];
+    }
+
+    /**
+     * @param {string} uid
+     *
+     * @returns {Promise<User|undefined>}
+     */
+    async getByUid(uid) {
+	return this.#lookup(() => this.#byUid.get(uid));
+    }
+
+    /**
+     * @param {string} email - Exact email address (case sensitive)
+     * @param {string} idpName - Identity provider name
+     *
+     * @returns {Promise<User|undefined>}
+     */
+    async getByEmailAndIdp(email, idpName) {
+	return this.#lookup(() => {
+	    const uid = this.#byEmailAndIdp.get(emailIdpKey(email, idpName));
+	    return uid && this.#byUid.get(uid);
+	});
+    }
+
+    /**
+     * @param {string} projectId
+     *
+     * @returns {Promise<User[]>} Users whose projectId includes the project
+     */
+    async getByProject(projectId) {
+	await this.load();
+	return [...(this.#byProject.get(projectId) ?? [])].map(uid => this.#byUid.get(uid));
+    }
+
+    // a cache miss may just mean the user was created elsewhere, so
+    // reload once unless the list was only just downloaded
+    async #lookup(find) {
+	const loaded = await this.load();
+	let found = find();
+	if (!found && !loaded) {
+	    await this.refresh();
+	    found = find();
+	}
+	return found;
+    }
+
+    #index(user) {
+	this.#byUid.set(user.uid, user);
+	this.#byEmailAndIdp.set(emailIdpKey(user.email, user.identityProviderName), user.uid);
+	(user.projectId ?? []).forEach(p => {
+	    if (!this.#byProject.has(p))
+		this.#byProject.set(p, new Set());
+	    this.#byProject.get(p).add(user.uid);
+	});
+    }
+}
+
+function emailIdpKey(email, idpName) {
+    return `${idpName}\u0000${email}`;
+}
+
+export default UserDirectory;
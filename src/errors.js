@@ -0,0 +1,88 @@
+/**
+ * @description Error types raised by the SWB client
+ * module:errors
+ */
+
+/**
+ * Raised whenever Service Workbench answers a request with an
+ * error. SWB error bodies look like `{ code, message }`, where code
+ * is a short name such as "notFound" or "outdatedUpdateAttempt".
+ */
+class SwbApiError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object=} details
+     * @param {number=} details.status - HTTP status code
+     * @param {string=} details.code - SWB error code
+     * @param {string=} details.method - HTTP method of the failed request
+     * @param {string=} details.path - API path of the failed request
+     * @param {*=} details.body - The parsed response body
+     * @param {Error=} details.cause - Underlying error, if any
+     */
+    constructor(message, { status, code, method, path, body, cause } = {}) {
+	super(message, cause ? { cause } : undefined);
+	this.name = this.constructor.name;
+	this.status = status;
+	this.code = code;
+	this.method = method;
+	this.path = path;
+	this.body = body;
+    }
+}
+
+/** The token is missing, expired or was rejected (401/403). */
+class SwbAuthError extends SwbApiError {}
+
+/** The requested record does not exist (404). */
+class SwbNotFoundError extends SwbApiError {}
+
+/**
+ * The record was changed by someone else, already exists, or is
+ * still depended on (409).
+ */
+class SwbConflictError extends SwbApiError {}
+
+/** The request did not complete within its timeout. */
+class SwbTimeoutError extends SwbApiError {}
+
+/** An argument does not match what SWB holds or accepts. */
+class SwbValidationError extends SwbApiError {}
+
+// SWB codes which mean the record changed under us or already exists
+const conflictCodes = ["outdatedUpdateAttempt", "concurrentUpdate", "alreadyExists"];
+
+/**
+ * Builds the most specific error for a failed SWB response.
+ *
+ * @param {number} status - HTTP status code
+ * @param {*} payload - Parsed response body (may be text or undefined)
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ *
+ * @returns {SwbApiError}
+ */
+function errorFromResponse(status, payload, method, path) {
+    const code = payload?.code;
+    const message = payload?.message
+	  ?? (typeof payload === 'string' && payload ? payload : `HTTP ${status}`);
+    const details = { status, code, method, path, body: payload };
+    const text = `${method} ${path}: ${message}`;
+
+    if (status === 401 || status === 403)
+	return new SwbAuthError(text, details);
+    if (status === 404)
+	return new SwbNotFoundError(text, details);
+    if (status === 409 || conflictCodes.includes(code))
+	return new SwbConflictError(text, details);
+    return new SwbApiError(text, details);
+}
+
+export {
+    SwbApiError,
+    SwbAuthError,
+    SwbNotFoundError,
+    SwbConflictError,
+    SwbTimeoutError,
+    SwbValidationError,
+    errorFromResponse,
+};
@@ -0,0 +1,96 @@
+/**
+ * @description Works out the typed change events for a journaled
+ * change, for audit logging.
+ * module:events
+ */
+import { diffRecords } from "./journal.js";
+
+/**
+ * @typedef MutationEvent
+ * @property {string} event - e.g. "user.projectAdded" or "study.permissionGranted"
+ * @property {Object} details - Target ids and before/after values
+ */
+
+// events for changes which are reported as a whole
+const simpleEvents = {
+    addFederatedUser: "user.created",
+    deleteUser: "user.deleted",
+    createProject: "project.created",
+    updateProject: "project.updated",
+    deleteProject: "project.deleted",
+    createStudy: "study.created",
+    deleteStudy: "study.deleted",
+    uploadStudyFiles: "study.fileUploaded",
+    createIndex: "index.created",
+    updateIndex: "index.updated",
+    importWorkspaceType: "workspaceType.imported",
+    approveWorkspaceType: "workspaceType.approved",
+    revokeWorkspaceType: "workspaceType.revoked",
+    updateWorkspaceType: "workspaceType.updated",
+    createWorkspaceConfiguration: "workspaceConfiguration.created",
+    updateWorkspaceConfiguration: "workspaceConfiguration.updated",
+    deleteWorkspaceConfiguration: "workspaceConfiguration.deleted",
+    createEnvironment: "environment.created",
+    startEnvironment: "environment.started",
+    stopEnvironment: "environment.stopped",
+    terminateEnvironment: "environment.terminated",
+};
+
+/**
+ * Lists the events a change should raise. User updates are split into
+ * user.projectAdded / user.projectRemoved for each project gained or
+ * lost and user.updated for anything else; study permission changes
+ * raise one study.permissionGranted or study.permissionRevoked per
+ * user and level.
+ *
+ * @param {JournalEntry} entry
+ *
+ * @returns {MutationEvent[]}
+ */
+function mutationEvents(entry) {
+    const { target, before, after } = entry;
+    const events = [];
+    const add = (event, details) => events.push({ event, details });
+
+    if (target?.type === 'user' && entry.method === 'PUT') {
+	const uid = target.id;
+	const was = before?.projectId ?? [];
+	const now = after?.projectId ?? [];
+	now.filter(p => !was.includes(p))
+	    .forEach(projectId => add("user.projectAdded", { uid, projectId }));
+	was.filter(p => !now.includes(p))
+	    .forEach(projectId => add("user.projectRemoved", { uid, projectId }));
+
+	const changes = diffRecords(before, after).filter(c => c.field !== 'projectId');
+	if (changes.length)
+	    add("user.updated", { uid, changes, before, after });
+	return events;
+    }
+
+    if (target?.type === 'study' && entry.method === 'PUT') {
+	const studyId = target.id;
+	for (const [permissionLevel, field] of [["admin", "adminUsers"], ["readonly", "readonlyUsers"]]) {
+	    const was = before?.[field] ?? [];
+	    const now = after?.[field] ?? [];
+	    now.filter(u => !was.includes(u))
+		.forEach(uid => add("study.permissionGranted", { studyId, uid, permissionLevel }));
+	    was.filter(u => !now.includes(u))
+		.forEach(uid => add("study.permissionRevoked", { studyId, uid, permissionLevel }));
+	}
+	return events;
+    }
+
+    const event = simpleEvents[entry.operation];
+    if (event) {
+	const id = target?.type === 'user' ? (after?.uid ?? target.id) : target?.id;
+	add(event, {
+	    [`${target.type}Id`]: id,
+	    changes: diffRecords(before, after),
+	    before,
+	    after,
+	});
+    }
+    return events;
+}
+
+export { mutationEvents };
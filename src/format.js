@@ -0,0 +1,96 @@
+/**
+ * @description Renders lists of records as text tables or CSV
+ * module:format
+ */
+
+/**
+ * Turns a value into text for a table cell. Arrays are joined with
+ * spaces and objects written as JSON.
+ *
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+function cellText(value) {
+    if (value === undefined || value === null)
+	return "";
+    if (Array.isArray(value))
+	return value.map(cellText).join(' ');
+    if (typeof value === 'object')
+	return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Picks the columns to show: the given ones, or every key which
+ * appears in the rows.
+ *
+ * @param {Object[]} rows
+ * @param {string[]=} columns
+ *
+ * @returns {string[]}
+ */
+function columnsOf(rows, columns) {
+    if (columns?.length)
+	return columns;
+    return [...new Set(rows.flatMap(r => Object.keys(r)))];
+}
+
+/**
+ * Renders records as a plain text table with a header row.
+ *
+ * @param {Object[]} rows
+ * @param {string[]=} columns - Keys to show, in order
+ *
+ * @returns {string}
+ */
+function toTable(rows, columns) {
+    columns = columnsOf(rows, columns);
+    const cells = [columns, ...rows.map(r => columns.map(c => cellText(r[c])))];
+    const widths = columns.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+
+    return cells
+	.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+	.join('\n');
+}
+
+/**
+ * Renders records as CSV (RFC 4180) with a header row.
+ *
+ * @param {Object[]} rows
+ * @param {string[]=} columns - Keys to include, in order
+ *
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    columns = columnsOf(rows, columns);
+    const quote = text => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+    return [columns, ...rows.map(r => columns.map(c => cellText(r[c])))]
+	.map(row => row.map(quote).join(','))
+	.join('\n');
+}
+
+/**
+ * Renders records as a Markdown table with a header row.
+ *
+ * @param {Object[]} rows
+ * @param {string[]=} columns - Keys to include, in order
+ *
+ * @returns {string}
+ */
+function toMarkdown(rows, columns) {
+    columns = columnsOf(rows, columns);
+    const escape = text => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+    return [columns, columns.map(() => '---'), ...rows.map(r => columns.map(c => escape(cellText(r[c]))))]
+	.map(row => `| ${row.join(' | ')} |`)
+	.join('\n');
+}
+
+export {
+    cellText,
+    toTable,
+    toCsv,
+    toMarkdown,
+};
@@ -0,0 +1,143 @@
+/**
+ * @description Checks made before deleting a record: what still
+ * depends on it, and whether the caller confirmed the deletion.
+ * module:guards
+ */
+import { SwbConflictError, SwbValidationError } from "./errors.js";
+
+/**
+ * @typedef Dependant
+ * @property {string} type - project, study, user, environment or file
+ * @property {string} id
+ * @property {string} reason - How it depends on the record, e.g.
+ *   "member of the project"
+ */
+
+// environments which are gone, or on their way
+const deadStatuses = ["TERMINATED", "TERMINATING"];
+
+const live = envs => envs.filter(env => !deadStatuses.includes(env.status));
+
+const environment = reason => env => ({ type: "environment", id: env.id, reason });
+
+/**
+ * @param {SWB} swb
+ * @param {string} projectId
+ *
+ * @returns {Promise<Dependant[]>} Studies in the project, its members
+ *   and its environments
+ */
+async function projectDependants(swb, projectId) {
+    await swb.userDirectory.refresh();
+    const [studies, members, envs] = await Promise.all([
+	swb.getStudies("Organization"),
+	swb.userDirectory.getByProject(projectId),
+	swb.getEnvironments({ projectId }),
+    ]);
+    return [
+	...studies.filter(s => s.projectId?.includes(projectId))
+	    .map(s => ({ type: "study", id: s.id, reason: "belongs to the project" })),
+	...members.map(u => ({ type: "user", id: u.uid, reason: "member of the project" })),
+	...live(envs).map(environment("runs in the project")),
+    ];
+}
+
+/**
+ * @param {SWB} swb
+ * @param {string} uid
+ *
+ * @returns {Promise<Dependant[]>} Projects the user belongs to or
+ *   administers, studies they have permissions on and their
+ *   environments
+ */
+async function userDependants(swb, uid) {
+    await swb.userDirectory.refresh();
+    const user = await swb.getUser(uid);
+    const [projects, studies, envs] = await Promise.all([
+	swb.getProjects(),
+	swb.getStudies("Organization"),
+	swb.getEnvironments({ owner: uid }),
+    ]);
+    const permissions = await Promise.all(studies.map(s => swb.getStudyPermissions(s.id)));
+    return [
+	...(user.projectId ?? []).map(id => ({ type: "project", id, reason: "the user is a member" })),
+	...projects.filter(p => p.projectAdmins?.includes(uid))
+	    .map(p => ({ type: "project", id: p.id, reason: "the user is an admin" })),
+	...permissions.filter(p => p.adminUsers?.includes(uid) || p.readonlyUsers?.includes(uid))
+	    .map(p => ({ type: "study", id: p.id, reason: "the user has permissions" })),
+	...live(envs).map(environment("owned by the user")),
+    ];
+}
+
+/**
+ * @param {SWB} swb
+ * @param {string} studyId
+ *
+ * @returns {Promise<Dependant[]>} Environments the study is mounted
+ *   in and files uploaded to it
+ */
+async function studyDependants(swb, studyId) {
+    const [envs, files] = await Promise.all([
+	swb.getEnvironments(),
+	swb.getStudyFiles(studyId),
+    ]);
+    return [
+	...live(envs.filter(env => env.studyIds?.includes(studyId)))
+	    .map(environment("mounts the study")),
+	...files.map(f => ({ type: "file", id: f.filename, reason: "uploaded to the study" })),
+    ];
+}
+
+/**
+ * @param {SWB} swb
+ * @param {string} workspaceType
+ * @param {string} configId
+ *
+ * @returns {Promise<Dependant[]>} Environments built from the configuration
+ */
+async function configurationDependants(swb, workspaceType, configId) {
+    const envs = await swb.getEnvironments();
+    return live(envs.filter(env => env.envTypeId === workspaceType &&
+			    env.envTypeConfigId === configId))
+	.map(environment("built from the configuration"));
+}
+
+/**
+ * Refuses a deletion which was not confirmed, or which would leave
+ * dependants behind unless forced. A dry run needs no confirmation,
+ * as nothing is deleted.
+ *
+ * @param {Object} what
+ * @param {string} what.type - What is being deleted, e.g. "project"
+ * @param {string} what.id - Its id, which confirm must match
+ * @param {Object} options
+ * @param {string=} options.confirm - The id of the record, repeated
+ * @param {bool=} options.force - Delete despite dependants
+ * @param {bool=} options.dryrun
+ * @param {function(): Promise<Dependant[]>} findDependants
+ *
+ * @returns {Promise<Dependant[]>} The dependants, when forced
+ */
+async function checkDelete({ type, id }, { confirm, force = false, dryrun = false }, findDependants) {
+    if (!dryrun && confirm !== id)
+	throw new SwbValidationError(
+	    `deleting ${type} ${id} must be confirmed by passing { confirm: "${id}" }`,
+	    { code: 'confirmationRequired' });
+
+    const dependants = await findDependants();
+    if (dependants.length && !force) {
+	const listed = dependants.map(d => `${d.type} ${d.id} (${d.reason})`);
+	throw new SwbConflictError(
+	    `${type} ${id} still has dependants, pass force to delete it anyway: ${listed.join(', ')}`,
+	    { code: 'hasDependants', body: { dependants } });
+    }
+    return dependants;
+}
+
+export {
+    projectDependants,
+    userDependants,
+    studyDependants,
+    configurationDependants,
+    checkDelete,
+};
@@ -0,0 +1,111 @@
+/**
+ * @description Journal of the changes a client made, or would have
+ * made in dry-run mode.
+ * class module:journal
+ */
+
+// bookkeeping fields which change on every write
+const ignoredFields = ["rev", "updatedAt", "updatedBy"];
+
+/**
+ * @typedef FieldChange
+ * @property {string} field - Top-level field of the record
+ * @property {*} before - Value before the change (undefined if added)
+ * @property {*} after - Value after the change (undefined if removed)
+ */
+
+/**
+ * @typedef JournalEntry
+ * @property {number} seq - Position in the journal, starting at 1
+ * @property {string} time - When the change was made, as an ISO date
+ * @property {string} operation - Client method which made the change
+ * @property {Object} target - type ("user", "project", "study", ...) and id of the changed record
+ * @property {string} method - HTTP method
+ * @property {?string} url - Full URL of the request; for uploads the
+ *   S3 form the file is posted to, null if the study only exists in
+ *   the dry run
+ * @property {*} body - Request body; for uploads the filename and size
+ * @property {bool} dryrun - Whether the request was only recorded
+ * @property {string} status - "dryrun", "sent" or "failed"
+ * @property {Object=} before - The affected record before the change, if known
+ * @property {Object=} after - The record after the change (or as it would be)
+ * @property {FieldChange[]} diff - Fields which differ between before and after
+ * @property {Object=} error - name, message, code and status of a failure
+ */
+
+/**
+ * Lists the top-level fields which differ between two versions of a
+ * record, ignoring rev and update timestamps.
+ *
+ * @param {Object=} before
+ * @param {Object=} after
+ *
+ * @returns {FieldChange[]}
+ */
+function diffRecords(before, after) {
+    if (typeof before !== 'object' && typeof after !== 'object')
+	return [];
+
+    const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+    return [...fields]
+	.filter(f => !ignoredFields.includes(f))
+	.filter(f => JSON.stringify(before?.[f]) !== JSON.stringify(after?.[f]))
+	.map(f => ({ field: f, before: before?.[f], after: after?.[f] }));
+}
+
+class ChangeJournal {
+    #entries = [];
+    #seq = 0;
+
+    /**
+     * @param {Object=} options
+     * @param {number=} options.maxEntries - Oldest entries are dropped beyond this (default 10000)
+     */
+    constructor({ maxEntries = 10000 } = {}) {
+	this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Adds an entry, working out the diff and time.
+     *
+     * @param {Object} entry - JournalEntry fields other than seq, time and diff
+     *
+     * @returns {JournalEntry}
+     */
+    record({ error, ...entry }) {
+	const e = {
+	    seq: ++this.#seq,
+	    time: new Date().toISOString(),
+	    ...entry,
+	    diff: entry.status === 'failed' ? [] : diffRecords(entry.before, entry.after),
+	};
+	if (error)
+	    e.error = { name: error.name, message: error.message, code: error.code, status: error.status };
+
+	this.#entries.push(e);
+	if (this.#entries.length > this.maxEntries)
+	    this.#entries.splice(0, this.#entries.length - this.maxEntries);
+	return e;
+    }
+
+    /**
+     * @returns {JournalEntry[]} A copy of the entries, oldest first
+     */
+    entries() {
+	return [...this.#entries];
+    }
+
+    /**
+     * Forgets every entry.
+     */
+    clear() {
+	this.#entries = [];
+    }
+
+    toJSON() {
+	return this.#entries;
+    }
+}
+
+export default ChangeJournal;
+export { diffRecords };
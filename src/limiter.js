@@ -0,0 +1,56 @@
+/**
+ * @description Caps how many tasks run at the same time
+ * class module:limiter
+ */
+class ConcurrencyLimiter {
+    #active = 0;
+    #queue = [];
+
+    /**
+     * @param {number} max - Maximum number of tasks in flight (Infinity for no limit)
+     */
+    constructor(max) {
+	if (!(max >= 1))
+	    throw new RangeError("concurrency must be at least 1");
+	this.max = max;
+    }
+
+    /** Number of tasks currently running */
+    get active() {
+	return this.#active;
+    }
+
+    /** Number of tasks waiting for a slot */
+    get pending() {
+	return this.#queue.length;
+    }
+
+    /**
+     * Runs fn once a slot is free.
+     *
+     * @template T
+     * @param {function(): Promise<T>} fn
+     *
+     * @returns {Promise<T>}
+     */
+    async run(fn) {
+	// a finishing task hands its slot straight to the next waiter,
+	// so nobody can take it in between
+	if (this.#active >= this.max)
+	    await new Promise(resolve => this.#queue.push(resolve));
+	else
+	    this.#active++;
+
+	try {
+	    return await fn();
+	} finally {
+	    const next = this.#queue.shift();
+	    if (next)
+		next();
+	    else
+		this.#active--;
+	}
+    }
+}
+
+export default ConcurrencyLimiter;
@@ -0,0 +1,100 @@
+/**
+ * @description Optimistic-concurrency helpers for SWB's rev-based updates
+ * module:merge
+ */
+import { SwbConflictError } from "./errors.js";
+
+/**
+ * Reads a record, applies a change to it and writes it back. If the
+ * write fails because the rev is stale, the record is read again and
+ * the change reapplied, up to the given number of attempts.
+ *
+ * @template T, R
+ * @param {Object} steps
+ * @param {function(bool): Promise<T>} steps.read - Fetches the record;
+ *   the argument is true when a fresh copy is needed after a conflict
+ * @param {function(T): (Object|undefined)} steps.modify - Returns the
+ *   body to write, or undefined when the record needs no change. May
+ *   throw a SwbConflictError when the change cannot be merged.
+ * @param {function(Object, T): Promise<R>} steps.write - Writes the body
+ * @param {number=} steps.attempts - Maximum number of writes (default 3)
+ *
+ * @returns {Promise<R|T>} The written record, or the unchanged one
+ */
+async function readModifyWrite({ read, modify, write, attempts = 3 }) {
+    for (let attempt = 1; ; attempt++) {
+	const current = await read(attempt > 1);
+	const body = modify(current);
+	if (body === undefined)
+	    return current;
+
+	try {
+	    return await write(body, current);
+	} catch (err) {
+	    if (!(err instanceof SwbConflictError))
+		throw err;
+	    if (attempt >= attempts)
+		throw new SwbConflictError(`${err.message} (gave up after ${attempt} attempts)`, {
+		    status: err.status, code: err.code, method: err.method, path: err.path, body: err.body,
+		    cause: err,
+		});
+	}
+    }
+}
+
+/**
+ * Three-way merge of one record. Fields we changed (mine differs from
+ * base) are applied on top of theirs, unless they changed the same
+ * field to something else. Arrays are merged as sets, so concurrent
+ * additions and removals of different members both survive.
+ *
+ * @param {Object|undefined} base - The record as originally read
+ * @param {Object} mine - The record with our changes
+ * @param {Object} theirs - The current record in SWB
+ * @param {string[]} fields - The fields we may change
+ * @param {string} what - Description of the record, for errors
+ *
+ * @returns {Object} theirs with our changes applied
+ */
+function mergeChanges(base, mine, theirs, fields, what) {
+    if (!base)
+	throw new SwbConflictError(
+	    `${what} was changed by someone else and the original is not known, cannot merge`,
+	    { code: 'mergeConflict' });
+
+    const merged = { ...theirs };
+    const clashes = [];
+
+    for (const field of fields) {
+	if (same(mine[field], base[field]))
+	    continue; // not our change
+
+	if (Array.isArray(mine[field]) || Array.isArray(theirs[field])) {
+	    const was = base[field] ?? [];
+	    const added = (mine[field] ?? []).filter(v => !was.includes(v));
+	    const removed = was.filter(v => !(mine[field] ?? []).includes(v));
+	    merged[field] = [...new Set([...(theirs[field] ?? []), ...added])]
+		.filter(v => !removed.includes(v));
+	} else if (same(theirs[field], base[field]) || same(theirs[field], mine[field])) {
+	    merged[field] = mine[field];
+	} else {
+	    clashes.push(field);
+	}
+    }
+
+    if (clashes.length)
+	throw new SwbConflictError(
+	    `${what} was changed by someone else, conflicting fields: ${clashes.join(', ')}`,
+	    { code: 'mergeConflict', body: { fields: clashes, mine, theirs } });
+
+    return merged;
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export {
+    readModifyWrite,
+    mergeChanges,
+};
@@ -0,0 +1,139 @@
+/**
+ * @description Offboarding: takes away everything a leaver can reach,
+ * one step at a time, carrying on past failures so the report shows
+ * what is left to clean up.
+ * module:offboard
+ */
+import { SwbValidationError } from "./errors.js";
+
+/**
+ * @typedef OffboardStep
+ * @property {string} action - One of deactivateUser, stopEnvironment,
+ *   terminateEnvironment, revokeStudyPermission, removeProjectAdmin,
+ *   removeProjectUser, or findEnvironments, findStudyPermissions and
+ *   findProjectAdmins when looking them up failed
+ * @property {string} summary - Human-readable description
+ * @property {Object} params - What the step acts on
+ * @property {string} status - "done", or "failed" with error set
+ * @property {*=} result - What the client method returned
+ * @property {Error=} error
+ */
+
+/**
+ * @typedef OffboardReport
+ * @property {string} uid
+ * @property {bool} dryrun - Whether the steps were only journaled
+ * @property {OffboardStep[]} steps - In the order they were carried out
+ * @property {number} failed - How many steps failed
+ */
+
+// environments which can be stopped, and ones already on their way out
+const runningStatuses = ["COMPLETED"];
+const deadStatuses = ["TERMINATED", "TERMINATING"];
+
+// SWB lists "My Studies" only to the user who made them, so the
+// client sees its own and every organisation study, not the leaver's
+const studyCategories = ["Organization", "My Studies"];
+
+/**
+ * Deactivates a user, then stops or terminates their environments,
+ * revokes their permissions on every study the client can list, and
+ * takes them out of project admins and every project in their
+ * projectId. A failed step is recorded and the rest still carried
+ * out. Honours dryrun.
+ *
+ * The leaver's own "My Studies" are listed to nobody else, so they
+ * are not covered; deactivating the user is what shuts them out.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {string} uid - The user's id
+ * @param {Object=} options
+ * @param {string=} options.environments - "stop" or "terminate" the
+ *   user's environments; left alone by default
+ * @param {bool=} options.projectAdmins - Also remove the user from
+ *   projectAdmins (default false)
+ *
+ * @returns {Promise<OffboardReport>}
+ */
+async function offboardUser(swb, uid, { environments, projectAdmins = false } = {}) {
+    if (![undefined, "stop", "terminate"].includes(environments))
+	throw new SwbValidationError(
+	    `environments must be "stop" or "terminate", not "${environments}"`,
+	    { code: 'invalidOption' });
+
+    // an unknown user is an error rather than a failed step
+    const user = await swb.getUser(uid);
+    const report = { uid, dryrun: swb.dryrun, steps: [], failed: 0 };
+
+    const step = async (action, summary, params, fn) => {
+	const s = { action, summary, params };
+	try {
+	    s.result = await fn();
+	    s.status = 'done';
+	} catch (error) {
+	    s.status = 'failed';
+	    s.error = error;
+	    report.failed++;
+	}
+	report.steps.push(s);
+	return s;
+    };
+
+    if (user.status !== 'inactive')
+	await step('deactivateUser', `deactivate ${uid}`, { uid },
+		   () => swb.updateUserDetails(uid, user.firstName, user.lastName,
+					       'inactive', user.userRole));
+
+    if (environments) {
+	const found = await step('findEnvironments', `find environments of ${uid}`, { uid },
+				 () => swb.getEnvironments({ owner: uid }));
+	const envs = (found.result ?? []).filter(env =>
+	    environments === 'stop' ? runningStatuses.includes(env.status)
+		: !deadStatuses.includes(env.status));
+	for (const env of envs)
+	    await step(`${environments}Environment`, `${environments} environment ${env.id} (${env.name})`,
+		       { envId: env.id },
+		       () => environments === 'stop' ? swb.stopEnvironment(env.id)
+			   : swb.terminateEnvironment(env.id));
+    }
+
+    const found = await step('findStudyPermissions', `find study permissions of ${uid}`, { uid },
+			     async () => {
+				 const lists = await Promise.all(studyCategories.map(c => swb.getStudies(c)));
+				 return Promise.all(lists.flat().map(s => swb.getStudyPermissions(s.id)));
+			     });
+    for (const perms of found.result ?? []) {
+	for (const [permissionLevel, field] of [["admin", "adminUsers"], ["readonly", "readonlyUsers"]]) {
+	    if (!perms[field]?.includes(uid))
+		continue;
+	    await step('revokeStudyPermission', `revoke ${permissionLevel} on study ${perms.id}`,
+		       { studyId: perms.id, permissionLevel },
+		       () => swb.addRemoveStudyPermission(perms.id, uid, 'remove', permissionLevel));
+	}
+    }
+
+    if (projectAdmins) {
+	const found = await step('findProjectAdmins', `find projects ${uid} administers`, { uid },
+				 () => swb.getProjects());
+	for (const proj of (found.result ?? []).filter(p => p.projectAdmins?.includes(uid))) {
+	    await step('removeProjectAdmin', `remove admin of project ${proj.id}`,
+		       { projectId: proj.id },
+		       () => {
+			   proj.projectAdmins = proj.projectAdmins.filter(a => a !== uid);
+			   return swb.updateProject(proj);
+		       });
+	}
+    }
+
+    for (const projectId of user.projectId ?? [])
+	await step('removeProjectUser', `remove from project ${projectId}`, { projectId },
+		   () => swb.addRemoveProjectUser(projectId, uid, 'remove'));
+
+    // the find steps are only worth reporting when they failed
+    report.steps = report.steps.filter(s => !s.action.startsWith('find') || s.status === 'failed');
+    return report;
+}
+
+export {
+    offboardUser,
+};
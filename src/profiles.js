@@ -0,0 +1,233 @@
+/**
+ * @description Connection profiles for SWB deployments, read from an
+ * ini-style file such as ~/.swb/config:
+ *
+ *   [default]
+ *   api = https://xxxxxxxx.execute-api.eu-west-2.amazonaws.com/dev
+ *   username = admin@example.com
+ *   password = ...
+ *
+ *   [prod]
+ *   api = https://yyyyyyyy.execute-api.eu-west-2.amazonaws.com/prod
+ *   auth = federated
+ *   idp = Dundee
+ *   index = index-1
+ *   dryrun = true
+ *
+ * or from a JSON file mapping profile names to the same settings. A
+ * profile may instead name a token_file holding an id token, and
+ * SWB_ID_TOKEN supplies a token directly.
+ *
+ * module:profiles
+ */
+import { readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { SwbValidationError } from "./errors.js";
+import {
+    InternalAuthenticator,
+    EnvTokenAuthenticator,
+    FileTokenAuthenticator,
+    FederatedAuthenticator,
+} from "./auth.js";
+
+/** Where profiles are read from unless SWB_CONFIG_FILE says otherwise */
+const defaultConfigFile = join(homedir(), ".swb", "config");
+
+/**
+ * @typedef Profile
+ * @property {string} name - Name of the profile
+ * @property {string} api - The API address for SWB
+ * @property {string=} username - Username of an admin account
+ * @property {string=} password - Password of an admin account
+ * @property {string=} token_file - File holding an id token to use instead
+ * @property {string=} auth - How to get an id token: "password",
+ *   "token_file", "env" or "federated"; by default SWB_ID_TOKEN, then
+ *   token_file, then the password
+ * @property {string=} token_env - Variable holding the id token for
+ *   "env" (default SWB_ID_TOKEN)
+ * @property {string=} idp - Default identity provider, for new users
+ *   and "federated" sign-ins
+ * @property {string=} index - Default index for new projects
+ * @property {bool=} dryrun - Start clients in dry-run mode
+ */
+
+const authStrategies = ["password", "token_file", "env", "federated"];
+
+// settings which environment variables take precedence over
+const overrides = {
+    api: "SWB_API",
+    username: "SWB_USERNAME",
+    password: "SWB_PASSWORD",
+    auth: "SWB_AUTH",
+    idp: "SWB_IDP",
+    index: "SWB_INDEX",
+    dryrun: "SWB_DRY_RUN",
+};
+
+/**
+ * Parses ini text into an object of sections. Keys outside a section
+ * go into "default".
+ *
+ * @param {string} text
+ *
+ * @returns {Object<string, Object<string, string>>}
+ */
+function parseIni(text) {
+    const sections = {};
+    let section = sections["default"] = {};
+
+    for (const raw of text.split(/\r?\n/)) {
+	const line = raw.trim();
+	if (!line || line.startsWith('#') || line.startsWith(';'))
+	    continue;
+
+	const header = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/);
+	if (header) {
+	    section = sections[header[1]] ??= {};
+	    continue;
+	}
+
+	const eq = line.indexOf('=');
+	if (eq > 0)
+	    section[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    }
+
+    return sections;
+}
+
+/**
+ * Parses a config file, as JSON if it looks like an object and as
+ * ini otherwise.
+ *
+ * @param {string} text
+ *
+ * @returns {Object<string, Object>} Profiles by name
+ */
+function parseConfig(text) {
+    if (!text.trimStart().startsWith('{'))
+	return parseIni(text);
+    const profiles = JSON.parse(text);
+    for (const [name, profile] of Object.entries(profiles))
+	if (typeof profile !== 'object' || profile === null || Array.isArray(profile))
+	    throw new SwbValidationError(`profile "${name}" must be an object of settings`,
+					 { code: 'invalidProfile' });
+    return profiles;
+}
+
+// ini values are strings, JSON ones may be booleans already
+function parseBool(value, what) {
+    if (typeof value === 'boolean')
+	return value;
+    const text = String(value).toLowerCase();
+    if (["true", "yes", "on", "1"].includes(text))
+	return true;
+    if (["false", "no", "off", "0", ""].includes(text))
+	return false;
+    throw new SwbValidationError(`${what} must be true or false, not "${value}"`,
+				 { code: 'invalidProfile' });
+}
+
+/**
+ * Reads a profile, with SWB_API, SWB_USERNAME, SWB_PASSWORD,
+ * SWB_AUTH, SWB_IDP, SWB_INDEX and SWB_DRY_RUN taking precedence
+ * over the file. A missing file is not an error as long as the
+ * environment supplies the API address.
+ *
+ * @param {string=} name - Profile name (default SWB_PROFILE or "default")
+ * @param {Object=} options
+ * @param {string=} options.file - Config file (default SWB_CONFIG_FILE or ~/.swb/config)
+ * @param {Object=} options.env - Environment variables (default process.env)
+ *
+ * @returns {Promise<Profile>}
+ */
+async function readProfile(name, { file, env = process.env } = {}) {
+    name ??= env.SWB_PROFILE ?? "default";
+    file ??= env.SWB_CONFIG_FILE ?? defaultConfigFile;
+
+    let sections = {};
+    try {
+	sections = parseConfig(await readFile(file, 'utf8'));
+    } catch (err) {
+	if (err.code !== 'ENOENT') throw err;
+    }
+
+    const profile = {
+	name,
+	...sections[name],
+    };
+    for (const [key, variable] of Object.entries(overrides))
+	if (env[variable]) profile[key] = env[variable];
+    if (profile.dryrun !== undefined)
+	profile.dryrun = parseBool(profile.dryrun, `dryrun of profile "${name}"`);
+
+    if (!profile.api)
+	throw new SwbValidationError(
+	    `no API address for profile "${name}", set SWB_API or add it to ${file}`,
+	    { code: 'invalidProfile' });
+    if (profile.auth !== undefined && !authStrategies.includes(profile.auth))
+	throw new SwbValidationError(
+	    `unknown auth "${profile.auth}" for profile "${name}", expected ${authStrategies.join(', ')}`,
+	    { code: 'invalidProfile' });
+
+    return profile;
+}
+
+/**
+ * Picks the authenticator for a profile. Its auth setting decides if
+ * given; otherwise SWB_ID_TOKEN if set, then the profile's
+ * token_file, then its username and password.
+ *
+ * @param {Profile} profile
+ * @param {Object=} env - Environment variables (default process.env)
+ * @param {Object=} options
+ * @param {function(string, IdProvider): Promise<string>=} options.prompt -
+ *   Shows the sign-in URI for "federated", see FederatedAuthenticator
+ *
+ * @returns {Object|undefined} An authenticator, see module:auth
+ */
+function profileAuthenticator(profile, env = process.env, { prompt } = {}) {
+    const need = (setting, auth = profile.auth) => {
+	if (profile[setting] === undefined)
+	    throw new SwbValidationError(
+		`profile "${profile.name}" uses auth ${auth} but has no ${setting}`,
+		{ code: 'invalidProfile' });
+    };
+
+    switch (profile.auth) {
+    case "password":
+	need('username');
+	need('password');
+	return new InternalAuthenticator(profile.username, profile.password);
+    case "token_file":
+	need('token_file');
+	return new FileTokenAuthenticator(profile.token_file);
+    case "env":
+	return new EnvTokenAuthenticator(profile.token_env ?? "SWB_ID_TOKEN", env);
+    case "federated":
+	need('idp');
+	if (!prompt)
+	    throw new SwbValidationError(
+		`profile "${profile.name}" signs in through ${profile.idp}, which needs a prompt`,
+		{ code: 'invalidProfile' });
+	return new FederatedAuthenticator(profile.idp, prompt);
+    }
+
+    if (env.SWB_ID_TOKEN)
+	return new EnvTokenAuthenticator("SWB_ID_TOKEN", env);
+    if (profile.token_file)
+	return new FileTokenAuthenticator(profile.token_file);
+    if (profile.password !== undefined) {
+	need('username', "password");
+	return new InternalAuthenticator(profile.username, profile.password);
+    }
+    return undefined;
+}
+
+export {
+    defaultConfigFile,
+    parseIni,
+    parseConfig,
+    readProfile,
+    profileAuthenticator,
+};
@@ -0,0 +1,359 @@
+/**
+ * @description Reconciles SWB against a manifest of desired projects,
+ * members, studies and study permissions.
+ * module:reconcile
+ */
+import { readFile } from "node:fs/promises";
+import YAML from "yaml";
+import { SwbNotFoundError, SwbValidationError } from "./errors.js";
+
+/**
+ * @typedef ManifestStudy
+ * @property {string} id - Study ID
+ * @property {string} name - Human-readable name (defaults to the id)
+ * @property {string=} description
+ * @property {string=} category - "Organization" (default) or "My Studies"
+ * @property {string=} studyType - "unstructured" (default) or "structured"
+ * @property {bool=} uploadLocationEnabled - default true
+ * @property {string[]=} admins - Users with admin permission
+ * @property {string[]=} readonly - Users with readonly permission
+ */
+
+/**
+ * @typedef ManifestProject
+ * @property {string} id - Project ID
+ * @property {string=} description
+ * @property {string} index - Index ID, needed when the project is created
+ * @property {string[]=} admins - Project admins
+ * @property {string[]=} members - Users whose projectId includes the project
+ * @property {ManifestStudy[]=} studies
+ */
+
+/**
+ * @typedef Manifest
+ * @property {string=} idp - Identity provider used to resolve email addresses
+ * @property {ManifestProject[]} projects
+ *
+ * Users are given either as uids (u-XXXXXXXX) or email addresses.
+ * Members, admins and study permissions of listed projects are made
+ * to match exactly; projects not listed are left alone.
+ */
+
+/**
+ * @typedef PlanStep
+ * @property {string} action - One of createProject, updateProject,
+ *   addProjectUser, removeProjectUser, createStudy, grantStudyPermission,
+ *   revokeStudyPermission, or from snapshot restores, createIndex,
+ *   createWorkspaceConfiguration and updateWorkspaceConfiguration
+ * @property {string} summary - Human-readable description
+ * @property {Object} params - What apply needs to carry out the step
+ */
+
+/**
+ * @typedef Plan
+ * @property {PlanStep[]} steps - Changes in the order they will be applied
+ * @property {string[]} warnings - Differences the plan cannot fix
+ */
+
+// order in which steps are applied, so dependencies exist first
+const actionOrder = [
+    "createProject",
+    "updateProject",
+    "addProjectUser",
+    "createStudy",
+    "grantStudyPermission",
+    "revokeStudyPermission",
+    "removeProjectUser",
+];
+
+/**
+ * Reads a manifest from a JSON or YAML file.
+ *
+ * @param {string} file - Path of the manifest; .yaml and .yml are read as YAML
+ *
+ * @returns {Promise<Manifest>}
+ */
+async function loadManifest(file) {
+    const text = await readFile(file, 'utf8');
+    const manifest = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    validateManifest(manifest);
+    return manifest;
+}
+
+/**
+ * Checks the shape of a manifest, naming the first offending field.
+ *
+ * @param {Manifest} manifest
+ */
+function validateManifest(manifest) {
+    const fail = (field, problem) => {
+	throw new SwbValidationError(`manifest ${field} ${problem}`,
+				     { code: 'invalidManifest', body: { field } });
+    };
+    const isList = v => v === undefined || (Array.isArray(v) && v.every(x => typeof x === 'string'));
+
+    if (!manifest || !Array.isArray(manifest.projects))
+	fail('projects', 'must be a list');
+
+    manifest.projects.forEach((p, i) => {
+	const at = `projects[${i}]`;
+	if (typeof p?.id !== 'string') fail(`${at}.id`, 'must be a string');
+	for (const f of ['admins', 'members'])
+	    if (!isList(p[f])) fail(`${at}.${f}`, 'must be a list of users');
+	if (p.studies !== undefined && !Array.isArray(p.studies))
+	    fail(`${at}.studies`, 'must be a list');
+
+	(p.studies ?? []).forEach((s, j) => {
+	    const sat = `${at}.studies[${j}]`;
+	    if (typeof s?.id !== 'string') fail(`${sat}.id`, 'must be a string');
+	    if (s.category !== undefined && !["Organization", "My Studies"].includes(s.category))
+		fail(`${sat}.category`, 'must be "Organization" or "My Studies"');
+	    for (const f of ['admins', 'readonly'])
+		if (!isList(s[f])) fail(`${sat}.${f}`, 'must be a list of users');
+	});
+    });
+}
+
+/**
+ * Works out the changes needed to make SWB match the manifest. Only
+ * reads from SWB. SWB makes whoever creates a study its admin, so a
+ * study to be created starts with the logged-in user as admin, and
+ * that permission is revoked in the same run if the manifest gives
+ * admins without them.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {Manifest} manifest
+ *
+ * @returns {Promise<Plan>}
+ */
+async function planManifest(swb, manifest) {
+    validateManifest(manifest);
+
+    // "My Studies" only lists the caller's own, which are the ones
+    // they could have created
+    const categories = new Set(["Organization", ...manifest.projects.flatMap(
+	p => (p.studies ?? []).map(s => s.category ?? "Organization"))]);
+    const [projects, users, studies, creator] = await Promise.all([
+	swb.getProjects(),
+	swb.getUsers(),
+	Promise.all([...categories].map(c => swb.getStudies(c))).then(lists => lists.flat()),
+	swb.getLoggedInUser(),
+    ]);
+
+    const resolve = userResolver(users, manifest.idp);
+    const steps = [];
+    const warnings = [];
+    const step = (action, summary, params) => steps.push({ action, summary, params });
+
+    for (const want of manifest.projects) {
+	const have = projects.find(p => p.id === want.id);
+	const admins = (want.admins ?? []).map(resolve);
+
+	if (!have) {
+	    if (!want.index)
+		throw new SwbValidationError(`manifest project ${want.id} needs an index to be created`,
+					     { code: 'invalidManifest', body: { field: 'index' } });
+	    step('createProject', `+ create project ${want.id} (index ${want.index}` +
+		 (admins.length ? `, admins ${admins.join(', ')})` : ')'),
+		 { projectId: want.id, description: want.description ?? want.id,
+		   indexId: want.index, admins });
+	} else {
+	    const changes = [];
+	    const params = { projectId: want.id };
+	    if (want.description !== undefined && want.description !== have.description) {
+		changes.push(`description "${have.description}" -> "${want.description}"`);
+		params.description = want.description;
+	    }
+	    if (want.admins !== undefined) {
+		const { add, remove } = setDiff(have.projectAdmins ?? [], admins);
+		if (add.length || remove.length) {
+		    changes.push(`admins ${[...add.map(u => `+${u}`), ...remove.map(u => `-${u}`)].join(' ')}`);
+		    params.projectAdmins = admins;
+		}
+	    }
+	    if (want.index !== undefined && want.index !== have.indexId)
+		warnings.push(`project ${want.id} is in index ${have.indexId}, not ${want.index}; indexes are not moved`);
+	    if (changes.length)
+		step('updateProject', `~ update project ${want.id}: ${changes.join('; ')}`, params);
+	}
+
+	if (want.members !== undefined) {
+	    const current = users.filter(u => (u.projectId ?? []).includes(want.id)).map(u => u.uid);
+	    const { add, remove } = setDiff(current, want.members.map(resolve));
+	    add.forEach(uid => step('addProjectUser', `+ add ${uid} to project ${want.id}`,
+				    { projectId: want.id, uid }));
+	    remove.forEach(uid => step('removeProjectUser', `- remove ${uid} from project ${want.id}`,
+				       { projectId: want.id, uid }));
+	}
+
+	for (const wantStudy of want.studies ?? []) {
+	    const haveStudy = studies.find(s => s.id === wantStudy.id);
+	    if (!haveStudy) {
+		step('createStudy', `+ create study ${wantStudy.id} in project ${want.id} ` +
+		     `(admin ${creator.uid})`, {
+		    id: wantStudy.id,
+		    name: wantStudy.name ?? wantStudy.id,
+		    description: wantStudy.description ?? "",
+		    projectId: want.id,
+		    category: wantStudy.category ?? "Organization",
+		    studyType: wantStudy.studyType ?? "unstructured",
+		    uploadLocationEnabled: wantStudy.uploadLocationEnabled ?? true,
+		});
+	    } else if (!(haveStudy.projectId ?? []).includes(want.id)) {
+		warnings.push(`study ${wantStudy.id} belongs to ${haveStudy.projectId}, not ${want.id}`);
+	    }
+
+	    let perms = { adminUsers: haveStudy ? [] : [creator.uid], readonlyUsers: [] };
+	    if (haveStudy) {
+		try {
+		    perms = await swb.getStudyPermissions(wantStudy.id);
+		} catch (err) {
+		    if (!(err instanceof SwbNotFoundError)) throw err;
+		}
+	    }
+
+	    for (const [level, field, key] of [["admin", "adminUsers", "admins"],
+					       ["readonly", "readonlyUsers", "readonly"]]) {
+		if (wantStudy[key] === undefined)
+		    continue;
+		const { add, remove } = setDiff(perms[field] ?? [], wantStudy[key].map(resolve));
+		add.forEach(uid => step('grantStudyPermission',
+					`+ grant ${level} on study ${wantStudy.id} to ${uid}`,
+					{ studyId: wantStudy.id, uid, permissionLevel: level }));
+		remove.forEach(uid => step('revokeStudyPermission',
+					   `- revoke ${level} on study ${wantStudy.id} from ${uid}`,
+					   { studyId: wantStudy.id, uid, permissionLevel: level }));
+	    }
+	}
+    }
+
+    steps.sort((a, b) => actionOrder.indexOf(a.action) - actionOrder.indexOf(b.action));
+    return { steps, warnings };
+}
+
+/**
+ * @typedef ApplyResult
+ * @property {PlanStep} step
+ * @property {string} status - "done", "failed" or "skipped"
+ * @property {*=} result - What the SWB method returned
+ * @property {Error=} error - Why the step failed
+ */
+
+/**
+ * Carries out a plan in dependency order. With swb.dryrun set, each
+ * step goes through the client's dry-run path and nothing is written.
+ * Stops at the first failure unless continueOnError is set.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {Plan} plan - From planManifest
+ * @param {Object=} options
+ * @param {bool=} options.continueOnError - Carry on after a failed step
+ *
+ * @returns {Promise<ApplyResult[]>}
+ */
+async function applyPlan(swb, plan, { continueOnError = false } = {}) {
+    const results = [];
+    let failed = false;
+
+    for (const step of plan.steps) {
+	if (failed && !continueOnError) {
+	    results.push({ step, status: 'skipped' });
+	    continue;
+	}
+	try {
+	    results.push({ step, status: 'done', result: await applyStep(swb, step) });
+	} catch (error) {
+	    failed = true;
+	    results.push({ step, status: 'failed', error });
+	}
+    }
+
+    return results;
+}
+
+async function applyStep(swb, { action, params }) {
+    switch (action) {
+    case 'createProject':
+	return swb.createProject(params.projectId, params.description,
+				 { id: params.indexId },
+				 params.admins.map(uid => ({ uid })));
+    case 'updateProject': {
+	const proj = await swb.getProject(params.projectId);
+	if (params.description !== undefined)
+	    proj.description = params.description;
+	if (params.projectAdmins !== undefined)
+	    proj.projectAdmins = params.projectAdmins;
+	return swb.updateProject(proj);
+    }
+    case 'addProjectUser':
+	return swb.addRemoveProjectUser(params.projectId, params.uid, 'add');
+    case 'removeProjectUser':
+	return swb.addRemoveProjectUser(params.projectId, params.uid, 'remove');
+    case 'createStudy':
+	return swb.createStudy(params.id, params.name, params.description, params.projectId,
+			       params.category, params.studyType, params.uploadLocationEnabled);
+    case 'grantStudyPermission':
+	return swb.addRemoveStudyPermission(params.studyId, params.uid, 'add', params.permissionLevel);
+    case 'revokeStudyPermission':
+	return swb.addRemoveStudyPermission(params.studyId, params.uid, 'remove', params.permissionLevel);
+    case 'createIndex':
+	return swb.createIndex(params.indexId, { id: params.awsAccountId }, params.description);
+    case 'createWorkspaceConfiguration':
+	return swb.createWorkspaceConfiguration(params.workspaceTypeId, params.config);
+    case 'updateWorkspaceConfiguration':
+	return swb.updateWorkspaceConfiguration(params.workspaceTypeId, params.config);
+    default:
+	throw new SwbValidationError(`unknown plan action "${action}"`, { code: 'invalidPlan' });
+    }
+}
+
+/**
+ * Renders a plan as text, one change per line.
+ *
+ * @param {Plan} plan
+ *
+ * @returns {string}
+ */
+function formatPlan(plan) {
+    const lines = plan.steps.map(s => s.summary);
+    plan.warnings.forEach(w => lines.push(`! ${w}`));
+
+    const count = prefix => plan.steps.filter(s => s.summary.startsWith(prefix)).length;
+    lines.push(plan.steps.length
+	       ? `Plan: ${count('+')} to add, ${count('~')} to change, ${count('-')} to remove.`
+	       : 'No changes.');
+    return lines.join('\n');
+}
+
+// maps manifest user references (uids or email addresses) to uids
+function userResolver(users, idp) {
+    return ref => {
+	if (users.some(u => u.uid === ref))
+	    return ref;
+
+	const matches = users.filter(u => u.email?.toLowerCase() === ref.toLowerCase() &&
+				     (idp === undefined || u.identityProviderName === idp));
+	if (matches.length === 1)
+	    return matches[0].uid;
+
+	throw new SwbValidationError(
+	    matches.length ? `user ${ref} is ambiguous, set idp in the manifest`
+		: `user ${ref} not found`,
+	    { code: 'invalidManifest', body: { user: ref } });
+    };
+}
+
+function setDiff(current, wanted) {
+    return {
+	add: [...new Set(wanted)].filter(x => !current.includes(x)),
+	remove: current.filter(x => !wanted.includes(x)),
+    };
+}
+
+export {
+    loadManifest,
+    validateManifest,
+    planManifest,
+    applyPlan,
+    formatPlan,
+};
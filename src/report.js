@@ -0,0 +1,269 @@
+/**
+ * @description Access review reports: who can reach which projects
+ * and studies, with the grants a reviewer should look at flagged.
+ * module:report
+ */
+import { SwbValidationError } from "./errors.js";
+import { toCsv, toMarkdown } from "./format.js";
+
+/**
+ * @typedef ReportUser
+ * @property {string} uid
+ * @property {string=} email
+ * @property {string=} name - First and last name
+ * @property {string=} userRole
+ * @property {string=} status - "active", "inactive" or "pending"
+ * @property {bool} external - Whether the user is an external user
+ * @property {string[]} flags - Any of inactive, external and unknownUser
+ */
+
+/**
+ * @typedef ReportStudy
+ * @property {string} id
+ * @property {string=} name
+ * @property {ReportUser[]} admins - Users with admin permission
+ * @property {ReportUser[]} readonly - Users with readonly permission
+ */
+
+/**
+ * @typedef ReportProject
+ * @property {string} id
+ * @property {string=} description
+ * @property {string=} indexId
+ * @property {ReportUser[]} members - Users whose projectId includes the project
+ * @property {ReportUser[]} admins - The project's admins
+ * @property {ReportStudy[]} studies - Organisation studies in the project
+ * @property {string[]} flags - Any of noAdmins and unknownProject
+ */
+
+/**
+ * @typedef ReportFinding
+ * @property {string} flag - inactive, external, unknownUser, noAdmins
+ *   or unknownProject
+ * @property {string} message - Human-readable description
+ * @property {string=} uid - The user concerned
+ * @property {string=} projectId - The project concerned
+ * @property {Object[]=} access - For user findings, each { projectId,
+ *   studyId, access } the user holds
+ */
+
+/**
+ * @typedef AccessReport
+ * @property {string} generatedAt - ISO 8601 time the report was made
+ * @property {string} api - The SWB instance reported on
+ * @property {ReportProject[]} projects
+ * @property {ReportFinding[]} findings
+ */
+
+/**
+ * Reads users, projects, organisation studies and their permissions
+ * and works out who can reach what. Only reads from SWB; the user
+ * list is reloaded rather than taken from the cache.
+ *
+ * @param {SWB} swb - A logged-in client
+ *
+ * @returns {Promise<AccessReport>}
+ */
+async function generateAccessReport(swb) {
+    await swb.userDirectory.refresh();
+    const [users, projects, studies] = await Promise.all([
+	swb.getUsers(),
+	swb.getProjects(),
+	swb.getStudies("Organization"),
+    ]);
+    const permissions = await Promise.all(studies.map(s => swb.getStudyPermissions(s.id)));
+
+    const byUid = new Map(users.map(u => [u.uid, u]));
+    const reportUser = uid => {
+	const u = byUid.get(uid);
+	if (!u)
+	    return { uid, external: false, flags: ["unknownUser"] };
+	const flags = [];
+	if (u.status === 'inactive')
+	    flags.push("inactive");
+	if (u.isExternalUser)
+	    flags.push("external");
+	return {
+	    uid,
+	    email: u.email,
+	    name: [u.firstName, u.lastName].filter(Boolean).join(' ') || undefined,
+	    userRole: u.userRole,
+	    status: u.status,
+	    external: Boolean(u.isExternalUser),
+	    flags,
+	};
+    };
+    const byName = (a, b) => (a.email ?? a.uid).localeCompare(b.email ?? b.uid);
+
+    const reportProjects = new Map();
+    const project = (id, p) => {
+	if (!reportProjects.has(id))
+	    reportProjects.set(id, {
+		id,
+		description: p?.description,
+		indexId: p?.indexId,
+		members: users.filter(u => u.projectId?.includes(id))
+		    .map(u => reportUser(u.uid)).sort(byName),
+		admins: (p?.projectAdmins ?? []).map(reportUser).sort(byName),
+		studies: [],
+		flags: p ? [] : ["unknownProject"],
+	    });
+	return reportProjects.get(id);
+    };
+    projects.forEach(p => project(p.id, p));
+
+    studies.forEach((s, i) => {
+	const study = {
+	    id: s.id,
+	    name: s.name,
+	    admins: (permissions[i].adminUsers ?? []).map(reportUser).sort(byName),
+	    readonly: (permissions[i].readonlyUsers ?? []).map(reportUser).sort(byName),
+	};
+	(s.projectId ?? []).forEach(id => project(id).studies.push(study));
+    });
+
+    const report = {
+	generatedAt: new Date().toISOString(),
+	api: swb.api,
+	projects: [...reportProjects.values()].sort((a, b) => a.id.localeCompare(b.id)),
+	findings: [],
+    };
+
+    for (const p of report.projects) {
+	p.studies.sort((a, b) => a.id.localeCompare(b.id));
+	if (!p.admins.length)
+	    p.flags.push("noAdmins");
+    }
+    report.findings = findings(report);
+    return report;
+}
+
+// one finding per flagged project and per flagged user, listing
+// everything the user can reach
+function findings(report) {
+    const found = [];
+    const users = new Map();
+
+    for (const p of report.projects) {
+	if (p.flags.includes("noAdmins"))
+	    found.push({ flag: "noAdmins", projectId: p.id,
+			 message: `project ${p.id} has no admins` });
+	if (p.flags.includes("unknownProject"))
+	    found.push({ flag: "unknownProject", projectId: p.id,
+			 message: `studies refer to project ${p.id}, which does not exist` });
+    }
+
+    for (const row of accessRows(report).filter(r => r.uid)) {
+	for (const flag of row.flags) {
+	    const key = `${flag}\u0000${row.uid}`;
+	    if (!users.has(key))
+		users.set(key, { flag, uid: row.uid, access: [] });
+	    users.get(key).access.push({ projectId: row.projectId, studyId: row.studyId,
+					 access: row.access });
+	}
+    }
+
+    const described = { inactive: "inactive user", external: "external user",
+			unknownUser: "unknown user" };
+    const granted = { projectAdmin: "admin of project", member: "member of project",
+		      studyAdmin: "admin of study", studyReadonly: "readonly on study" };
+    for (const f of users.values()) {
+	const where = f.access.map(a => `${granted[a.access]} ${a.studyId ?? a.projectId}`);
+	found.push({ ...f, message: `${described[f.flag]} ${f.uid} has access: ` +
+		     [...new Set(where)].join(', ') });
+    }
+    return found;
+}
+
+/**
+ * Flattens a report into one row per project and per grant of
+ * access, as used for CSV output. Each project starts with a row
+ * of its own, without a user, carrying its flags.
+ *
+ * @param {AccessReport} report
+ *
+ * @returns {Object[]} Rows of projectId, studyId, access, uid, email,
+ *   name, userRole, status, external and flags
+ */
+function accessRows(report) {
+    const rows = [];
+    const add = (projectId, studyId, access, u) =>
+	rows.push({ projectId, studyId, access, ...u, flags: [...u.flags] });
+
+    for (const p of report.projects) {
+	rows.push({ projectId: p.id, access: "project", flags: p.flags });
+	p.admins.forEach(u => add(p.id, undefined, "projectAdmin", u));
+	p.members.forEach(u => add(p.id, undefined, "member", u));
+	for (const s of p.studies) {
+	    s.admins.forEach(u => add(p.id, s.id, "studyAdmin", u));
+	    s.readonly.forEach(u => add(p.id, s.id, "studyReadonly", u));
+	}
+    }
+    return rows;
+}
+
+const rowColumns = ["projectId", "studyId", "access", "uid", "email", "name",
+		    "userRole", "status", "external", "flags"];
+const userColumns = ["uid", "email", "name", "userRole", "status", "flags"];
+
+// a report as Markdown, one section per project
+function toMarkdownReport(report) {
+    const lines = [
+	"# Access report",
+	"",
+	`Generated ${report.generatedAt} for ${report.api}.`,
+	"",
+	"## Findings",
+	"",
+	...(report.findings.length ? report.findings.map(f => `- **${f.flag}**: ${f.message}`)
+	    : ["None."]),
+    ];
+    const table = (title, users, columns = userColumns) => {
+	lines.push("", title, "");
+	lines.push(users.length ? toMarkdown(users, columns) : "None.");
+    };
+
+    for (const p of report.projects) {
+	lines.push("", `## Project ${p.id}` + (p.description ? ` (${p.description})` : ""));
+	if (p.indexId)
+	    lines.push("", `Index: ${p.indexId}`);
+	if (p.flags.length)
+	    lines.push("", `Flags: ${p.flags.join(', ')}`);
+	table("### Admins", p.admins);
+	table("### Members", p.members);
+	for (const s of p.studies)
+	    table(`### Study ${s.id}` + (s.name && s.name !== s.id ? ` (${s.name})` : ""),
+		  [...s.admins.map(u => ({ level: "admin", ...u })),
+		   ...s.readonly.map(u => ({ level: "readonly", ...u }))],
+		  ["level", ...userColumns]);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders an access report.
+ *
+ * @param {AccessReport} report
+ * @param {string=} format - "json" (default), "csv" or "markdown"
+ *
+ * @returns {string}
+ */
+function formatAccessReport(report, format = "json") {
+    switch (format) {
+    case "json":
+	return JSON.stringify(report, null, 2);
+    case "csv":
+	return toCsv(accessRows(report), rowColumns);
+    case "markdown":
+	return toMarkdownReport(report);
+    default:
+	throw new SwbValidationError(`unknown report format "${format}", expected json, csv or markdown`,
+				     { code: 'invalidFormat' });
+    }
+}
+
+export {
+    generateAccessReport,
+    accessRows,
+    formatAccessReport,
+};
@@ -0,0 +1,487 @@
+/**
+ * @description Resource objects for projects, users and studies,
+ * layered on the flat SWB methods. A resource carries the fields of
+ * its record along with methods which act on it, so
+ * `project.addUser(user)` stands in for
+ * `addRemoveProjectUser(project.id, user.uid, 'add')`.
+ * module:resources
+ */
+import { SwbNotFoundError, SwbValidationError } from "./errors.js";
+
+// accepts a resource, a record or a plain id
+const idOf = (x) => typeof x === 'string' ? x : x.id;
+const uidOf = (x) => typeof x === 'string' ? x : x.uid;
+
+/**
+ * Fields of a SWB record, plus the client it came from. The client
+ * is not enumerable, so JSON.stringify gives just the record.
+ */
+class Resource {
+    #record;
+
+    /**
+     * @param {SWB} swb - The client the record was read through
+     * @param {Object} record - The record as returned by SWB
+     */
+    constructor(swb, record) {
+	Object.defineProperty(this, 'swb', { value: swb });
+	this.assign(record);
+    }
+
+    /** The record as last read from or written to SWB */
+    get record() {
+	return this.#record;
+    }
+
+    /**
+     * Replaces the resource's fields with those of a newer record.
+     *
+     * @param {Object} record
+     *
+     * @returns {this}
+     */
+    assign(record) {
+	for (const key of Object.keys(this))
+	    delete this[key];
+	Object.assign(this, record);
+	this.#record = record;
+	return this;
+    }
+}
+
+/**
+ * A SWB project. Edit description, indexId or projectAdmins and call
+ * save() to write them back.
+ */
+class Project extends Resource {
+    /**
+     * Re-reads the project from SWB.
+     *
+     * @returns {Promise<Project>}
+     */
+    async refresh() {
+	return this.assign(await this.swb.getProject(this.id));
+    }
+
+    /**
+     * Writes changes to description, indexId and projectAdmins back
+     * to SWB, merging them with anyone else's.
+     *
+     * @returns {Promise<Project>}
+     */
+    async save() {
+	// updateProject merges against the record as it was handed out
+	const { record } = this;
+	Object.assign(record, this);
+	return this.assign(await this.swb.updateProject(record));
+    }
+
+    /**
+     * Adds a user to the project.
+     *
+     * @param {User|string} user - The user or their uid
+     *
+     * @returns {Promise<User>} The updated user
+     */
+    async addUser(user) {
+	return this.swb.users.wrap(
+	    await this.swb.addRemoveProjectUser(this.id, uidOf(user), 'add'), user);
+    }
+
+    /**
+     * Removes a user from the project.
+     *
+     * @param {User|string} user - The user or their uid
+     *
+     * @returns {Promise<User>} The updated user
+     */
+    async removeUser(user) {
+	return this.swb.users.wrap(
+	    await this.swb.addRemoveProjectUser(this.id, uidOf(user), 'remove'), user);
+    }
+
+    /**
+     * @returns {Promise<User[]>} Users whose projectId includes the project
+     */
+    async users() {
+	const users = await this.swb.userDirectory.getByProject(this.id);
+	return users.map(u => this.swb.users.wrap(u));
+    }
+
+    /**
+     * @returns {Promise<User[]>} The project's admins
+     */
+    async admins() {
+	return Promise.all((this.projectAdmins ?? []).map(uid => this.swb.users.get(uid)));
+    }
+
+    /**
+     * @returns {Promise<Study[]>} The organisation studies in the project
+     */
+    async studies() {
+	const studies = await this.swb.studies.list();
+	return studies.filter(s => s.projectId?.includes(this.id));
+    }
+
+    /**
+     * Creates a study in the project.
+     *
+     * @param {string} id - An id for the study
+     * @param {Object=} details - As for Studies#create
+     *
+     * @returns {Promise<Study>}
+     */
+    async createStudy(id, details = {}) {
+	return this.swb.studies.create(id, { ...details, project: this.id });
+    }
+}
+
+/**
+ * A SWB user. Edit firstName, lastName, status or userRole and call
+ * save() to write them back.
+ */
+class User extends Resource {
+    /**
+     * Re-reads the user from SWB.
+     *
+     * @returns {Promise<User>}
+     */
+    async refresh() {
+	await this.swb.userDirectory.refresh();
+	return this.assign(await this.swb.getUser(this.uid));
+    }
+
+    /**
+     * Writes changes to firstName, lastName, status and userRole back
+     * to SWB.
+     *
+     * @returns {Promise<User>}
+     */
+    async save() {
+	return this.assign(await this.swb.updateUserDetails(
+	    this.uid, this.firstName, this.lastName, this.status, this.userRole));
+    }
+
+    /**
+     * @param {Project|string} project - The project or its id
+     *
+     * @returns {Promise<User>}
+     */
+    async addToProject(project) {
+	return this.assign(await this.swb.addRemoveProjectUser(idOf(project), this.uid, 'add'));
+    }
+
+    /**
+     * @param {Project|string} project - The project or its id
+     *
+     * @returns {Promise<User>}
+     */
+    async removeFromProject(project) {
+	return this.assign(await this.swb.addRemoveProjectUser(idOf(project), this.uid, 'remove'));
+    }
+
+    /**
+     * @returns {Promise<Project[]>} The projects the user belongs to
+     */
+    async projects() {
+	const projects = await this.swb.projects.list();
+	return projects.filter(p => this.projectId?.includes(p.id));
+    }
+}
+
+/**
+ * A SWB study, with its permissions and files.
+ */
+class Study extends Resource {
+    /**
+     * Re-reads the study from SWB.
+     *
+     * @returns {Promise<Study>}
+     */
+    async refresh() {
+	return this.assign(await this.swb.getStudy(this.id));
+    }
+
+    /**
+     * @returns {Promise<Project>} The project the study belongs to
+     */
+    async project() {
+	return this.swb.projects.get(this.projectId[0]);
+    }
+
+    /**
+     * @returns {Promise<StudyPermission>}
+     */
+    async permissions() {
+	return this.swb.getStudyPermissions(this.id);
+    }
+
+    /**
+     * @returns {Promise<User[]>} Users with admin permission
+     */
+    async admins() {
+	const { adminUsers } = await this.permissions();
+	return Promise.all(adminUsers.map(uid => this.swb.users.get(uid)));
+    }
+
+    /**
+     * Gives a user a permission on the study.
+     *
+     * @param {User|string} user - The user or their uid
+     * @param {string=} permissionLevel - "readonly" (default) or "admin"
+     *
+     * @returns {Promise<StudyPermission>}
+     */
+    async grant(user, permissionLevel = "readonly") {
+	return this.swb.addRemoveStudyPermission(this.id, uidOf(user), 'add', permissionLevel);
+    }
+
+    /**
+     * Takes a permission on the study away from a user.
+     *
+     * @param {User|string} user - The user or their uid
+     * @param {string=} permissionLevel - "readonly" (default) or "admin"
+     *
+     * @returns {Promise<StudyPermission>}
+     */
+    async revoke(user, permissionLevel = "readonly") {
+	return this.swb.addRemoveStudyPermission(this.id, uidOf(user), 'remove', permissionLevel);
+    }
+
+    /**
+     * Sets who holds each permission level, see SWB#setStudyPermissions.
+     *
+     * @param {Object} wanted
+     * @param {Array<User|string>=} wanted.admin
+     * @param {Array<User|string>=} wanted.readonly
+     * @param {Object=} options - additive and diffOnly
+     *
+     * @returns {Promise<StudyPermission|Object>}
+     */
+    async setPermissions(wanted, options) {
+	const uids = Object.fromEntries(
+	    Object.entries(wanted ?? {}).map(([level, users]) =>
+		[level, Array.isArray(users) ? users.map(uidOf) : users]));
+	return this.swb.setStudyPermissions(this.id, uids, options);
+    }
+
+    /**
+     * @returns {Promise<StudyFile[]>}
+     */
+    async files() {
+	return this.swb.getStudyFiles(this.id);
+    }
+
+    /**
+     * Uploads files to the study, see SWB#uploadStudyFiles.
+     *
+     * @param {string|Readable|Object|Array} files
+     * @param {Object=} options - onProgress and concurrency
+     *
+     * @returns {Promise<UploadResult[]>}
+     */
+    async upload(files, options) {
+	return this.swb.uploadStudyFiles(this.id, files, options);
+    }
+}
+
+/**
+ * swb.projects
+ */
+class Projects {
+    /** @param {SWB} swb */
+    constructor(swb) {
+	this.swb = swb;
+    }
+
+    /**
+     * Wraps a project record.
+     *
+     * @param {Object} record
+     *
+     * @returns {Project}
+     */
+    wrap(record) {
+	return new Project(this.swb, record);
+    }
+
+    /**
+     * @param {string} projectId
+     *
+     * @returns {Promise<Project>}
+     */
+    async get(projectId) {
+	return this.wrap(await this.swb.getProject(projectId));
+    }
+
+    /**
+     * @returns {Promise<Project[]>}
+     */
+    async list() {
+	return (await this.swb.getProjects()).map(p => this.wrap(p));
+    }
+
+    /**
+     * Creates a project.
+     *
+     * @param {string} projectId - Alphanumeric project id, no spaces
+     * @param {Object} details
+     * @param {string} details.description - Human-readable project name
+     * @param {Index|string=} details.index - The index or its id
+     *   (default swb.defaults.index)
+     * @param {Array<User|string>=} details.admins - Users who can administer the project
+     *
+     * @returns {Promise<Project>}
+     */
+    async create(projectId, { description = "", index = this.swb.defaults.index, admins = [] }) {
+	if (index === undefined)
+	    throw new SwbValidationError(`project ${projectId} needs an index`, { code: 'invalidIndex' });
+	return this.wrap(await this.swb.createProject(
+	    projectId, description, { id: idOf(index) },
+	    admins.map(u => ({ uid: uidOf(u) }))));
+    }
+}
+
+/**
+ * swb.users
+ */
+class Users {
+    /** @param {SWB} swb */
+    constructor(swb) {
+	this.swb = swb;
+    }
+
+    /**
+     * Wraps a user record, updating the given User in place if there
+     * is one.
+     *
+     * @param {Object} record
+     * @param {User|string=} existing
+     *
+     * @returns {User}
+     */
+    wrap(record, existing) {
+	if (existing instanceof User)
+	    return existing.assign(record);
+	return new User(this.swb, record);
+    }
+
+    /**
+     * @param {string} uid
+     *
+     * @returns {Promise<User>}
+     */
+    async get(uid) {
+	return this.wrap(await this.swb.getUser(uid));
+    }
+
+    /**
+     * @param {string} email - The user's full email address
+     * @param {string} idpName - The short name of the identity provider
+     *
+     * @returns {Promise<User>}
+     */
+    async byEmail(email, idpName) {
+	return this.wrap(await this.swb.getUserByEmailAndIdp(email, idpName));
+    }
+
+    /**
+     * @returns {Promise<User[]>}
+     */
+    async list() {
+	return (await this.swb.getUsers()).map(u => this.wrap(u));
+    }
+
+    /**
+     * Creates a federated user.
+     *
+     * @param {string} email - User's email address
+     * @param {Object} details
+     * @param {IdProvider|string=} details.idp - The identity provider or
+     *   its name (default swb.defaults.idp)
+     * @param {string} details.adpUrl - Cognito provider url
+     * @param {string=} details.role - User's role within SWB (default researcher)
+     *
+     * @returns {Promise<User>}
+     */
+    async create(email, { idp = this.swb.defaults.idp, adpUrl, role = "researcher" }) {
+	if (idp === undefined)
+	    throw new SwbValidationError(`user ${email} needs an identity provider`, { code: 'invalidIdp' });
+	if (typeof idp === 'string') {
+	    const name = idp;
+	    idp = await this.swb.getIdp(name);
+	    if (!idp)
+		throw new SwbNotFoundError(`unknown identity provider "${name}"`,
+					   { method: 'GET', path: '/api/authentication/public/provider/configs' });
+	}
+	return this.wrap(await this.swb.addFederatedUser(idp, adpUrl, email, role));
+    }
+}
+
+/**
+ * swb.studies
+ */
+class Studies {
+    /** @param {SWB} swb */
+    constructor(swb) {
+	this.swb = swb;
+    }
+
+    /**
+     * Wraps a study record.
+     *
+     * @param {Object} record
+     *
+     * @returns {Study}
+     */
+    wrap(record) {
+	return new Study(this.swb, record);
+    }
+
+    /**
+     * @param {string} studyId
+     *
+     * @returns {Promise<Study>}
+     */
+    async get(studyId) {
+	return this.wrap(await this.swb.getStudy(studyId));
+    }
+
+    /**
+     * @param {string=} category - "Organization" (default) or "My Studies"
+     *
+     * @returns {Promise<Study[]>}
+     */
+    async list(category) {
+	return (await this.swb.getStudies(category)).map(s => this.wrap(s));
+    }
+
+    /**
+     * Creates a study.
+     *
+     * @param {string} id - An id for the study
+     * @param {Object} details
+     * @param {Project|string} details.project - The project or its id
+     * @param {string=} details.name - Human-readable name (defaults to the id)
+     * @param {string=} details.description
+     * @param {string=} details.category - "Organization" (default) or "My Studies"
+     * @param {string=} details.studyType - "unstructured" (default) or "structured"
+     * @param {bool=} details.uploadLocationEnabled - default true
+     *
+     * @returns {Promise<Study>}
+     */
+    async create(id, { project, name = id, description = "", category, studyType,
+		       uploadLocationEnabled }) {
+	return this.wrap(await this.swb.createStudy(
+	    id, name, description, idOf(project), category, studyType, uploadLocationEnabled));
+    }
+}
+
+export {
+    Project,
+    User,
+    Study,
+    Projects,
+    Users,
+    Studies,
+};
@@ -0,0 +1,122 @@
+/**
+ * @description Retry policy helpers for SWB requests
+ * module:retry
+ */
+
+/**
+ * @typedef RetryPolicy
+ * @property {number} retries - How many times a request may be retried (0 disables)
+ * @property {number} minDelay - Delay before the first retry, in ms
+ * @property {number} maxDelay - Upper bound for any single delay, in ms
+ * @property {number} factor - Growth of the delay between attempts
+ * @property {bool} jitter - Randomise delays so parallel clients spread out
+ */
+
+/** @type {RetryPolicy} */
+const defaultRetryPolicy = {
+    retries: 3,
+    minDelay: 250,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+};
+
+// methods which can safely be sent twice
+const idempotentMethods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+/**
+ * Builds a complete policy from user options.
+ *
+ * @param {RetryPolicy|bool|undefined} options - false disables retries
+ *
+ * @returns {RetryPolicy}
+ */
+function retryPolicy(options) {
+    if (options === false)
+	return { ...defaultRetryPolicy, retries: 0 };
+    return { ...defaultRetryPolicy, ...options };
+}
+
+/**
+ * Whether a request should be retried. Throttled (429) requests
+ * were never processed and are always retried; server errors and
+ * network failures only for idempotent methods.
+ *
+ * @param {string} method - HTTP method
+ * @param {number=} status - HTTP status, undefined for a network error
+ *
+ * @returns {bool}
+ */
+function isRetryable(method, status) {
+    if (status === 429)
+	return true;
+    if (!idempotentMethods.includes(method))
+	return false;
+    return status === undefined || status === 408 || status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter. A Retry-After value from the
+ * server takes precedence when given.
+ *
+ * @param {RetryPolicy} policy
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @param {number=} retryAfter - Delay requested by the server, in ms
+ *
+ * @returns {number} Delay in ms
+ */
+function retryDelay(policy, attempt, retryAfter) {
+    if (retryAfter !== undefined)
+	return Math.min(retryAfter, policy.maxDelay);
+
+    const delay = Math.min(policy.minDelay * policy.factor ** attempt, policy.maxDelay);
+    return policy.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Parses a Retry-After header, which is either seconds or a date.
+ *
+ * @param {string|null} header
+ *
+ * @returns {number|undefined} Delay in ms
+ */
+function parseRetryAfter(header) {
+    if (!header)
+	return undefined;
+    if (/^\d+$/.test(header))
+	return Number(header) * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Waits for the given time, or until the signal aborts.
+ *
+ * @param {number} ms
+ * @param {AbortSignal=} signal
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+	if (signal?.aborted)
+	    return reject(signal.reason);
+
+	const onAbort = () => {
+	    clearTimeout(timer);
+	    reject(signal.reason);
+	};
+	const timer = setTimeout(() => {
+	    signal?.removeEventListener('abort', onAbort);
+	    resolve();
+	}, ms);
+	signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+export {
+    defaultRetryPolicy,
+    retryPolicy,
+    isRetryable,
+    retryDelay,
+    parseRetryAfter,
+    sleep,
+};
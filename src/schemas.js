@@ -0,0 +1,358 @@
+/**
+ * @description Schemas of the records SWB returns. They are checked
+ * against responses in strict mode and turned into the TypeScript
+ * definitions in types/entities.d.ts by scripts/generate-types.js.
+ *
+ * Each field is [type, description]. Types are string, number,
+ * boolean, object, unknown, the name of another entity or a union of
+ * quoted literals; "[]" makes a list and a trailing "?" marks fields
+ * SWB may leave out (or send as null). Fields which are not listed
+ * are allowed, so additions in new SWB releases do not fail.
+ * module:schemas
+ */
+import { SwbValidationError } from "./errors.js";
+
+const entities = {
+    IdProvider: {
+	description: "A SWB identity provider",
+	fields: {
+	    id: ["string", "ID of provider"],
+	    title: ["string?", "Descriptive name"],
+	    type: ["string", "Federated or internal"],
+	    credentialHandlingType: ["string?", "How credentials are handled, e.g. redirect"],
+	    signInUri: ["string?", "URI for logging in"],
+	    signOutUri: ["string?", "URI for logging out"],
+	},
+    },
+
+    User: {
+	description: "A SWB user",
+	fields: {
+	    uid: ["string", "The user's ID (u-***********)"],
+	    username: ["string", "Should always match email"],
+	    usernameInIdp: ["string?", "Should always match email"],
+	    email: ["string?", "Email address of user"],
+	    firstName: ["string?", "User's firstname"],
+	    lastName: ["string?", "The user's surname"],
+	    applyReason: ["string?", "Why the user asked for access"],
+	    identityProviderName: ["string", "Name of the SWB identity provider"],
+	    authenticationProviderId: ["string?", "URL of Cognito pool provider"],
+	    ns: ["string?", "Combination of identityProviderName and authenticationProviderId"],
+	    encryptedCreds: ["string?", 'Should always be "N/A"'],
+	    isAdmin: ["boolean", "Whether the user has administrative rights in SWB"],
+	    isExternalUser: ["boolean?", "True for non-internal users"],
+	    projectId: ["string[]", "Project IDs the user can access"],
+	    status: ['"active"|"inactive"|"pending"', "Whether the account is enabled"],
+	    userRole: ["string", "User's role within SWB"],
+	    rev: ["number", "Revision number of the user record"],
+	    createdAt: ["string?", "Date of user creation"],
+	    createdBy: ["string?", "User ID who created the user"],
+	    updatedAt: ["string?", "When the user record was last updated"],
+	},
+    },
+
+    UserRole: {
+	description: "A role which can be given to users",
+	fields: {
+	    id: ["string", "Role ID, as used in a user's userRole"],
+	    description: ["string?", "Human-readable description"],
+	    userType: ['"INTERNAL"|"EXTERNAL"', "Kind of user the role is for"],
+	    rev: ["number?", "Revision number of the role record"],
+	},
+    },
+
+    AwsAccount: {
+	description: "An AWS account hosting SWB resources",
+	fields: {
+	    id: ["string", "The SWB ID of the account record"],
+	    accountId: ["string?", "The 12 digit AWS account number"],
+	    name: ["string?", "Human-readable name"],
+	    description: ["string?", "Human-readable description"],
+	    roleArn: ["string?", "Role SWB assumes in the account"],
+	    externalId: ["string?", "External ID used when assuming the role"],
+	    vpcId: ["string?", "VPC which environments are launched into"],
+	    subnetId: ["string?", "Subnet which environments are launched into"],
+	    encryptionKeyArn: ["string?", "KMS key for the account's resources"],
+	    rev: ["number?", "Revision number of the account record"],
+	},
+    },
+
+    Index: {
+	description: "An index, grouping projects under an AWS account",
+	fields: {
+	    id: ["string", "The index ID"],
+	    awsAccountId: ["string", "SWB ID of the hosting AWS account"],
+	    description: ["string?", "Human-readable description"],
+	    rev: ["number", "Revision number of the index record"],
+	    createdAt: ["string?", "Date of index creation"],
+	    createdBy: ["string?", "User ID who created the index"],
+	    updatedAt: ["string?", "The date of last record update"],
+	    updatedBy: ["string?", "User ID of who last updated the index"],
+	},
+    },
+
+    Project: {
+	description: "A SWB project",
+	fields: {
+	    id: ["string", "The project ID"],
+	    description: ["string?", "Human-readable description of the project"],
+	    indexId: ["string", "The index which the project belongs to"],
+	    projectAdmins: ["string[]?", "List of project admin user IDs"],
+	    projectSecurityGroup: ["string?", "AWS security group for project"],
+	    rev: ["number", "Revision number of the project record"],
+	    createdAt: ["string?", "Date of project creation"],
+	    createdBy: ["string?", "User ID who created the project"],
+	    updatedAt: ["string?", "The date of last record update"],
+	    updatedBy: ["string?", "User ID of who last updated the project"],
+	},
+    },
+
+    StudyResource: {
+	description: "An AWS resource holding study data",
+	fields: {
+	    arn: ["string", "Amazon Resource Name of the resource"],
+	},
+    },
+
+    Study: {
+	description: "A SWB study",
+	fields: {
+	    id: ["string", "The study ID"],
+	    name: ["string?", "The study's name"],
+	    description: ["string?", "Human-readable description of the study"],
+	    category: ['"Organization"|"My Studies"|"Open Data"?', "Which list the study appears in"],
+	    projectId: ["string[]?", "Projects which the study belongs to (should only contain 1)"],
+	    studyType: ['"structured"|"unstructured"?', "Whether it's structured or unstructured"],
+	    uploadLocationEnabled: ["boolean?", "Whether uploading from SWB is enabled"],
+	    access: ["string?", "Whether the current user has readonly or admin access"],
+	    resources: ["StudyResource[]?", "Resources holding the study's data"],
+	    rev: ["number", "Revision number of the study record"],
+	    createdAt: ["string?", "Date of study creation"],
+	    createdBy: ["string?", "User ID who created the study"],
+	    updatedAt: ["string?", "The date of last record update"],
+	    updatedBy: ["string?", "User ID of who last updated the study"],
+	},
+    },
+
+    StudyPermission: {
+	description: "Who may use a study",
+	fields: {
+	    id: ["string?", "The study ID"],
+	    adminUsers: ["string[]", "List of admin user IDs"],
+	    readonlyUsers: ["string[]", "List of read-only user IDs"],
+	    createdAt: ["string?", "Date the permissions were created"],
+	    createdBy: ["string?", "User ID who created the study permissions"],
+	    updatedAt: ["string?", "The date of last record update"],
+	},
+    },
+
+    StudyFile: {
+	description: "A file uploaded to a study",
+	fields: {
+	    filename: ["string", "Name of the file"],
+	    size: ["number", "Size in bytes"],
+	    lastModified: ["string?", "When the file was last written"],
+	    fullPath: ["string?", "Key of the file in the study bucket"],
+	},
+    },
+
+    ServiceCatalogProduct: {
+	description: "A Service Catalog product",
+	fields: {
+	    productId: ["string", "The product ID (prod-...)"],
+	    name: ["string?", "Product name"],
+	},
+    },
+
+    ServiceCatalogProductVersion: {
+	description: "A version (provisioning artifact) of a Service Catalog product",
+	fields: {
+	    id: ["string", "The version ID (pa-...)"],
+	    name: ["string?", "Version name"],
+	    description: ["string?", "Version description"],
+	    active: ["boolean?", "Whether the version can be launched"],
+	},
+    },
+
+    WorkspaceType: {
+	description: "A workspace type, made from a Service Catalog product version",
+	fields: {
+	    id: ["string", "The unique ID of the workspace type (product ID + version ID)"],
+	    name: ["string", "Name shown to users"],
+	    desc: ["string?", "Workspace type description"],
+	    status: ['"approved"|"not-approved"', "Whether configurations of it can be used"],
+	    params: ["object[]?", "The CloudFormation parameters the configurations can set"],
+	    product: ["ServiceCatalogProduct", "The Service Catalog product"],
+	    provisioningArtifact: ["ServiceCatalogProductVersion", "The product version"],
+	    rev: ["number", "Revision number of the workspace type record"],
+	    createdAt: ["string?", "Date the workspace type was imported"],
+	    createdBy: ["string?", "The user who imported the workspace type"],
+	    updatedAt: ["string?", "The date of last record update"],
+	    updatedBy: ["string?", "User ID of who last updated the workspace type"],
+	},
+    },
+
+    WorkspaceTypeCandidate: {
+	description: "A Service Catalog product version which can be imported",
+	fields: {
+	    id: ["string", "Product ID and version ID, used as the workspace type ID"],
+	    name: ["string", "Product name"],
+	    description: ["string?", "Product description"],
+	    product: ["ServiceCatalogProduct", "The Service Catalog product"],
+	    provisioningArtifact: ["ServiceCatalogProductVersion", "The product version"],
+	    params: ["object[]?", "The product's CloudFormation parameters"],
+	},
+    },
+
+    WorkspaceConfiguration: {
+	description: "A preset of parameters for a workspace type",
+	fields: {
+	    id: ["string", "Configuration ID, unique within the workspace type"],
+	    name: ["string", "Name shown when creating a workspace"],
+	    desc: ["string?", "Description"],
+	    estimatedCostInfo: ["string?", "Cost guidance shown to users"],
+	    allowRoleIds: ["string[]?", "User roles which may use the configuration"],
+	    denyRoleIds: ["string[]?", "User roles which may not"],
+	    params: ["object[]?", "Values for the workspace type's params, as { key, value }"],
+	    tags: ["object[]?", "Tags for the provisioned product, as { key, value }"],
+	    rev: ["number", "Revision number of the configuration record"],
+	},
+    },
+
+    Environment: {
+	description: "A research environment (workspace)",
+	fields: {
+	    id: ["string", "The environment's ID"],
+	    name: ["string", "Name given when the environment was created"],
+	    description: ["string?", "Human-readable description"],
+	    envTypeId: ["string", "The workspace type the environment was built from"],
+	    envTypeConfigId: ["string", "The workspace configuration used"],
+	    projectId: ["string", "The project the environment belongs to"],
+	    studyIds: ["string[]?", "Studies mounted in the environment"],
+	    status: ["string?", "e.g. PENDING, COMPLETED, STOPPED, TERMINATED or FAILED; missing while first provisioned"],
+	    outputs: ["object[]?", "Service Catalog outputs of the environment"],
+	    rev: ["number", "Revision number of the environment record"],
+	    createdAt: ["string?", "Date of environment creation"],
+	    createdBy: ["string?", "User ID of the owner"],
+	    updatedAt: ["string?", "The date of last record update"],
+	},
+    },
+
+    EnvironmentConnection: {
+	description: "A way of connecting to an environment",
+	fields: {
+	    id: ["string", "Connection ID, used with createConnectionUrl"],
+	    name: ["string?", "Connection name"],
+	    type: ["string?", 'e.g. "SageMaker", "RStudioV2" or "ssh"'],
+	    scheme: ["string?", 'e.g. "https" or "rdp"'],
+	    url: ["string?", "Address of the connection, where known"],
+	    info: ["string?", "Additional information"],
+	},
+    },
+
+    CostEntry: {
+	description: "A day's spend, as returned by the costs endpoint",
+	fields: {
+	    startDate: ["string", "The day, as YYYY-MM-DD"],
+	    cost: ["object", "Spend per AWS service, each { amount, unit }"],
+	},
+    },
+};
+
+/**
+ * Splits a field type into its parts.
+ *
+ * @param {string} type - e.g. "string[]?" or '"a"|"b"'
+ *
+ * @returns {{ base: string, list: bool, optional: bool }}
+ */
+function parseType(type) {
+    const optional = type.endsWith('?');
+    if (optional) type = type.slice(0, -1);
+    const list = type.endsWith('[]');
+    if (list) type = type.slice(0, -2);
+    return { base: type, list, optional };
+}
+
+// describes a value for error messages
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value);
+    return typeof value === 'object' ? 'an object' : `${typeof value} ${value}`;
+}
+
+/**
+ * Finds the first place where a value does not match a type.
+ *
+ * @param {*} value
+ * @param {string} type - A field type, e.g. "User[]"
+ * @param {string} at - Where the value is, for messages
+ *
+ * @returns {{ field: string, expected: string, actual: string }|undefined}
+ */
+function findMismatch(value, type, at) {
+    const { base, list, optional } = parseType(type);
+    if (value === undefined || value === null)
+	return optional ? undefined : { field: at, expected: type.replace(/\?$/, ''), actual: 'missing' };
+
+    if (list) {
+	if (!Array.isArray(value))
+	    return { field: at, expected: `a list of ${base}`, actual: describe(value) };
+	for (let i = 0; i < value.length; i++) {
+	    const problem = findMismatch(value[i], base, `${at}[${i}]`);
+	    if (problem) return problem;
+	}
+	return undefined;
+    }
+
+    const entity = entities[base];
+    if (entity) {
+	if (typeof value !== 'object' || Array.isArray(value))
+	    return { field: at, expected: base, actual: describe(value) };
+	for (const [name, [fieldType]] of Object.entries(entity.fields)) {
+	    const problem = findMismatch(value[name], fieldType, at ? `${at}.${name}` : name);
+	    if (problem) return problem;
+	}
+	return undefined;
+    }
+
+    if (base.startsWith('"')) {
+	const allowed = base.split('|').map(s => JSON.parse(s));
+	return allowed.includes(value) ? undefined
+	    : { field: at, expected: `one of ${allowed.join(', ')}`, actual: describe(value) };
+    }
+
+    const ok = base === 'unknown'
+	  || (base === 'object' ? typeof value === 'object' && !Array.isArray(value)
+	      : typeof value === base);
+    return ok ? undefined : { field: at, expected: base, actual: describe(value) };
+}
+
+/**
+ * Checks a response against a schema, raising a SwbValidationError
+ * which names the first offending field.
+ *
+ * @param {*} value - The parsed response
+ * @param {string} type - e.g. "Project" or "User[]"
+ * @param {string} where - What returned it, e.g. "GET /api/projects"
+ *
+ * @returns {*} value
+ */
+function validateResponse(value, type, where) {
+    const problem = findMismatch(value, type, '');
+    if (problem) {
+	const field = problem.field.startsWith('.') || !problem.field.match(/^\w/)
+	      ? `response${problem.field}` : problem.field;
+	throw new SwbValidationError(
+	    `${where}: ${field} should be ${problem.expected}, got ${problem.actual}`,
+	    { code: 'invalidResponse', body: { ...problem, field, type } });
+    }
+    return value;
+}
+
+export {
+    entities,
+    parseType,
+    validateResponse,
+};
@@ -0,0 +1,338 @@
+/**
+ * @description Snapshots of an SWB deployment's configuration: users,
+ * projects, indexes, studies with their permissions, and workspace
+ * types with their configurations, as one versioned JSON document
+ * which can be compared with another or replayed.
+ * module:snapshot
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { SwbValidationError } from "./errors.js";
+import { diffRecords } from "./journal.js";
+import { planManifest, applyPlan } from "./reconcile.js";
+
+const snapshotFormat = "aws-swb-snapshot";
+const snapshotVersion = 1;
+
+/**
+ * @typedef Snapshot
+ * @property {string} format - Always "aws-swb-snapshot"
+ * @property {number} version - Version of the document layout, currently 1
+ * @property {string} api - The SWB instance the snapshot was taken from
+ * @property {string} takenAt - ISO 8601 time the snapshot was taken
+ * @property {User[]} users
+ * @property {Index[]} indexes
+ * @property {Project[]} projects
+ * @property {Object[]} studies - Organisation studies, each with
+ *   permissions: { adminUsers, readonlyUsers }
+ * @property {Object[]} workspaceTypes - Workspace types, each with
+ *   their configurations
+ */
+
+/**
+ * @typedef SnapshotChange
+ * @property {string} section - users, indexes, projects, studies,
+ *   workspaceTypes or workspaceConfigurations
+ * @property {string} id - uid or id of the record; workspace
+ *   configurations are given as workspaceTypeId/configId
+ * @property {string} change - "added", "removed" or "changed"
+ * @property {FieldChange[]} fields - For changed records, what differs
+ */
+
+/**
+ * @typedef SnapshotDiff
+ * @property {Object} from - api and takenAt of the older snapshot
+ * @property {Object} to - api and takenAt of the newer snapshot
+ * @property {SnapshotChange[]} changes
+ */
+
+// sections of a snapshot and the field which identifies their records
+const sections = {
+    users: "uid",
+    indexes: "id",
+    projects: "id",
+    studies: "id",
+    workspaceTypes: "id",
+};
+
+const byKey = key => (a, b) => String(a[key]).localeCompare(String(b[key]));
+
+// who made a record and when says nothing about how it is set up,
+// and differs whenever a record is recreated
+const withoutCreation = ({ createdAt, createdBy, ...record }) => record;
+
+/**
+ * Reads everything a snapshot holds from SWB. The user list is
+ * reloaded rather than taken from the cache.
+ *
+ * @param {SWB} swb - A logged-in client
+ *
+ * @returns {Promise<Snapshot>}
+ */
+async function takeSnapshot(swb) {
+    await swb.userDirectory.refresh();
+    const [users, indexes, projects, studies, workspaceTypes] = await Promise.all([
+	swb.getUsers(),
+	swb.getIndexes(),
+	swb.getProjects(),
+	swb.getStudies("Organization"),
+	swb.getWorkspaceTypes(),
+    ]);
+
+    const snapshot = {
+	format: snapshotFormat,
+	version: snapshotVersion,
+	api: swb.api,
+	takenAt: new Date().toISOString(),
+	users: structuredClone(users),
+	indexes: structuredClone(indexes),
+	projects: structuredClone(projects),
+	studies: await Promise.all(studies.map(async s => {
+	    const { adminUsers = [], readonlyUsers = [] } = await swb.getStudyPermissions(s.id);
+	    // access is the caller's own, not part of the study
+	    const { access, ...study } = s;
+	    return { ...study, permissions: {
+		adminUsers: [...adminUsers].sort(),
+		readonlyUsers: [...readonlyUsers].sort(),
+	    } };
+	})),
+	workspaceTypes: await Promise.all(workspaceTypes.map(async t => ({
+	    ...t,
+	    configurations: (await swb.getWorkspaceConfigurations(t.id)).sort(byKey("id")),
+	}))),
+    };
+    for (const [section, key] of Object.entries(sections))
+	snapshot[section].sort(byKey(key));
+    return snapshot;
+}
+
+/**
+ * Checks that a document is a snapshot this version can read.
+ *
+ * @param {Snapshot} snapshot
+ */
+function validateSnapshot(snapshot) {
+    const fail = (problem) => {
+	throw new SwbValidationError(`not a usable snapshot: ${problem}`, { code: 'invalidSnapshot' });
+    };
+    if (snapshot?.format !== snapshotFormat)
+	fail(`format should be "${snapshotFormat}"`);
+    if (!Number.isInteger(snapshot.version) || snapshot.version > snapshotVersion)
+	fail(`version ${snapshot.version} is not supported, expected at most ${snapshotVersion}`);
+    for (const section of Object.keys(sections))
+	if (!Array.isArray(snapshot[section]))
+	    fail(`${section} must be a list`);
+}
+
+/**
+ * Reads a snapshot from a JSON file.
+ *
+ * @param {string} file
+ *
+ * @returns {Promise<Snapshot>}
+ */
+async function loadSnapshot(file) {
+    const snapshot = JSON.parse(await readFile(file, 'utf8'));
+    validateSnapshot(snapshot);
+    return snapshot;
+}
+
+/**
+ * Writes a snapshot to a JSON file.
+ *
+ * @param {string} file
+ * @param {Snapshot} snapshot
+ */
+async function saveSnapshot(file, snapshot) {
+    await writeFile(file, JSON.stringify(snapshot, null, 2) + '\n');
+}
+
+// workspace configurations keyed by workspaceTypeId/configId
+function configurations(snapshot) {
+    return snapshot.workspaceTypes.flatMap(t =>
+	(t.configurations ?? []).map(c => ({ ...c, key: `${t.id}/${c.id}` })));
+}
+
+/**
+ * Compares two snapshots, listing the records added, removed and
+ * changed going from a to b. Revisions and creation and update
+ * timestamps are ignored.
+ *
+ * @param {Snapshot} a - The older snapshot
+ * @param {Snapshot} b - The newer snapshot
+ *
+ * @returns {SnapshotDiff}
+ */
+function diffSnapshots(a, b) {
+    validateSnapshot(a);
+    validateSnapshot(b);
+    const changes = [];
+
+    const compare = (section, key, before, after, strip = withoutCreation) => {
+	const was = new Map(before.map(r => [r[key], r]));
+	const now = new Map(after.map(r => [r[key], r]));
+	for (const [id, r] of now) {
+	    if (!was.has(id)) {
+		changes.push({ section, id, change: "added", fields: [] });
+		continue;
+	    }
+	    const fields = diffRecords(strip(was.get(id)), strip(r));
+	    if (fields.length)
+		changes.push({ section, id, change: "changed", fields });
+	}
+	for (const id of was.keys())
+	    if (!now.has(id))
+		changes.push({ section, id, change: "removed", fields: [] });
+    };
+
+    for (const [section, key] of Object.entries(sections))
+	compare(section, key, a[section], b[section],
+		section === 'workspaceTypes' ? ({ configurations: _, ...t }) => withoutCreation(t) : undefined);
+    compare("workspaceConfigurations", "key", configurations(a), configurations(b),
+	    ({ key, ...c }) => withoutCreation(c));
+
+    return {
+	from: { api: a.api, takenAt: a.takenAt },
+	to: { api: b.api, takenAt: b.takenAt },
+	changes,
+    };
+}
+
+/**
+ * Renders a snapshot diff as text, one record per line with the
+ * fields which changed under it.
+ *
+ * @param {SnapshotDiff} diff
+ *
+ * @returns {string}
+ */
+function formatSnapshotDiff(diff) {
+    const mark = { added: "+", removed: "-", changed: "~" };
+    const show = v => v === undefined ? "(none)" : JSON.stringify(v);
+    const lines = [];
+    for (const c of diff.changes) {
+	lines.push(`${mark[c.change]} ${c.section} ${c.id}`);
+	c.fields.forEach(f => lines.push(`    ${f.field}: ${show(f.before)} -> ${show(f.after)}`));
+    }
+    const count = diff.changes.length;
+    lines.push(count ? `${count} ${count === 1 ? "record differs" : "records differ"}.` : "No differences.");
+    return lines.join('\n');
+}
+
+/**
+ * Works out the changes which would bring SWB back to a snapshot.
+ * Projects, studies, project membership and study permissions go
+ * through planManifest; missing indexes and workspace configurations
+ * are created, and changed configurations updated. Users and
+ * workspace types cannot be recreated, so anything referring to a
+ * missing one is left out with a warning. Only reads from SWB.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {Snapshot} snapshot
+ *
+ * @returns {Promise<Plan>}
+ */
+async function planRestore(swb, snapshot) {
+    validateSnapshot(snapshot);
+    const current = await takeSnapshot(swb);
+    const warnings = [];
+
+    const uids = new Set(current.users.map(u => u.uid));
+    const known = (list = [], what) => {
+	const missing = list.filter(uid => !uids.has(uid));
+	if (missing.length)
+	    warnings.push(`${what}: users ${missing.join(', ')} no longer exist and are left out`);
+	return list.filter(uid => uids.has(uid));
+    };
+
+    const manifest = {
+	projects: snapshot.projects.map(p => ({
+	    id: p.id,
+	    description: p.description,
+	    index: p.indexId,
+	    admins: known(p.projectAdmins, `project ${p.id} admins`),
+	    members: known(snapshot.users.filter(u => u.projectId?.includes(p.id)).map(u => u.uid),
+			   `project ${p.id} members`),
+	    studies: snapshot.studies.filter(s => s.projectId?.[0] === p.id).map(s => ({
+		id: s.id,
+		name: s.name,
+		description: s.description,
+		category: s.category,
+		studyType: s.studyType,
+		uploadLocationEnabled: s.uploadLocationEnabled,
+		admins: known(s.permissions?.adminUsers, `study ${s.id} admins`),
+		readonly: known(s.permissions?.readonlyUsers, `study ${s.id} readonly users`),
+	    })),
+	})),
+    };
+    const plan = await planManifest(swb, manifest);
+    const steps = [];
+    const step = (action, summary, params) => steps.push({ action, summary, params });
+
+    for (const index of snapshot.indexes) {
+	if (!current.indexes.some(i => i.id === index.id))
+	    step('createIndex', `+ create index ${index.id} (AWS account ${index.awsAccountId})`,
+		 { indexId: index.id, awsAccountId: index.awsAccountId,
+		   description: index.description ?? "" });
+    }
+
+    const have = new Map(configurations(current).map(c => [c.key, c]));
+    for (const type of snapshot.workspaceTypes) {
+	if (!current.workspaceTypes.some(t => t.id === type.id)) {
+	    if (type.configurations?.length)
+		warnings.push(`workspace type ${type.id} does not exist, its configurations are left out`);
+	    continue;
+	}
+	for (const config of type.configurations ?? []) {
+	    const was = have.get(`${type.id}/${config.id}`);
+	    if (!was) {
+		step('createWorkspaceConfiguration',
+		     `+ create configuration ${config.id} of workspace type ${type.id}`,
+		     { workspaceTypeId: type.id, config });
+		continue;
+	    }
+	    const { key, ...existing } = was;
+	    const fields = diffRecords(withoutCreation(existing), withoutCreation(config))
+		.filter(f => f.field !== 'allowedToUse');
+	    if (fields.length)
+		step('updateWorkspaceConfiguration',
+		     `~ update configuration ${config.id} of workspace type ${type.id}: ` +
+		     fields.map(f => f.field).join(', '),
+		     { workspaceTypeId: type.id, config: { ...config, rev: existing.rev } });
+	}
+    }
+
+    return {
+	// indexes first, so new projects can go in them
+	steps: [...steps.filter(s => s.action === 'createIndex'), ...plan.steps,
+		...steps.filter(s => s.action !== 'createIndex')],
+	warnings: [...warnings, ...plan.warnings],
+    };
+}
+
+/**
+ * Replays a snapshot: plans the restore and carries it out.
+ *
+ * @param {SWB} swb - A logged-in client
+ * @param {Snapshot} snapshot
+ * @param {Object=} options
+ * @param {bool=} options.continueOnError - Carry on after a failed step
+ *
+ * @returns {Promise<Object>} The plan and the ApplyResult of each step
+ */
+async function restoreSnapshot(swb, snapshot, options) {
+    const plan = await planRestore(swb, snapshot);
+    return { plan, results: await applyPlan(swb, plan, options) };
+}
+
+export {
+    snapshotFormat,
+    snapshotVersion,
+    takeSnapshot,
+    validateSnapshot,
+    loadSnapshot,
+    saveSnapshot,
+    diffSnapshots,
+    formatSnapshotDiff,
+    planRestore,
+    restoreSnapshot,
+};
@@ -1,77 +1,777 @@
 import fetch from "node-fetch";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { EventEmitter } from "node:events";
+import {
+    SwbApiError,
+    SwbAuthError,
+    SwbNotFoundError,
+    SwbConflictError,
+    SwbTimeoutError,
+    SwbValidationError,
+    errorFromResponse,
+} from "./errors.js";
+import ConcurrencyLimiter from "./limiter.js";
+import UserDirectory from "./directory.js";
+import { readModifyWrite, mergeChanges } from "./merge.js";
+import ChangeJournal from "./journal.js";
+import { mutationEvents } from "./events.js";
+import { uploadSource, postFile } from "./uploads.js";
+import { validateResponse } from "./schemas.js";
+import { Projects, Users, Studies } from "./resources.js";
+import {
+    InternalAuthenticator,
+    TokenAuthenticator,
+    EnvTokenAuthenticator,
+    FileTokenAuthenticator,
+    CallbackAuthenticator,
+    FederatedAuthenticator,
+} from "./auth.js";
+import {
+    loadManifest,
+    planManifest,
+    applyPlan,
+    formatPlan,
+} from "./reconcile.js";
+import { generateAccessReport, formatAccessReport } from "./report.js";
+import { offboardUser } from "./offboard.js";
+import { readProfile, profileAuthenticator } from "./profiles.js";
+import { copyWorkspaceConfigurationsTo, copyStudiesTo } from "./transfer.js";
+import Watcher from "./watch.js";
+import {
+    costRange,
+    mergeCosts,
+    generateCostReport,
+    loadBudgets,
+    checkBudgets,
+} from "./costs.js";
+import {
+    projectDependants,
+    userDependants,
+    studyDependants,
+    configurationDependants,
+    checkDelete,
+} from "./guards.js";
+import {
+    takeSnapshot,
+    loadSnapshot,
+    saveSnapshot,
+    diffSnapshots,
+    formatSnapshotDiff,
+    restoreSnapshot,
+} from "./snapshot.js";
+import {
+    retryPolicy,
+    isRetryable,
+    retryDelay,
+    parseRetryAfter,
+    sleep,
+} from "./retry.js";
+
+// per-call request options set through SWB#withRequestOptions
+const requestScope = new AsyncLocalStorage();
+
+// fields of user, project and index records which a PUT may change
+const updatableUserFields = [
+    "applyReason", "email", "firstName", "isAdmin", "isExternalUser",
+    "lastName", "projectId", "status", "userRole",
+];
+const updatableProjectFields = ["description", "indexId", "projectAdmins"];
+const updatableIndexFields = ["awsAccountId", "description"];
+const updatableWorkspaceTypeFields = ["name", "desc", "status", "params"];
+
+const studyCategories = ["Organization", "My Studies"];
+const studyTypes = ["unstructured", "structured"];
+
+/**
+ * Fails unless category is a study category SWB knows.
+ *
+ * @param {string} category
+ */
+function checkCategory(category) {
+    if (!studyCategories.includes(category))
+	throw new SwbValidationError(
+	    `invalid study category "${category}", expected one of: ${studyCategories.join(', ')}`,
+	    { code: 'invalidCategory' });
+}
+
+/**
+ * Makes a workspace configuration body, dropping the fields SWB
+ * maintains itself.
+ *
+ * @param {WorkspaceConfiguration} config
+ *
+ * @returns {Object}
+ */
+function configurationBody(config) {
+    const body = { ...config };
+    delete body['createdBy'];
+    delete body['updatedBy'];
+    delete body['createdAt'];
+    delete body['updatedAt'];
+    delete body['allowedToUse'];
+    return body;
+}
+
+/**
+ * Makes a new user object excluding non-updatable properties.
+ *
+ * @param {User} u - The user record
+ * @param {number} rev - The rev the update is based on
+ *
+ * @returns {Object}
+ */
+function userBody(u, rev) {
+    const body = { rev };
+    updatableUserFields.forEach(f => { body[f] = u[f]; });
+    return body;
+}
+
+/**
+ * Applies a study permission update request to a StudyPermission,
+ * as SWB would.
+ *
+ * @param {StudyPermission=} perms - Current permissions
+ * @param {Object} body - usersToAdd and usersToRemove, as sent to SWB
+ *
+ * @returns {StudyPermission}
+ */
+function applyPermissionChanges(perms, { usersToAdd, usersToRemove }) {
+    const levels = {
+	admin: new Set(perms?.adminUsers ?? []),
+	readonly: new Set(perms?.readonlyUsers ?? []),
+    };
+    usersToRemove.forEach(({ uid, permissionLevel }) => levels[permissionLevel].delete(uid));
+    usersToAdd.forEach(({ uid, permissionLevel }) => levels[permissionLevel].add(uid));
+
+    return {
+	...perms,
+	adminUsers: [...levels.admin],
+	readonlyUsers: [...levels.readonly],
+    };
+}
+
+/**
+ * Works out the smallest study permission update which gives each
+ * listed level exactly the wanted users, or with additive set, at
+ * least them. A user holds one level at a time, so one being moved
+ * to the other level is removed from their old one.
+ *
+ * @param {StudyPermission=} perms - Current permissions
+ * @param {Object} wanted - uids keyed by "admin" and "readonly";
+ *   a level which is left out is not changed
+ * @param {bool} additive - Never remove users who are not listed
+ *
+ * @returns {Object} usersToAdd and usersToRemove
+ */
+function studyPermissionChanges(perms, wanted, additive) {
+    const current = {
+	admin: perms?.adminUsers ?? [],
+	readonly: perms?.readonlyUsers ?? [],
+    };
+    const usersToAdd = [];
+    const removals = new Map();
+    const remove = (uid, permissionLevel) =>
+	  removals.set(`${permissionLevel}:${uid}`, { uid, permissionLevel });
+
+    for (const [level, other] of [["admin", "readonly"], ["readonly", "admin"]]) {
+	const want = wanted[level];
+	if (want === undefined)
+	    continue;
+
+	for (const uid of new Set(want)) {
+	    if (!current[level].includes(uid))
+		usersToAdd.push({ uid, permissionLevel: level });
+	    if (current[other].includes(uid))
+		remove(uid, other);
+	}
+	if (!additive)
+	    current[level].filter(uid => !want.includes(uid)).forEach(uid => remove(uid, level));
+    }
+
+    return { usersToAdd, usersToRemove: [...removals.values()] };
+}
 
 /**
- * @description API client for Service Workbench
+ * Reads the expiry time from a Cognito id token (a JWT).
+ *
+ * @param {string} token - The id token
+ *
+ * @returns {number|undefined} Expiry in ms since the epoch
+ */
+function tokenExpiry(token) {
+    try {
+	const payload = JSON.parse(
+	    Buffer.from(token.split('.')[1], 'base64url').toString());
+	return typeof payload.exp === 'number' ? payload.exp * 1000 : undefined;
+    } catch {
+	return undefined;
+    }
+}
+
+/**
+ * @description API client for Service Workbench. The client is an
+ * EventEmitter: see the README for the request and change events.
  * class module:SWB
  */
-class SWB {
-    #password;
+class SWB extends EventEmitter {
+    #authenticator;
     #token;
 
+    // expiry of #token in ms since the epoch, if it could be decoded
+    #tokenExpiry;
+
+    // in-flight authentication, shared by concurrent requests
+    #authenticating;
+
+    #refreshMargin;
+
+    #retry;
+    #timeout;
+    #limiter;
+
+    #conflictAttempts;
+
+    // original copies of rev-based records returned to callers
+    #bases = new WeakMap();
+
+    // "operation id" of every change pretended in dry-run mode, kept
+    // apart from the journal, which may drop old entries
+    #dryRunChanges = new Set();
+
+    // cache of user roles
+    #userRoles;
+
+    // numbers requests, so request and response events can be matched
+    #requestSeq = 0;
+
     // cache of authentication providers
     #authProviders;
 
-    authenticated = false;
     dryrun = false;
 
+    // check responses against module:schemas
+    strict = false;
+
+    /**
+     * Name of the profile the client was made from, if any
+     * @type {string|undefined}
+     */
+    profile;
+
+    /**
+     * Defaults for new records: idp, the identity provider name for
+     * new users, and index, the index ID for new projects
+     * @type {{ idp: (string|undefined), index: (string|undefined) }}
+     */
+    defaults = {};
+
     /**
-     * Creates a new instance of SWB
+     * Creates a new instance of SWB. Give a username and password to
+     * log in as an internal user, or pass options as the second
+     * argument with an authenticator.
+     *
+     * @example
+     * new SWB(api, 'admin@example.com', password);
+     * new SWB(api, { authenticator: new EnvTokenAuthenticator() });
      *
      * @param {string} api - The API address for SWB
-     * @param {string} username - The username of an admin account
-     * @param {string} password - The password of an admin account
+     * @param {string=} username - The username of an internal admin account
+     * @param {string=} password - The password of an internal admin account
+     * @param {Object=} options
+     * @param {Object=} options.authenticator - Supplies id tokens, see
+     *   module:auth
+     * @param {function(): Promise<string>=} options.tokenProvider - Called
+     *   to obtain a fresh id token, shorthand for a CallbackAuthenticator
+     * @param {number=} options.refreshMargin - Seconds before expiry at
+     *   which the token is renewed (default 60)
+     * @param {RetryPolicy|bool=} options.retry - Retry policy for throttled
+     *   and failed requests, or false to disable retries
+     * @param {number=} options.timeout - Timeout for each request in ms
+     * @param {number=} options.concurrency - Maximum requests in flight (default 10)
+     * @param {number=} options.userCacheTtl - How long the cached user list
+     *   stays fresh, in ms (default 5 minutes)
+     * @param {number=} options.conflictAttempts - How many times an update is
+     *   tried when the record keeps changing underneath it (default 3)
+     * @param {number=} options.journalSize - How many changes the journal
+     *   keeps (default 10000)
+     * @param {bool=} options.strict - Reject responses which do not match
+     *   the schemas with a SwbValidationError (default false)
      *
      * @returns {SWB}
      */
-    constructor(api, username, password) {
+    constructor(api, username, password, options = {}) {
+	super();
+	if (typeof username === 'object' && username !== null) {
+	    options = username;
+	    username = password = undefined;
+	}
 	this.api = api;
-	this.username = username;
-	this.#password = password;
+
+	if (options.authenticator)
+	    this.#authenticator = options.authenticator;
+	else if (options.tokenProvider)
+	    this.#authenticator = new CallbackAuthenticator(options.tokenProvider);
+	else if (password !== undefined)
+	    this.#authenticator = new InternalAuthenticator(username, password);
+	this.username = username ?? this.#authenticator?.username;
+
+	this.#refreshMargin = options.refreshMargin ?? 60;
+	this.#retry = retryPolicy(options.retry);
+	this.#timeout = options.timeout;
+	this.#limiter = new ConcurrencyLimiter(options.concurrency ?? 10);
+	this.#conflictAttempts = options.conflictAttempts ?? 3;
+	this.strict = options.strict ?? false;
+
+	/**
+	 * Cached user list, shared by all user lookups
+	 * @type {UserDirectory}
+	 */
+	this.userDirectory = new UserDirectory(
+	    () => this.#request('GET', '/api/users', { schema: 'User[]' }),
+	    { ttl: options.userCacheTtl });
+
+	/**
+	 * Every change made, or with dryrun set, every change which
+	 * would have been made
+	 * @type {ChangeJournal}
+	 */
+	this.journal = new ChangeJournal({ maxEntries: options.journalSize });
+
+	/**
+	 * Projects as resource objects, e.g. swb.projects.get(id)
+	 * @type {Projects}
+	 */
+	this.projects = new Projects(this);
+
+	/**
+	 * Users as resource objects, e.g. swb.users.get(uid)
+	 * @type {Users}
+	 */
+	this.users = new Users(this);
+
+	/**
+	 * Studies as resource objects, e.g. swb.studies.get(id)
+	 * @type {Studies}
+	 */
+	this.studies = new Studies(this);
+    }
+
+    /**
+     * Creates a client from a named profile in ~/.swb/config (or
+     * SWB_CONFIG_FILE), an ini or JSON file. The profile gives the
+     * API address, how to authenticate, the default identity provider
+     * and index, and whether to start in dry-run mode; SWB_API,
+     * SWB_USERNAME, SWB_PASSWORD, SWB_AUTH, SWB_IDP, SWB_INDEX and
+     * SWB_DRY_RUN override it.
+     *
+     * @example
+     * const prod = await SWB.fromProfile('prod');
+     * const staging = await SWB.fromProfile('staging', { retry: false });
+     *
+     * @param {string=} name - Profile name (default SWB_PROFILE or "default")
+     * @param {Object=} options - Any of the constructor's options, plus:
+     * @param {string=} options.file - Config file to read instead
+     * @param {Object=} options.env - Environment variables (default process.env)
+     * @param {function(string, IdProvider): Promise<string>=} options.prompt -
+     *   Shows the sign-in URI for profiles with auth = federated
+     *
+     * @returns {Promise<SWB>}
+     */
+    static async fromProfile(name, { file, env = process.env, prompt, ...options } = {}) {
+	const profile = await readProfile(name, { file, env });
+	const swb = new SWB(profile.api, {
+	    authenticator: profileAuthenticator(profile, env, { prompt }),
+	    ...options,
+	});
+	swb.profile = profile.name;
+	swb.defaults = { idp: profile.idp, index: profile.index };
+	swb.dryrun = profile.dryrun ?? false;
+	return swb;
+    }
+
+    /**
+     * The changes made by this client, oldest first. With dryrun set
+     * these are the changes which would have been made.
+     *
+     * @returns {JournalEntry[]}
+     */
+    getJournal() {
+	return this.journal.entries();
+    }
+
+    /**
+     * The journal as JSON, for saving alongside a run.
+     *
+     * @returns {string}
+     */
+    exportJournal() {
+	return JSON.stringify(this.journal, null, 2);
+    }
+
+    /**
+     * Runs fn with options applied to every request it makes, for
+     * example to cancel a batch of calls or give them a timeout.
+     *
+     * @example
+     * const ac = new AbortController();
+     * await swb.withRequestOptions({ signal: ac.signal, timeout: 5000 },
+     *                              () => swb.getProjects());
+     *
+     * @template T
+     * @param {Object} options
+     * @param {AbortSignal=} options.signal - Aborts the requests
+     * @param {number=} options.timeout - Timeout for each request in ms
+     * @param {RetryPolicy|bool=} options.retry - Overrides the retry policy
+     * @param {function(): Promise<T>} fn
+     *
+     * @returns {Promise<T>}
+     */
+    withRequestOptions(options, fn) {
+	return requestScope.run({ ...requestScope.getStore(), ...options }, fn);
+    }
+
+    /**
+     * Whether the client holds an id token which has not expired.
+     *
+     * @type {bool}
+     */
+    get authenticated() {
+	if (!this.#token)
+	    return false;
+	return this.#tokenExpiry === undefined || Date.now() < this.#tokenExpiry;
+    }
+
+    /**
+     * Obtains a new id token, either from the token provider or by
+     * asking the authenticator for one.
+     */
+    async #authenticate() {
+	if (!this.#authenticator)
+	    throw new SwbAuthError('no credentials: give a password or an authenticator',
+				   { code: 'noCredentials' });
+
+	let token;
+	try {
+	    token = await this.#authenticator.getToken({
+		api: this.api,
+		request: (method, path, { body } = {}) =>
+		    this.#request(method, path, { body, auth: false, journal: false }),
+		getIdp: name => this.getIdp(name),
+	    });
+	} catch (err) {
+	    this.#token = undefined;
+	    if (err instanceof SwbAuthError) throw err;
+	    throw new SwbAuthError(`authentication failed: ${err.message}`, {
+		status: err.status,
+		code: err.code,
+		method: err.method,
+		path: err.path,
+		body: err.body,
+		cause: err,
+	    });
+	}
+
+	if (!token)
+	    throw new SwbAuthError('authentication failed: no id token returned');
+
+	this.#token = token;
+	this.#tokenExpiry = tokenExpiry(token);
+    }
+
+    /**
+     * Makes sure there is a token which will not lapse within the
+     * refresh margin, re-authenticating if needed. Concurrent callers
+     * share a single authentication.
+     *
+     * @param {bool=} force - Re-authenticate even if the token looks valid
+     */
+    async #ensureToken(force = false) {
+	const margin = this.#refreshMargin * 1000;
+	if (!force && this.#token &&
+	    (this.#tokenExpiry === undefined || Date.now() + margin < this.#tokenExpiry))
+	    return;
+
+	if (!this.#authenticating) {
+	    this.#authenticating = this.#authenticate()
+		.finally(() => { this.#authenticating = undefined; });
+	}
+	await this.#authenticating;
+    }
+
+    /**
+     * Sends a request to the SWB API and parses the JSON response.
+     * Changes (anything but a GET) are recorded in the journal; in
+     * dry-run mode they are only recorded, and the record as it
+     * would be afterwards is returned.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - API path, starting with /api
+     * @param {Object=} options
+     * @param {*=} options.body - Request body, sent as JSON
+     * @param {bool=} options.auth - Whether to send the id token (default true)
+     * @param {bool=} options.journal - Whether a change is journaled (default true)
+     * @param {string=} options.operation - Client method making the change
+     * @param {Object=} options.target - Type and id of the record being changed
+     * @param {Object=} options.before - The affected record before the change
+     * @param {Object=} options.preview - The record after the change, for dry
+     *   runs (default before merged with body)
+     * @param {function(): Promise<*>=} options.send - Makes the change
+     *   some other way than sending the request, e.g. an upload to S3
+     * @param {string=} options.url - Where send makes the change, journaled
+     *   instead of the API URL of path
+     * @param {string=} options.schema - Type of the response, checked in
+     *   strict mode (see module:schemas)
+     *
+     * @returns {Promise<*>} The parsed response body
+     */
+    async #request(method, path, { journal = true, operation, target, before, preview, send, url,
+				   schema, ...options } = {}) {
+	send ??= () => this.#execute(method, path, options);
+	const check = result => this.strict && schema
+	      ? validateResponse(result, schema, `${method} ${path}`) : result;
+
+	if (method === 'GET' || !journal)
+	    return check(await send());
+
+	const entry = {
+	    operation,
+	    target,
+	    method,
+	    url: url !== undefined ? url : `${this.api}${path}`,
+	    body: options.body,
+	    before,
+	    dryrun: this.dryrun,
+	};
+
+	if (this.dryrun) {
+	    // a preview of null stands for a deleted record
+	    const after = preview !== undefined ? preview
+		  : (before ? { ...before, ...options.body } : options.body);
+	    if (target)
+		this.#dryRunChanges.add(`${operation} ${target.id}`);
+	    this.emit('change', this.journal.record({ ...entry, status: 'dryrun', after }));
+	    return after;
+	}
+
+	let after;
+	try {
+	    after = await send();
+	} catch (error) {
+	    this.emit('change', this.journal.record({ ...entry, status: 'failed', error }));
+	    throw error;
+	}
+
+	const recorded = this.journal.record({ ...entry, status: 'sent', after });
+	this.emit('change', recorded);
+	await this.#emitMutations(recorded);
+	return check(after);
+    }
+
+    /**
+     * Emits the typed events (user.projectAdded and so on) for a
+     * change which SWB accepted.
+     *
+     * @param {JournalEntry} entry
+     */
+    async #emitMutations(entry) {
+	const events = mutationEvents(entry).filter(e => this.listenerCount(e.event) > 0);
+	if (!events.length)
+	    return;
+
+	if (!this.user) {
+	    try {
+		this.user = await this.#execute('GET', '/api/user');
+	    } catch {
+		// report the username we logged in with instead
+	    }
+	}
+	const actor = {
+	    uid: this.user?.uid,
+	    username: this.user?.username ?? this.username,
+	};
+
+	for (const { event, details } of events) {
+	    this.emit(event, {
+		event,
+		time: entry.time,
+		actor,
+		operation: entry.operation,
+		journalSeq: entry.seq,
+		...details,
+	    });
+	}
+    }
+
+    // 'error' events throw when nobody listens, so only emit if someone does
+    #emitError(details) {
+	if (this.listenerCount('error') > 0)
+	    this.emit('error', details);
+    }
+
+    /**
+     * Performs a request, however many attempts it takes. Any non-2xx
+     * response is turned into a SwbApiError (or one of its
+     * subclasses) so callers never see SWB error payloads as results.
+     * A 401 causes one re-authentication and replay, and throttled or
+     * failed requests are retried with backoff.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - API path, starting with /api
+     * @param {Object=} options
+     * @param {*=} options.body - Request body, sent as JSON
+     * @param {bool=} options.auth - Whether to send the id token (default true)
+     * @param {bool=} options.replay - Whether a 401 may be replayed (default true)
+     *
+     * @returns {Promise<*>} The parsed response body
+     */
+    async #execute(method, path, { body, auth = true, replay = true } = {}) {
+	const scope = requestScope.getStore() ?? {};
+	const policy = scope.retry === undefined ? this.#retry : retryPolicy(scope.retry);
+	const timeout = scope.timeout ?? this.#timeout;
+	const id = ++this.#requestSeq;
+	const url = `${this.api}${path}`;
+
+	for (let attempt = 0; ; attempt++) {
+	    const headers = { 'Content-Type': 'application/json' };
+	    if (auth) {
+		await this.#ensureToken();
+		headers['Authorization'] = this.#token;
+	    }
+
+	    // unauthenticated bodies (logins) may hold a password
+	    this.emit('request', { id, method, url, body: auth ? body : undefined, attempt });
+	    const started = Date.now();
+
+	    let response, payload;
+	    try {
+		({ response, payload } = await this.#limiter.run(
+		    () => this.#send(method, path, headers, body, timeout, scope.signal)));
+	    } catch (error) {
+		if (error.code === 'aborted' || attempt >= policy.retries || !isRetryable(method)) {
+		    this.#emitError({ id, method, url, attempt, error });
+		    throw error;
+		}
+		const delay = retryDelay(policy, attempt);
+		this.emit('retry', { id, method, url, attempt, delay, error });
+		await this.#backoff(delay, scope.signal, method, path);
+		continue;
+	    }
+
+	    this.emit('response', {
+		id, method, url, attempt,
+		status: response.status,
+		durationMs: Date.now() - started,
+	    });
+
+	    if (response.status === 401 && auth && replay) {
+		// the token was revoked or expired early, log in again once
+		if (this.#token === headers['Authorization'])
+		    await this.#ensureToken(true);
+		return this.#execute(method, path, { body, auth, replay: false });
+	    }
+
+	    if (response.ok)
+		return payload;
+
+	    if (attempt < policy.retries && isRetryable(method, response.status)) {
+		const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+		const delay = retryDelay(policy, attempt, retryAfter);
+		this.emit('retry', { id, method, url, attempt, delay, status: response.status });
+		await this.#backoff(delay, scope.signal, method, path);
+		continue;
+	    }
+
+	    const error = errorFromResponse(response.status, payload, method, path);
+	    this.#emitError({ id, method, url, attempt, error });
+	    throw error;
+	}
+    }
+
+    /**
+     * Waits before a retry or the next poll, giving up if the caller
+     * aborts.
+     */
+    async #backoff(ms, signal, method, path) {
+	try {
+	    await sleep(ms, signal);
+	} catch (err) {
+	    throw new SwbApiError(`${method} ${path}: request aborted`,
+				  { code: 'aborted', method, path, cause: err });
+	}
+    }
+
+    /**
+     * Performs a single HTTP exchange, reading the whole body.
+     *
+     * @returns {Promise<{response: Response, payload: *}>}
+     */
+    async #send(method, path, headers, body, timeout, signal) {
+	const controller = new AbortController();
+	const onAbort = () => controller.abort(signal.reason);
+	signal?.addEventListener('abort', onAbort, { once: true });
+	const timer = timeout && setTimeout(() => controller.abort(), timeout);
+
+	try {
+	    if (signal?.aborted)
+		controller.abort(signal.reason);
+
+	    const response = await fetch(`${this.api}${path}`, {
+		headers,
+		method,
+		body: body === undefined ? undefined : JSON.stringify(body),
+		signal: controller.signal,
+	    });
+
+	    const text = await response.text();
+	    let payload = text;
+	    try {
+		payload = text ? JSON.parse(text) : undefined;
+	    } catch {
+		// not JSON, keep the text for the error message
+	    }
+
+	    return { response, payload };
+	} catch (err) {
+	    if (signal?.aborted)
+		throw new SwbApiError(`${method} ${path}: request aborted`,
+				      { code: 'aborted', method, path, cause: err });
+	    if (controller.signal.aborted)
+		throw new SwbTimeoutError(`${method} ${path}: timed out after ${timeout}ms`,
+					  { code: 'timeout', method, path, cause: err });
+	    throw new SwbApiError(`${method} ${path}: ${err.message}`,
+				  { method, path, cause: err });
+	} finally {
+	    clearTimeout(timer);
+	    signal?.removeEventListener('abort', onAbort);
+	}
     }
 
     /**
-     * Performs a login request against Service Workbench. The
-     * username and passwould should be provided to the constructor.
+     * Obtains an id token from the authenticator and fetches the
+     * logged-in user. Later requests renew the token automatically
+     * before it expires.
      *
      * @returns {Promise<User>}
      */
     async login() {
-	const body = {
-	    username: this.username,
-	    password: this.#password,
-	    authenticationProvider: "internal",
-	};
+	await this.#ensureToken(true);
 
-	return new Promise((resolve, reject) => {
-	    fetch(
-		`${this.api}/api/authentication/id-tokens`,
-		{
-		    'headers': {
-			'Content-Type': 'application/json'
-		    },
-		    'body': JSON.stringify(body),
-		    'method': 'POST',
-		})
-		.then(response => {
-		    if (response.status !== 200) throw new Error('authentication failed');
-		    return response.json()
-		})
-		.then(auth => {
-		    this.#token = auth.idToken;
-
-		    fetch(
-			`${this.api}/api/user`,
-			{
-			    'headers': {
-				'Content-Type': 'application/json',
-				'Authorization': this.#token,
-			    },
-			    'method': 'GET'
-			})
-			.then(r => r.json())
-			.then(u => resolve(u));
-		});
-	});
+	/**
+	 * The user logged in as, reported as the actor in change events
+	 * @type {User}
+	 */
+	this.user = await this.#request('GET', '/api/user', { schema: 'User' });
+	return this.user;
+    }
+
+    /**
+     * The user logged in as, fetched the first time it is needed.
+     *
+     * @returns {Promise<User>}
+     */
+    async getLoggedInUser() {
+	this.user ??= await this.#request('GET', '/api/user', { schema: 'User' });
+	return this.user;
     }
 
     /**
@@ -93,14 +793,12 @@ class SWB {
      */
     async getIdp(name) {
 	if (! this.#authProviders) {
-	    await fetch(`${this.api}/api/authentication/public/provider/configs`)
-		.then(response => response.json())
-		.then(data => {this.#authProviders = data})
+	    this.#authProviders = await this.#request(
+		'GET', '/api/authentication/public/provider/configs',
+		{ auth: false, schema: 'IdProvider[]' });
 	}
 
-	return new Promise(resolve => {
-	    resolve(this.#authProviders.find(idp => idp.id === name));
-	});
+	return this.#authProviders.find(idp => idp.id === name);
     }
 
     /**
@@ -137,7 +835,7 @@ class SWB {
      *
      * @returns {Promise<User>}
      */
-    addFederatedUser(idp, adpUrl, email, role="researcher") {
+    async addFederatedUser(idp, adpUrl, email, role="researcher") {
 	const body = {
 	    email: email.toLowerCase(),
 	    identityProviderName: idp.id,
@@ -147,25 +845,72 @@ class SWB {
 	    username: email.toLowerCase()
 	};
 
-	return new Promise(resolve => {
-	    if (this.dryrun) {
-		resolve(body);
-		return;
-	    }
+	await this.#checkUserRole(role);
 
-	    fetch(
-		`${this.api}/api/users`,
-		{
-		    'headers': {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    'body': JSON.stringify(body),
-		    'method': 'POST'
-		})
-		.then(r => r.json())
-		.then(u => resolve(u));
+	const user = await this.#request('POST', '/api/users', {
+	    body,
+	    operation: 'addFederatedUser',
+	    target: { type: 'user', id: body.email },
+	    schema: 'User',
 	});
+	if (!this.dryrun)
+	    this.userDirectory.update(user);
+	return user;
+    }
+
+    /**
+     * List all users. The list is cached by the userDirectory.
+     *
+     * @returns {Promise<User[]>}
+     */
+    async getUsers() {
+	return this.userDirectory.all();
+    }
+
+    /**
+     * Fetch a user by their uid.
+     *
+     * @param {string} uid - The user's id
+     *
+     * @returns {Promise<User>}
+     */
+    async getUser(uid) {
+	var u = await this.userDirectory.getByUid(uid);
+	if (!u)
+	    throw new SwbNotFoundError(`uid ${uid} not found`,
+				       { method: 'GET', path: '/api/users' });
+	return u;
+    }
+
+    /**
+     * @typedef UserRole
+     * @property {string} id - Role ID, as used in a user's userRole
+     * @property {string} description - Human-readable description
+     * @property {string} userType - Either "INTERNAL" or "EXTERNAL"
+     * @property {number} rev - Revision number of the role record
+     */
+
+    /**
+     * List the user roles defined in SWB. The list is fetched once
+     * and cached.
+     *
+     * @returns {Promise<UserRole[]>}
+     */
+    async getUserRoles() {
+	this.#userRoles ??= this.#request('GET', '/api/user-roles', { schema: 'UserRole[]' })
+	    .catch(err => {
+		this.#userRoles = undefined;
+		throw err;
+	    });
+	return this.#userRoles;
+    }
+
+    async #checkUserRole(role) {
+	const roles = await this.getUserRoles();
+	if (!roles.some(r => r.id === role))
+	    throw new SwbValidationError(
+		`unknown user role "${role}", expected one of: ${roles.map(r => r.id).join(', ')}`,
+		{ code: 'invalidUserRole' });
     }
 
     /**
@@ -176,25 +921,12 @@ class SWB {
      *
      * @returns {Promise<User>}
      */
-    getUserByEmailAndIdp(email, idpName) {
-	return new Promise((resolve, reject) => {
-	    fetch(
-		`${this.api}/api/users`,
-		{
-		    'headers': {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    'method': 'GET'
-		})
-		.then(r => r.json())
-		.then(users => {
-		    if (!users) reject(users);
-		    var u = users.find(u => (u.email == email && u.identityProviderName == idpName));
-		    if (u) resolve(u);
-		    else reject(`${email} not found for ${idpName}`);
-		});
-	});
+    async getUserByEmailAndIdp(email, idpName) {
+	var u = await this.userDirectory.getByEmailAndIdp(email, idpName);
+	if (!u)
+	    throw new SwbNotFoundError(`${email} not found for ${idpName}`,
+				       { method: 'GET', path: '/api/users' });
+	return u;
     }
 
     /**
@@ -208,57 +940,31 @@ class SWB {
      *
      * @returns {Promise<User>}
      */
-    updateUserDetails(uid, firstname, surname, status, userRole) {
-	return new Promise((resolve, reject) => {
-	    // It's annoying that SWB doesn't let you fetch a
-	    // single user.
-	    fetch(
-		`${this.api}/api/users`,
-		{
-		    'headers': {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    'method': 'GET'
-		})
-		.then(r => r.json())
-		.then(users => {
-		    var u = users.find(u => u.uid === uid);
-		    if (typeof u === 'undefined') {
-			reject('uid not found while adding project');
-			return;
-		    }
-
-		    var u2 = {
-			applyReason: u.applyReason,
-			email: u.email,
-			firstName: firstname,
-			isAdmin: u.isAdmin,
-			isExternalUser: u.isExternalUser,
-			lastName: surname,
-			projectId: u.projectId,
-			rev: u.rev,
-			status: status,
-			userRole: userRole,
-		    };
-
-		    if (this.dryrun) {
-			resolve(u2);
-			return;
-		    }
-
-		    fetch(`${this.api}/api/users/${uid}`,
-			  {
-			      'headers': {
-				  'Content-Type': 'application/json',
-				  'Authorization': this.#token,
-			      },
-			      'method': 'PUT',
-			      'body': JSON.stringify(u2)
-			  }).then(u => {
-			      resolve(u);
-			  });
-		});
+    async updateUserDetails(uid, firstname, surname, status, userRole) {
+	await this.#checkUserRole(userRole);
+
+	let base;
+
+	return readModifyWrite({
+	    attempts: this.#conflictAttempts,
+	    read: async fresh => {
+		const u = await this.#readUser(uid, fresh, 'updating user details');
+		base ??= u;
+		return u;
+	    },
+	    modify: u => {
+		const mine = {
+		    ...base,
+		    firstName: firstname,
+		    lastName: surname,
+		    status: status,
+		    userRole: userRole,
+		};
+		const merged = u === base ? mine
+		      : mergeChanges(base, mine, u, updatableUserFields, `user ${uid}`);
+		return userBody(merged, u.rev);
+	    },
+	    write: (u2, u) => this.#putUser(uid, u2, u, 'updateUserDetails'),
 	});
     }
 
@@ -271,170 +977,382 @@ class SWB {
      *
      * @returns {Promise<User>}
      */
-    addRemoveProjectUser(projectId, uid, action='add') {
-	return new Promise((resolve,reject) => {
-	    // It's annoying that SWB doesn't let you fetch a
-	    // single user.
-	    fetch(
-		`${this.api}/api/users`,
-		{
-		    'headers': {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    'method': 'GET'
-		})
-		.then(r => r.json())
-		.then(users => {
-		    var u = users.find(u => u.uid === uid);
-		    if (typeof u === 'undefined') {
-			reject(`uid ${uid} not found while ${action} to/from ${projectId}`);
-			return;
-		    }
-
-		    // make a new object excluding non-updatable properties
-		    var u2 = {
-			applyReason: u.applyReason,
-			email: u.email,
-			firstName: u.firstName,
-			isAdmin: u.isAdmin,
-			isExternalUser: u.isExternalUser,
-			lastName: u.lastName,
-			projectId: u.projectId,
-			rev: u.rev,
-			status: u.status,
-			userRole: u.userRole,
-		    };
-
-		    // console.log(`${action} ${uid} to ${projectId}`);
-
-		    // remove the project to prevent duplicates
-		    u2.projectId = u2.projectId.filter(id => id !== projectId);
-		    if (action === 'add') // add it again if needed
-			u2.projectId.push(projectId);
-
-		    if (u.projectId.sort().join() === u2.projectId.sort().join()) {
-			resolve(u);
-			return;
-		    }
-
-		    if (this.dryrun) {
-			resolve(u2);
-			return;
-		    }
-
-		    fetch(
-			`${this.api}/api/users/${uid}`,
-			{
-			    'headers': {
-				'Content-Type': 'application/json',
-				'Authorization': this.#token,
-			    },
-			    'method': 'PUT',
-			    'body': JSON.stringify(u2),
-			})
-			.then(r => r.json())
-			.then(u => resolve(u));
-		});
+    async addRemoveProjectUser(projectId, uid, action='add') {
+	return readModifyWrite({
+	    attempts: this.#conflictAttempts,
+	    read: fresh => this.#readUser(uid, fresh, `${action} to/from ${projectId}`),
+	    modify: u => {
+		// make a new object excluding non-updatable properties
+		var u2 = userBody(u, u.rev);
+
+		// remove the project to prevent duplicates
+		u2.projectId = u2.projectId.filter(id => id !== projectId);
+		if (action === 'add') // add it again if needed
+		    u2.projectId.push(projectId);
+
+		if ([...u.projectId].sort().join() === [...u2.projectId].sort().join())
+		    return undefined;
+		return u2;
+	    },
+	    write: (u2, u) => this.#putUser(uid, u2, u, 'addRemoveProjectUser'),
 	});
     };
 
     /**
-     * @typedef Project
-     * @property {date} createdAt - Date of project creation
-     * @property {string} createdBy - User ID who created the project
-     * @property {string} description - Human-readable description of the project
-     * @property {string} id - The project ID
-     * @property {string} indexId - The index which the project belongs to
-     * @property {string[]} projectAdmins - List of project admin user IDs
-     * @property {string} projectSecurityGroup - AWS security group for project
-     * @property {number} rev - Revision number of the project record
-     * @property {date} updatedAt - The date of last record update
-     * @property {string} updatedBy - User ID of who last updated the project
-     */
-
-    /**
-     * Find a new project by its project ID
+     * Removes a leaver: deactivates them, revokes their permissions
+     * on the organisation studies and the client's own "My Studies",
+     * and removes them from every project they belong to, optionally
+     * also stopping or terminating their environments and dropping
+     * them from project admins. Each change is a step in the report;
+     * a failed step does not stop the rest. Honours dryrun.
      *
-     * @param {string} projectId The project's SWB ID
+     * @example
+     * const report = await swb.offboardUser('u-XXXXXXXX',
+     *                                       { environments: 'stop', projectAdmins: true });
+     * report.steps.filter(s => s.status === 'failed');
      *
-     * @returns {Promise<Project>} A SWB project
+     * @param {string} uid - The user's id
+     * @param {Object=} options
+     * @param {string=} options.environments - "stop" or "terminate"
+     *   the user's environments (default: leave them)
+     * @param {bool=} options.projectAdmins - Remove the user from
+     *   projectAdmins too (default false)
+     *
+     * @returns {Promise<OffboardReport>}
      */
-    getProject(projectId) {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/projects/${projectId}`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
-
-	});
+    async offboardUser(uid, options) {
+	return offboardUser(this, uid, options);
     }
 
     /**
-     * Update project
+     * Delete a user. Refuses while the user belongs to or administers
+     * a project, has study permissions or owns an environment, unless
+     * force is set.
      *
-     * @param {Project} the project object (as returned by getProject (with changes)
+     * @example
+     * await swb.deleteUser('u-XXXXXXXX', { confirm: 'u-XXXXXXXX' });
+     *
+     * @param {string} uid - The user's id
+     * @param {Object=} options
+     * @param {string=} options.confirm - The uid again; required unless
+     *   this is a dry run
+     * @param {bool=} options.force - Delete despite dependants (default false)
      *
-     * @returns {Promise<Project>} The update project
+     * @returns {Promise<Object>}
      */
-    updateProject(proj) {
-	// keep only the fields we can update or need
-	const newProj = {
-	    description: proj.description,
-	    id: proj.id,
-	    indexId: proj.indexId,
-	    projectAdmins: proj.projectAdmins,
-	    rev: proj.rev
-	};
+    async deleteUser(uid, { confirm, force } = {}) {
+	await checkDelete({ type: 'user', id: uid }, { confirm, force, dryrun: this.dryrun },
+			  () => userDependants(this, uid));
+	const before = await this.#readUser(uid, false, 'deleting the user');
 
-	return new Promise(resolve => {
-	    if (this.dryrun) {
-		resolve(newProj);
-		return;
-	    }
-
-	    fetch(`${this.api}/api/projects/${proj.id}`,
-		  {
-		      headers: {
-			  'Content-Type': 'application/json',
-			  'Authorization': this.#token
-		      },
-		      method: "PUT",
-		      body: JSON.stringify(newProj)
-		  })
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+	try {
+	    const result = await this.#request('DELETE', `/api/users/${uid}`, {
+		before,
+		preview: null,
+		operation: 'deleteUser',
+		target: { type: 'user', id: uid },
+	    });
+	    if (!this.dryrun)
+		this.userDirectory.remove(uid);
+	    return result;
+	} catch (err) {
+	    this.userDirectory.invalidate();
+	    throw err;
+	}
     }
 
     /**
-     * List all projects
+     * Looks a user up in the user directory, reloading it first when
+     * a fresh copy is needed.
      *
-     * @returns {Promise<Project[]>} A list of projects
+     * @param {string} uid - The user's id
+     * @param {bool} fresh - Reload the user list first
+     * @param {string} context - What we were doing, for the error message
+     *
+     * @returns {Promise<User>}
      */
-    getProjects() {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/projects`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+    async #readUser(uid, fresh, context) {
+	// It's annoying that SWB doesn't let you fetch a
+	// single user, so this comes from the cached list.
+	if (fresh)
+	    await this.userDirectory.refresh();
+	var u = await this.userDirectory.getByUid(uid);
+	if (typeof u === 'undefined')
+	    throw new SwbNotFoundError(`uid ${uid} not found while ${context}`,
+				       { method: 'GET', path: '/api/users' });
+	return u;
     }
 
     /**
-     * Create a new project within service workbench.
+     * Sends an updated user record and keeps the user directory in
+     * step with what SWB stored.
+     *
+     * @param {string} uid - The user's id
+     * @param {Object} body - Updatable user properties, including rev
+     * @param {User} before - The user record being updated
+     * @param {string} operation - Client method making the change
+     *
+     * @returns {Promise<User>}
+     */
+    async #putUser(uid, body, before, operation) {
+	try {
+	    const user = await this.#request('PUT', `/api/users/${uid}`, {
+		body,
+		before,
+		operation,
+		target: { type: 'user', id: uid },
+		schema: 'User',
+	    });
+	    if (!this.dryrun)
+		this.userDirectory.update(user);
+	    return user;
+	} catch (err) {
+	    // our copy is likely out of date
+	    this.userDirectory.invalidate();
+	    throw err;
+	}
+    }
+
+    /**
+     * @typedef AwsAccount
+     * @property {string} id - The SWB ID of the account record
+     * @property {string} accountId - The 12 digit AWS account number
+     * @property {string} name - Human-readable name
+     * @property {string} description - Human-readable description
+     * @property {string} roleArn - Role SWB assumes in the account
+     * @property {string} externalId - External ID used when assuming the role
+     * @property {string} vpcId - VPC which environments are launched into
+     * @property {string} subnetId - Subnet which environments are launched into
+     * @property {string} encryptionKeyArn - KMS key for the account's resources
+     * @property {number} rev - Revision number of the account record
+     */
+
+    /**
+     * List the AWS accounts hosting environments
+     *
+     * @returns {Promise<AwsAccount[]>}
+     */
+    async getAwsAccounts() {
+	return this.#request('GET', '/api/aws-accounts', { schema: 'AwsAccount[]' });
+    }
+
+    /**
+     * Get a specific hosting AWS account
+     *
+     * @param {string} awsAccountId - SWB ID of the account record
+     *
+     * @returns {Promise<AwsAccount>}
+     */
+    async getAwsAccount(awsAccountId) {
+	return this.#request('GET', `/api/aws-accounts/${awsAccountId}`, { schema: 'AwsAccount' });
+    }
+
+    /**
+     * @typedef Index
+     * @property {string} id - The index ID
+     * @property {string} awsAccountId - SWB ID of the hosting AWS account
+     * @property {string} description - Human-readable description
+     * @property {date} createdAt - Date of index creation
+     * @property {string} createdBy - User ID who created the index
+     * @property {date} updatedAt - The date of last record update
+     * @property {string} updatedBy - User ID of who last updated the index
+     * @property {number} rev - Revision number of the index record
+     */
+
+    /**
+     * List all indexes
+     *
+     * @returns {Promise<Index[]>}
+     */
+    async getIndexes() {
+	const indexes = await this.#request('GET', '/api/indexes', { schema: 'Index[]' });
+	indexes.forEach(i => this.#remember(i));
+	return indexes;
+    }
+
+    /**
+     * Get a specific index
+     *
+     * @param {string} indexId - The index ID
+     *
+     * @returns {Promise<Index>}
+     */
+    async getIndex(indexId) {
+	return this.#remember(await this.#request('GET', `/api/indexes/${indexId}`,
+						 { schema: 'Index' }));
+    }
+
+    /**
+     * Create an index, which groups projects under a hosting AWS account
+     *
+     * @param {string} indexId - Alphanumeric index id, no spaces
+     * @param {AwsAccount} awsAccount - Account from getAwsAccounts
+     * @param {string=} description - Human-readable description
+     *
+     * @returns {Promise<Index>}
+     */
+    async createIndex(indexId, awsAccount, description="") {
+	await this.#checkAwsAccount(awsAccount.id);
+
+	const body = {
+	    id: indexId,
+	    awsAccountId: awsAccount.id,
+	    description: description,
+	};
+
+	return this.#request('POST', '/api/indexes', {
+	    body,
+	    operation: 'createIndex',
+	    target: { type: 'index', id: indexId },
+	    schema: 'Index',
+	});
+    }
+
+    /**
+     * Update an index
+     *
+     * @param {Index} index - The index (as returned by getIndex, with changes)
+     *
+     * @returns {Promise<Index>}
+     */
+    async updateIndex(index) {
+	const base = this.#bases.get(index);
+	if (base && base.awsAccountId !== index.awsAccountId)
+	    await this.#checkAwsAccount(index.awsAccountId);
+
+	return readModifyWrite({
+	    attempts: this.#conflictAttempts,
+	    read: async fresh => fresh ? this.getIndex(index.id) : index,
+	    modify: current => {
+		const merged = current === index ? index
+		      : mergeChanges(base, index, current, updatableIndexFields,
+				     `index ${index.id}`);
+		return {
+		    id: merged.id,
+		    awsAccountId: merged.awsAccountId,
+		    description: merged.description,
+		    rev: current.rev,
+		};
+	    },
+	    write: (body, current) => this.#request(
+		'PUT', `/api/indexes/${index.id}`,
+		{ body, before: current, operation: 'updateIndex',
+		  target: { type: 'index', id: index.id }, schema: 'Index' }),
+	});
+    }
+
+    async #checkIndex(indexId) {
+	if (this.#createdInDryRun('createIndex', indexId))
+	    return;
+	try {
+	    await this.getIndex(indexId);
+	} catch (err) {
+	    if (!(err instanceof SwbNotFoundError)) throw err;
+	    throw new SwbValidationError(`index "${indexId}" does not exist`,
+					 { code: 'invalidIndex', cause: err });
+	}
+    }
+
+    async #checkAwsAccount(awsAccountId) {
+	try {
+	    await this.getAwsAccount(awsAccountId);
+	} catch (err) {
+	    if (!(err instanceof SwbNotFoundError)) throw err;
+	    throw new SwbValidationError(`AWS account "${awsAccountId}" does not exist`,
+					 { code: 'invalidAwsAccount', cause: err });
+	}
+    }
+
+    /**
+     * @typedef Project
+     * @property {date} createdAt - Date of project creation
+     * @property {string} createdBy - User ID who created the project
+     * @property {string} description - Human-readable description of the project
+     * @property {string} id - The project ID
+     * @property {string} indexId - The index which the project belongs to
+     * @property {string[]} projectAdmins - List of project admin user IDs
+     * @property {string} projectSecurityGroup - AWS security group for project
+     * @property {number} rev - Revision number of the project record
+     * @property {date} updatedAt - The date of last record update
+     * @property {string} updatedBy - User ID of who last updated the project
+     */
+
+    /**
+     * Find a new project by its project ID
+     *
+     * @param {string} projectId The project's SWB ID
+     *
+     * @returns {Promise<Project>} A SWB project
+     */
+    async getProject(projectId) {
+	return this.#remember(
+	    await this.#request('GET', `/api/projects/${projectId}`, { schema: 'Project' }));
+    }
+
+    /**
+     * Update project
+     *
+     * @param {Project} the project object (as returned by getProject (with changes)
+     *
+     * @returns {Promise<Project>} The update project, which can itself
+     *   be changed and passed back
+     */
+    async updateProject(proj) {
+	// the project as we handed it out, for merging after a conflict
+	const base = this.#bases.get(proj);
+	if (!base || base.indexId !== proj.indexId)
+	    await this.#checkIndex(proj.indexId);
+
+	return this.#remember(await readModifyWrite({
+	    attempts: this.#conflictAttempts,
+	    read: async fresh => fresh ? this.getProject(proj.id) : proj,
+	    modify: current => {
+		const merged = current === proj ? proj
+		      : mergeChanges(base, proj, current, updatableProjectFields,
+				     `project ${proj.id}`);
+
+		// keep only the fields we can update or need
+		return {
+		    description: merged.description,
+		    id: merged.id,
+		    indexId: merged.indexId,
+		    projectAdmins: merged.projectAdmins,
+		    rev: current.rev
+		};
+	    },
+	    write: (newProj, current) => this.#request(
+		'PUT', `/api/projects/${proj.id}`,
+		{ body: newProj, before: current, operation: 'updateProject',
+		  target: { type: 'project', id: proj.id }, schema: 'Project' }),
+	}));
+    }
+
+    /**
+     * List all projects
+     *
+     * @returns {Promise<Project[]>} A list of projects
+     */
+    async getProjects() {
+	const projects = await this.#request('GET', '/api/projects', { schema: 'Project[]' });
+	projects.forEach(p => this.#remember(p));
+	return projects;
+    }
+
+    // whether a dry run pretended to create the record, so later
+    // steps of the same run can refer to it
+    #createdInDryRun(operation, id) {
+	return this.dryrun && this.#dryRunChanges.has(`${operation} ${id}`);
+    }
+
+    // keep a pristine copy of each record handed out, so updates can
+    // tell the caller's changes from someone else's
+    #remember(record) {
+	this.#bases.set(record, structuredClone(record));
+	return record;
+    }
+
+    /**
+     * Create a new project within service workbench.
      *
      * @param {string} projectId - Alphanumeric project id, no spaces
      * @param {string} description - Human-readable project name
@@ -443,7 +1361,9 @@ class SWB {
      *
      * @returns {Promise<Project>} Project which has been created
      */
-    createProject(projectId, description, index, admins) {
+    async createProject(projectId, description, index, admins) {
+	await this.#checkIndex(index.id);
+
 	const body = {
 	    id: projectId,
 	    description: description,
@@ -451,24 +1371,36 @@ class SWB {
 	    projectAdmins: admins.map(({uid}) => uid),
 	};
 
-	return new Promise(resolve => {
-	    if (this.dryrun) {
-		resolve(body);
-		return;
-	    }
+	return this.#remember(await this.#request('POST', '/api/projects', {
+	    body,
+	    operation: 'createProject',
+	    target: { type: 'project', id: projectId },
+	    schema: 'Project',
+	}));
+    }
 
-	    fetch(
-		`${this.api}/api/projects`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    body: JSON.stringify(body),
-		    method: "POST"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
+    /**
+     * Delete a project. Refuses while studies belong to it, users are
+     * members of it or environments run in it, unless force is set.
+     *
+     * @param {string} projectId - The project's id
+     * @param {Object=} options
+     * @param {string=} options.confirm - The project id again; required
+     *   unless this is a dry run
+     * @param {bool=} options.force - Delete despite dependants (default false)
+     *
+     * @returns {Promise<Object>}
+     */
+    async deleteProject(projectId, { confirm, force } = {}) {
+	await checkDelete({ type: 'project', id: projectId }, { confirm, force, dryrun: this.dryrun },
+			  () => projectDependants(this, projectId));
+	const before = await this.getProject(projectId);
+
+	return this.#request('DELETE', `/api/projects/${projectId}`, {
+	    before,
+	    preview: null,
+	    operation: 'deleteProject',
+	    target: { type: 'project', id: projectId },
 	});
     }
 
@@ -494,8 +1426,9 @@ class SWB {
      * @property {date} updatedAt - The date of last record update
      * @property {string} updatedBy - User ID of who last updated the study
      * @property {string} description - Human-readable description of the study
-     * @property {string} id - The project ID
-     * @property {string} name - The project name
+     * @property {string} id - The study ID
+     * @property {string} name - The study's name
+     * @property {string} category - "Organization", "My Studies" or "Open Data"
      * @property {string[]} projectId - Array of projects which the study belongs to (should only contain 1)
      * @property {string} studyType - Whether it's structured or unstructured
      * @property {string[]} projectAdmins - List of project admin user IDs
@@ -513,23 +1446,11 @@ class SWB {
      *
      * @returns {Promise<Study[]>} A list of projects
      */
-    getStudies(category="Organization") {
-	if (!["Organization", "My Studies"].includes(category))
-	    throw("Invalid category type.");
+    async getStudies(category="Organization") {
+	checkCategory(category);
 	category = encodeURI(category);
 
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/studies/?category=${category}`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+	return this.#request('GET', `/api/studies/?category=${category}`, { schema: 'Study[]' });
     }
 
     /**
@@ -539,19 +1460,8 @@ class SWB {
      *
      * @returns {Promise<Study>} A list of projects
      */
-    getStudy(studyId) {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/studies/${studyId}`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+    async getStudy(studyId) {
+	return this.#request('GET', `/api/studies/${studyId}`, { schema: 'Study' });
     }
 
     /**
@@ -567,14 +1477,14 @@ class SWB {
      *
      * @returns {Promise<Study>}
      */
-    createStudy(id, name, description, projectId,
-		 category="Organization", studyType="unstructured",
-		 uploadLocationEnabled=true) {
-	if (!["Organization", "My Studies"].includes(category))
-	    throw("Invalid category type.");
-
-	if (!["unstructured", "structured"].includes(studyType))
-	    throw("Invalid study type");
+    async createStudy(id, name, description, projectId,
+		      category="Organization", studyType="unstructured",
+		      uploadLocationEnabled=true) {
+	checkCategory(category);
+	if (!studyTypes.includes(studyType))
+	    throw new SwbValidationError(
+		`invalid study type "${studyType}", expected one of: ${studyTypes.join(', ')}`,
+		{ code: 'invalidStudyType' });
 
 	const body = {
 	    id: id,
@@ -585,29 +1495,59 @@ class SWB {
 	    category: category,
 	    uploadLocationEnabled: uploadLocationEnabled
 	};
-	console.log(body);
 
-	return new Promise(resolve => {
-	    if (this.dryrun) {
-		resolve(body);
-		return;
-	    }
+	return this.#request('POST', '/api/studies', {
+	    body,
+	    operation: 'createStudy',
+	    target: { type: 'study', id: id },
+	    schema: 'Study',
+	});
+    }
 
-	    fetch(
-		`${this.api}/api/studies`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    body: JSON.stringify(body),
-		    method: "POST"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
+    /**
+     * Delete a study. Refuses while it is mounted in an environment or
+     * holds uploaded files, unless force is set.
+     *
+     * @param {string} studyId - The study's id
+     * @param {Object=} options
+     * @param {string=} options.confirm - The study id again; required
+     *   unless this is a dry run
+     * @param {bool=} options.force - Delete despite dependants (default false)
+     *
+     * @returns {Promise<Object>}
+     */
+    async deleteStudy(studyId, { confirm, force } = {}) {
+	await checkDelete({ type: 'study', id: studyId }, { confirm, force, dryrun: this.dryrun },
+			  () => studyDependants(this, studyId));
+	const before = await this.getStudy(studyId);
+
+	return this.#request('DELETE', `/api/studies/${studyId}`, {
+	    before,
+	    preview: null,
+	    operation: 'deleteStudy',
+	    target: { type: 'study', id: studyId },
 	});
     }
 
+    /**
+     * Create organisation studies in another deployment as they are
+     * defined here: ID, name, description, category, type and upload
+     * setting. Studies the target already has are left alone;
+     * permissions and files are not copied. The target's dryrun
+     * applies.
+     *
+     * @param {SWB} target - Client for the deployment to copy to
+     * @param {Object=} options
+     * @param {string[]=} options.ids - Only copy these studies
+     * @param {string=} options.project - Put the studies in this project
+     *   (default the project each one belongs to here)
+     *
+     * @returns {Promise<Study[]>} The studies created
+     */
+    async copyStudiesTo(target, options) {
+	return copyStudiesTo(this, target, options);
+    }
+
    /**
      * Get a study permissions for a given study
      *
@@ -615,19 +1555,9 @@ class SWB {
      *
      * @returns {Promise<StudyPermission>}
      */
-    getStudyPermissions(studyId) {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/studies/${studyId}/permissions`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+    async getStudyPermissions(studyId) {
+	return this.#request('GET', `/api/studies/${studyId}/permissions`,
+			     { schema: 'StudyPermission' });
     }
 
 
@@ -641,12 +1571,14 @@ class SWB {
      *
      * @returns {Promise<StudyPermission>}
      */
-    addRemoveStudyPermission(studyId, userId, action, permissionLevel="readonly") {
+    async addRemoveStudyPermission(studyId, userId, action, permissionLevel="readonly") {
 	if (!["readonly", "admin"].includes(permissionLevel))
-	    throw("Invalid permission level");
+	    throw new SwbValidationError(`invalid permission level "${permissionLevel}"`,
+					 { code: 'invalidPermissionLevel' });
 
 	if (!["add", "remove"].includes(action))
-	    throw("Invalid action");
+	    throw new SwbValidationError(`invalid action "${action}", expected add or remove`,
+					 { code: 'invalidAction' });
 
 	var body = {
 	    usersToAdd: [],
@@ -664,45 +1596,224 @@ class SWB {
 		permissionLevel: permissionLevel
 	    });
 
-	return new Promise((resolve,reject) => {
-	    if (this.dryrun) {
-		resolve(body);
-		return;
+	return this.#putStudyPermissions(studyId, body, 'addRemoveStudyPermission');
+    }
+
+    /**
+     * Sets who holds each permission level on a study in a single
+     * update. Levels which are not given are left alone; a user moved
+     * from one level to the other is taken off the old one.
+     *
+     * @example
+     * await swb.setStudyPermissions('project-1234-study',
+     *                               { admin: ['u-1'], readonly: ['u-2', 'u-3'] });
+     * const diff = await swb.setStudyPermissions(studyId, { readonly: ['u-4'] },
+     *                                            { additive: true, diffOnly: true });
+     *
+     * @param {string} studyId - The study's id
+     * @param {Object} wanted
+     * @param {string[]=} wanted.admin - Users who should have admin permission
+     * @param {string[]=} wanted.readonly - Users who should have readonly permission
+     * @param {Object=} options
+     * @param {bool=} options.additive - Only add, never remove users who
+     *   are not listed (default false)
+     * @param {bool=} options.diffOnly - Return the changes without
+     *   making them (default false)
+     *
+     * @returns {Promise<StudyPermission|Object>} The updated permissions,
+     *   or with diffOnly, the usersToAdd and usersToRemove which would be sent
+     */
+    async setStudyPermissions(studyId, wanted, { additive = false, diffOnly = false } = {}) {
+	for (const [level, uids] of Object.entries(wanted ?? {})) {
+	    if (!["admin", "readonly"].includes(level))
+		throw new SwbValidationError(`invalid permission level "${level}"`,
+					     { code: 'invalidPermissionLevel' });
+	    if (!Array.isArray(uids))
+		throw new SwbValidationError(`${level} must be a list of user ids`,
+					     { code: 'invalidPermissions' });
+	}
+	const both = (wanted.admin ?? []).filter(uid => wanted.readonly?.includes(uid));
+	if (both.length)
+	    throw new SwbValidationError(
+		`users cannot be both admin and readonly: ${both.join(', ')}`,
+		{ code: 'invalidPermissions' });
+
+	const before = await this.getStudyPermissions(studyId);
+	const body = studyPermissionChanges(before, wanted, additive);
+
+	if (diffOnly)
+	    return body;
+	if (!body.usersToAdd.length && !body.usersToRemove.length)
+	    return before;
+
+	return this.#putStudyPermissions(studyId, body, 'setStudyPermissions', before);
+    }
+
+    /**
+     * @typedef StudyFile
+     * @property {string} filename - Name of the file
+     * @property {number} size - Size in bytes
+     * @property {date} lastModified - When the file was last written
+     * @property {string} fullPath - Key of the file in the study bucket
+     */
+
+    /**
+     * List the files uploaded to a study
+     *
+     * @param {string} studyId - The study's id
+     *
+     * @returns {Promise<StudyFile[]>}
+     */
+    async getStudyFiles(studyId) {
+	return this.#request('GET', `/api/studies/${studyId}/files`, { schema: 'StudyFile[]' });
+    }
+
+    /**
+     * @typedef UploadResult
+     * @property {string} name - File name in the study
+     * @property {number=} size - Size in bytes, if known
+     * @property {string} status - "uploaded", "failed" or "dryrun"
+     * @property {Error=} error - Why the upload failed
+     */
+
+    /**
+     * Upload files to a study, which must have been created with
+     * uploadLocationEnabled. Each file is streamed to the presigned
+     * form SWB hands out for it; a failed file does not stop the rest.
+     * Honours dryrun.
+     *
+     * Files over 5 GB fail with fileTooLarge. This is a known gap:
+     * S3 takes at most 5 GB in one POST, and SWB issues no presigned
+     * URLs for multipart uploads, so large files cannot be sent.
+     *
+     * @example
+     * const results = await swb.uploadStudyFiles('project-1234-study',
+     *     ['data/a.csv', { name: 'b.csv', stream: someStream, size: 1024 }],
+     *     { onProgress: p => console.log(p.name, p.loaded, p.total) });
+     *
+     * @param {string} studyId - The study's id
+     * @param {string|Readable|Object|Array} files - Paths, streams (with a
+     *   path, such as fs.createReadStream gives), or objects with a name
+     *   and a path or stream, plus the size of a stream which does not
+     *   come from a file (invalidUpload without one)
+     * @param {Object=} options
+     * @param {function(Object): void=} options.onProgress - Called with
+     *   { name, loaded, total } as each file is sent
+     * @param {number=} options.concurrency - Files sent at once (default 4)
+     *
+     * @returns {Promise<UploadResult[]>}
+     */
+    async uploadStudyFiles(studyId, files, { onProgress, concurrency = 4 } = {}) {
+	const limiter = new ConcurrencyLimiter(concurrency);
+	const inputs = Array.isArray(files) ? files : [files];
+
+	return Promise.all(inputs.map(input => limiter.run(async () => {
+	    let source;
+	    try {
+		source = await uploadSource(input);
+		await this.#uploadStudyFile(studyId, source, onProgress);
+		return { name: source.name, size: source.size,
+			 status: this.dryrun ? 'dryrun' : 'uploaded' };
+	    } catch (error) {
+		return { name: source?.name ?? String(input.name ?? input.path ?? input),
+			 size: source?.size, status: 'failed', error };
 	    }
+	})));
+    }
 
-	    fetch(`${this.api}/api/studies/${studyId}/permissions`,
-		  {
-		      headers: {
-			  'Content-Type': 'application/json',
-			  'Authorization': this.#token,
-		      },
-		      method: "PUT",
-		      body: JSON.stringify(body)
-		  })
-		.then(r => r.json())
-		.then(p => {
-		    if (p.hasOwnProperty('code')) {
-			reject(p.message);
-			return;
-		    }
-		    resolve(p)
+    async #uploadStudyFile(studyId, source, onProgress) {
+	if (/,/.test(source.name))
+	    throw new SwbValidationError(`file names cannot contain commas: ${source.name}`,
+					 { code: 'invalidFilename' });
+
+	const file = { filename: source.name, size: source.size };
+	const { signal } = requestScope.getStore() ?? {};
+
+	// asking for a form changes nothing, so dry runs ask too; the
+	// form is what gets journaled, less its signed fields
+	let post = null;
+	if (!this.#createdInDryRun('createStudy', studyId)) {
+	    const path = `/api/studies/${studyId}/upload-requests`;
+	    const posts = await this.#request(
+		'GET', `${path}?${new URLSearchParams({ filenames: source.name })}`);
+	    post = posts?.[source.name];
+	    if (!post?.url)
+		throw new SwbApiError(`no upload form returned for ${source.name}`,
+				      { method: 'GET', path });
+	}
+
+	return this.#request('POST', `/api/studies/${studyId}/upload-requests`, {
+	    url: post?.url ?? null,
+	    body: file,
+	    preview: file,
+	    operation: 'uploadStudyFiles',
+	    target: { type: 'study', id: studyId },
+	    send: async () => {
+		onProgress?.({ name: source.name, loaded: 0, total: source.size });
+		await postFile(post, source, {
+		    signal,
+		    onProgress: loaded => onProgress?.({ name: source.name, loaded, total: source.size }),
 		});
+		return file;
+	    },
 	});
     }
 
     /**
-     * @typedef StudyPermission
-     * @property {date} createdAt - Date of study creation
-     * @property (string) createdBy - The user who imported the workspace type
+     * Sends a study permission update, journaling the permissions
+     * before and after.
+     *
+     * @param {string} studyId - The study's id
+     * @param {Object} body - usersToAdd and usersToRemove
+     * @param {string} operation - Client method making the change
+     * @param {StudyPermission=} before - Current permissions, if already read
+     *
+     * @returns {Promise<StudyPermission>}
+     */
+    async #putStudyPermissions(studyId, body, operation, before) {
+	// SWB makes whoever creates a study its admin
+	if (!before && this.#createdInDryRun('createStudy', studyId))
+	    before = { id: studyId, adminUsers: [(await this.getLoggedInUser()).uid], readonlyUsers: [] };
+	before ??= await this.getStudyPermissions(studyId);
+
+	return this.#request('PUT', `/api/studies/${studyId}/permissions`, {
+	    body,
+	    before,
+	    preview: applyPermissionChanges(before, body),
+	    operation,
+	    target: { type: 'study', id: studyId },
+	    schema: 'StudyPermission',
+	});
+    }
+
+    /**
+     * @typedef ServiceCatalogProduct
+     * @property {string} productId - The product ID (prod-...)
+     * @property {string} name - Product name
+     */
+
+    /**
+     * @typedef ServiceCatalogProductVersion
+     * @property {string} id - The version ID (pa-...)
+     * @property {string} name - Version name
+     * @property {string} description - Version description
+     * @property {bool} active - Whether the version can be launched
+     */
+
+    /**
+     * @typedef WorkspaceType
+     * @property {date} createdAt - Date the workspace type was imported
+     * @property {string} createdBy - The user who imported the workspace type
+     * @property {string} name - Name shown to users
      * @property {string} desc - Workspace type description
-     * @property {string} id - The unique ID of the workspace (product ID + version ID)
-     * @property {Object} params - The parameters available for the workspace config - ignoring for now
-     * @property {ServiceCatalogProduct} product - Just an object containing productId
-     * @property {ServiceCatalogProductVersion} provisioningArtifact - The version id
-     * @property {int} rev
-     * @property {string} status - enum of "not-approved" or "approved"
-     * @property {date} updatedAt
-     * @property {string} updatedBy
+     * @property {string} id - The unique ID of the workspace type (product ID + version ID)
+     * @property {Object[]} params - The CloudFormation parameters the configurations can set
+     * @property {ServiceCatalogProduct} product - The Service Catalog product
+     * @property {ServiceCatalogProductVersion} provisioningArtifact - The product version
+     * @property {number} rev - Revision number of the workspace type record
+     * @property {string} status - "approved" or "not-approved"
+     * @property {date} updatedAt - The date of last record update
+     * @property {string} updatedBy - User ID of who last updated the workspace type
      */
 
     /**
@@ -710,21 +1821,162 @@ class SWB {
      *
      * @returns {Promise<WorkspaceType[]>} A list of projects
      */
-    getWorkspaceTypes() {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/workspace-types?status=*`,
-		{
-		    headers: {
-			'Content-Type': 'application/json',
-			'Authorization': this.#token,
-		    },
-		    method: "GET"
-		})
-		.then(r => r.json())
-		.then(p => resolve(p));
+    async getWorkspaceTypes() {
+	return this.#request('GET', '/api/workspace-types?status=*', { schema: 'WorkspaceType[]' });
+    }
+
+    /**
+     * Get a workspace type
+     *
+     * @param {string} workspaceTypeId - The workspace type ID
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async getWorkspaceType(workspaceTypeId) {
+	return this.#request('GET', `/api/workspace-types/${workspaceTypeId}`,
+			     { schema: 'WorkspaceType' });
+    }
+
+    /**
+     * @typedef WorkspaceTypeCandidate
+     * @property {string} id - Product ID and version ID, used as the workspace type ID
+     * @property {string} name - Product name
+     * @property {string} description - Product description
+     * @property {ServiceCatalogProduct} product - The Service Catalog product
+     * @property {ServiceCatalogProductVersion} provisioningArtifact - The product version
+     * @property {Object[]} params - The product's CloudFormation parameters
+     */
+
+    /**
+     * List the Service Catalog products and versions which can be
+     * imported as workspace types.
+     *
+     * @param {Object=} options
+     * @param {string=} options.status - "not-imported" (default) or "*"
+     *   to include those already imported
+     * @param {string=} options.version - "latest" (default) or "*" for
+     *   every version of each product
+     *
+     * @returns {Promise<WorkspaceTypeCandidate[]>}
+     */
+    async getWorkspaceTypeCandidates({ status = "not-imported", version = "latest" } = {}) {
+	const query = new URLSearchParams({ status, version });
+	return this.#request('GET', `/api/workspace-type-candidates?${query}`,
+			     { schema: 'WorkspaceTypeCandidate[]' });
+    }
+
+    /**
+     * Import a Service Catalog product version as a workspace type. It
+     * starts out not approved.
+     *
+     * @param {WorkspaceTypeCandidate} candidate - From getWorkspaceTypeCandidates
+     * @param {Object=} details
+     * @param {string=} details.name - Name (default the product name)
+     * @param {string=} details.desc - Description (default the product description)
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async importWorkspaceType(candidate, { name, desc } = {}) {
+	const body = {
+	    id: candidate.id,
+	    name: name ?? candidate.name,
+	    desc: desc ?? candidate.description ?? "",
+	    product: candidate.product,
+	    provisioningArtifact: candidate.provisioningArtifact,
+	    params: candidate.params ?? [],
+	    status: "not-approved",
+	};
+
+	return this.#request('POST', '/api/workspace-types', {
+	    body,
+	    operation: 'importWorkspaceType',
+	    target: { type: 'workspaceType', id: candidate.id },
+	    schema: 'WorkspaceType',
+	});
+    }
+
+    /**
+     * Approve a workspace type, so configurations of it can be used.
+     *
+     * @param {string} workspaceTypeId - The workspace type ID
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async approveWorkspaceType(workspaceTypeId) {
+	return this.#updateWorkspaceType(workspaceTypeId, { status: "approved" },
+					 'approveWorkspaceType');
+    }
+
+    /**
+     * Revoke approval of a workspace type.
+     *
+     * @param {string} workspaceTypeId - The workspace type ID
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async revokeWorkspaceType(workspaceTypeId) {
+	return this.#updateWorkspaceType(workspaceTypeId, { status: "not-approved" },
+					 'revokeWorkspaceType');
+    }
+
+    /**
+     * Update the name, description or params of a workspace type.
+     *
+     * @param {string} workspaceTypeId - The workspace type ID
+     * @param {Object} changes
+     * @param {string=} changes.name
+     * @param {string=} changes.desc
+     * @param {Object[]=} changes.params
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async updateWorkspaceType(workspaceTypeId, { name, desc, params }) {
+	return this.#updateWorkspaceType(workspaceTypeId, { name, desc, params },
+					 'updateWorkspaceType');
+    }
+
+    /**
+     * Applies changes to the current copy of a workspace type, reading
+     * it again if the rev turns out to be stale.
+     *
+     * @param {string} workspaceTypeId - The workspace type ID
+     * @param {Object} changes - New values of updatable fields
+     * @param {string} operation - Client method making the change
+     *
+     * @returns {Promise<WorkspaceType>}
+     */
+    async #updateWorkspaceType(workspaceTypeId, changes, operation) {
+	return readModifyWrite({
+	    attempts: this.#conflictAttempts,
+	    read: () => this.getWorkspaceType(workspaceTypeId),
+	    modify: current => {
+		const body = { id: workspaceTypeId, rev: current.rev };
+		updatableWorkspaceTypeFields.forEach(f => { body[f] = changes[f] ?? current[f]; });
+		const changed = updatableWorkspaceTypeFields.some(
+		    f => JSON.stringify(body[f]) !== JSON.stringify(current[f]));
+		return changed ? body : undefined;
+	    },
+	    write: (body, current) => this.#request(
+		'PUT', `/api/workspace-types/${workspaceTypeId}`,
+		{ body, before: current, operation,
+		  target: { type: 'workspaceType', id: workspaceTypeId },
+		  schema: 'WorkspaceType' }),
 	});
     }
 
+    /**
+     * @typedef WorkspaceConfiguration
+     * @property {string} id - Configuration ID, unique within the workspace type
+     * @property {string} name - Name shown when creating a workspace
+     * @property {string} desc - Description
+     * @property {string} estimatedCostInfo - Cost guidance shown to users
+     * @property {string[]} allowRoleIds - User roles which may use the configuration
+     * @property {string[]} denyRoleIds - User roles which may not
+     * @property {Object[]} params - Values for the workspace type's params, as { key, value }
+     * @property {Object[]} tags - Tags for the provisioned product, as { key, value }
+     * @property {number} rev - Revision number of the configuration record
+     */
+
     /**
      * Produces an array of workspace configurations for a given type.
      *
@@ -732,19 +1984,9 @@ class SWB {
      *
      * @returns {Promise<WorkspaceConfiguration[]>}
      */
-    getWorkspaceConfigurations(workspaceType) {
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/workspace-types/${workspaceType}/configurations/?include=all`,
-		  {
-		      headers: {
-			  'Content-Type': 'application/json',
-			  'Authorization': this.#token,
-		      },
-		      method: "GET"
-		  })
-		.then(r => r.json())
-		.then(p => resolve(p));
-	});
+    async getWorkspaceConfigurations(workspaceType) {
+	return this.#request('GET', `/api/workspace-types/${workspaceType}/configurations/?include=all`,
+			     { schema: 'WorkspaceConfiguration[]' });
     }
 
 
@@ -756,27 +1998,580 @@ class SWB {
      *
      * @returns {Promise<WorkspaceConfiguration>}
      */
-    updateWorkspaceConfiguration(workspaceType, workspaceConfObj) {
-	delete workspaceConfObj['createdBy'];
-	delete workspaceConfObj['updatedBy'];
-	delete workspaceConfObj['createdAt'];
-	delete workspaceConfObj['updatedAt'];
-	delete workspaceConfObj['allowedToUse'];
-
-	return new Promise(resolve => {
-	    fetch(`${this.api}/api/workspace-types/${workspaceType}/configurations/${workspaceConfObj.id}`,
-		  {
-		      headers: {
-			  'Content-Type': 'application/json',
-			  'Authorization': this.#token,
-		      },
-		      method: "PUT",
-		      body: JSON.stringify(workspaceConfObj),
-		  })
-		.then(r => r.json())
-		.then(p => resolve(p));
+    async updateWorkspaceConfiguration(workspaceType, workspaceConfObj) {
+	const body = configurationBody(workspaceConfObj);
+
+	const configs = await this.getWorkspaceConfigurations(workspaceType);
+	const before = configs.find(c => c.id === body.id);
+
+	return this.#request('PUT', `/api/workspace-types/${workspaceType}/configurations/${body.id}`,
+			     { body, before, operation: 'updateWorkspaceConfiguration',
+			       target: { type: 'workspaceConfiguration', id: body.id, workspaceType },
+			       schema: 'WorkspaceConfiguration' });
+    }
+
+    /**
+     * Get a workspace configuration
+     *
+     * @param {string} workspaceType - The workspace type ID
+     * @param {string} configId - The configuration ID
+     *
+     * @returns {Promise<WorkspaceConfiguration>}
+     */
+    async getWorkspaceConfiguration(workspaceType, configId) {
+	return this.#request('GET', `/api/workspace-types/${workspaceType}/configurations/${configId}`,
+			     { schema: 'WorkspaceConfiguration' });
+    }
+
+    /**
+     * Create a workspace configuration
+     *
+     * @param {string} workspaceType - The workspace type ID
+     * @param {WorkspaceConfiguration} config - The new configuration; rev is ignored
+     *
+     * @returns {Promise<WorkspaceConfiguration>}
+     */
+    async createWorkspaceConfiguration(workspaceType, config) {
+	const body = configurationBody(config);
+	delete body['rev'];
+
+	return this.#request('POST', `/api/workspace-types/${workspaceType}/configurations`,
+			     { body, operation: 'createWorkspaceConfiguration',
+			       target: { type: 'workspaceConfiguration', id: body.id, workspaceType },
+			       schema: 'WorkspaceConfiguration' });
+    }
+
+    /**
+     * Delete a workspace configuration. Refuses while environments
+     * built from it are still around, unless force is set.
+     *
+     * @param {string} workspaceType - The workspace type ID
+     * @param {string} configId - The configuration ID
+     * @param {Object=} options
+     * @param {string=} options.confirm - The configuration ID again;
+     *   required unless this is a dry run
+     * @param {bool=} options.force - Delete despite dependants (default false)
+     *
+     * @returns {Promise<Object>}
+     */
+    async deleteWorkspaceConfiguration(workspaceType, configId, { confirm, force } = {}) {
+	await checkDelete({ type: 'workspace configuration', id: configId },
+			  { confirm, force, dryrun: this.dryrun },
+			  () => configurationDependants(this, workspaceType, configId));
+	const before = await this.getWorkspaceConfiguration(workspaceType, configId);
+
+	return this.#request('DELETE', `/api/workspace-types/${workspaceType}/configurations/${configId}`,
+			     { before, preview: null, operation: 'deleteWorkspaceConfiguration',
+			       target: { type: 'workspaceConfiguration', id: configId, workspaceType } });
+    }
+
+    /**
+     * Copy configurations from one workspace type to another, such as
+     * from the previous version of a product to a newly imported one.
+     * Configurations the target already has are left alone unless
+     * overwrite is set.
+     *
+     * @param {string} fromType - The workspace type to copy from
+     * @param {string} toType - The workspace type to copy to
+     * @param {Object=} options
+     * @param {string[]=} options.ids - Only copy these configurations
+     * @param {bool=} options.overwrite - Update configurations which
+     *   already exist in the target (default false)
+     *
+     * @returns {Promise<WorkspaceConfiguration[]>} The configurations written
+     */
+    async copyWorkspaceConfigurations(fromType, toType, { ids, overwrite = false } = {}) {
+	const [source, target] = await Promise.all([
+	    this.getWorkspaceConfigurations(fromType),
+	    this.getWorkspaceConfigurations(toType),
+	]);
+
+	if (ids) {
+	    const missing = ids.filter(id => !source.some(c => c.id === id));
+	    if (missing.length)
+		throw new SwbValidationError(
+		    `workspace type ${fromType} has no configuration ${missing.join(', ')}`,
+		    { code: 'invalidWorkspaceConfiguration' });
+	}
+
+	const written = [];
+	for (const config of source) {
+	    if (ids && !ids.includes(config.id))
+		continue;
+
+	    const existing = target.find(c => c.id === config.id);
+	    if (!existing)
+		written.push(await this.createWorkspaceConfiguration(toType, config));
+	    else if (overwrite)
+		written.push(await this.updateWorkspaceConfiguration(
+		    toType, { ...config, rev: existing.rev }));
+	}
+	return written;
+    }
+
+    /**
+     * Copy configurations of a workspace type to another deployment,
+     * such as from staging to prod. Configurations the target already
+     * has are left alone unless overwrite is set. The target's dryrun
+     * applies.
+     *
+     * @example
+     * const staging = await SWB.fromProfile('staging');
+     * await staging.copyWorkspaceConfigurationsTo(await SWB.fromProfile('prod'), 'wt-linux');
+     *
+     * @param {SWB} target - Client for the deployment to copy to
+     * @param {string} fromType - The workspace type to copy from
+     * @param {Object=} options
+     * @param {string=} options.toType - The workspace type in the target
+     *   (default the same ID)
+     * @param {string[]=} options.ids - Only copy these configurations
+     * @param {bool=} options.overwrite - Update configurations which
+     *   already exist in the target (default false)
+     *
+     * @returns {Promise<WorkspaceConfiguration[]>} The configurations written
+     */
+    async copyWorkspaceConfigurationsTo(target, fromType, options) {
+	return copyWorkspaceConfigurationsTo(this, target, fromType, options);
+    }
+
+    /**
+     * @typedef Environment
+     * @property {string} id - The environment's ID
+     * @property {string} name - Name given when the environment was created
+     * @property {string} description - Human-readable description
+     * @property {string} envTypeId - The workspace type the environment was built from
+     * @property {string} envTypeConfigId - The workspace configuration used
+     * @property {string} projectId - The project the environment belongs to
+     * @property {string[]} studyIds - Studies mounted in the environment
+     * @property {string} status - e.g. PENDING, COMPLETED, STOPPED, TERMINATED or FAILED
+     * @property {string} createdBy - User ID of the owner
+     * @property {date} createdAt - Date of environment creation
+     * @property {date} updatedAt - The date of last record update
+     * @property {Object[]} outputs - Service Catalog outputs of the environment
+     * @property {number} rev - Revision number of the environment record
+     */
+
+    /**
+     * @typedef EnvironmentConnection
+     * @property {string} id - Connection ID, used with createConnectionUrl
+     * @property {string} name - Connection name
+     * @property {string} type - e.g. "SageMaker", "RStudioV2" or "ssh"
+     * @property {string} scheme - e.g. "https" or "rdp"
+     * @property {string} url - Address of the connection, where known
+     * @property {string} info - Additional information
+     */
+
+    /**
+     * List research environments (workspaces)
+     *
+     * @param {Object=} filter
+     * @param {string=} filter.projectId - Only environments in this project
+     * @param {string=} filter.owner - Only environments created by this user ID
+     *
+     * @returns {Promise<Environment[]>}
+     */
+    async getEnvironments({ projectId, owner } = {}) {
+	const envs = await this.#request('GET', '/api/workspaces/service-catalog',
+					{ schema: 'Environment[]' });
+	return envs.filter(env =>
+	    (projectId === undefined || env.projectId === projectId) &&
+	    (owner === undefined || env.createdBy === owner));
+    }
+
+    /**
+     * Get a specific research environment
+     *
+     * @param {string} envId - The environment's ID
+     *
+     * @returns {Promise<Environment>}
+     */
+    async getEnvironment(envId) {
+	return this.#request('GET', `/api/workspaces/service-catalog/${envId}`, { schema: 'Environment' });
+    }
+
+    /**
+     * Create a research environment from a workspace type and configuration
+     *
+     * @param {string} name - Name for the environment, no spaces
+     * @param {string} workspaceType - The workspace type ID
+     * @param {string} configurationId - The workspace configuration ID
+     * @param {string} projectId - The project the environment belongs to
+     * @param {string[]=} studyIds - Studies to mount in the environment
+     * @param {string=} description - Human-readable description
+     * @param {string=} cidr - IP range allowed to connect, if the type requires one
+     *
+     * @returns {Promise<Environment>}
+     */
+    async createEnvironment(name, workspaceType, configurationId, projectId,
+			    studyIds=[], description="", cidr) {
+	const body = {
+	    name: name,
+	    envTypeId: workspaceType,
+	    envTypeConfigId: configurationId,
+	    projectId: projectId,
+	    studyIds: studyIds,
+	    description: description,
+	};
+	if (cidr !== undefined)
+	    body.cidr = cidr;
+
+	return this.#request('POST', '/api/workspaces/service-catalog', {
+	    body,
+	    operation: 'createEnvironment',
+	    target: { type: 'environment', id: name },
+	    schema: 'Environment',
 	});
     }
+
+    /**
+     * Start a stopped research environment
+     *
+     * @param {string} envId - The environment's ID
+     *
+     * @returns {Promise<Environment>}
+     */
+    async startEnvironment(envId) {
+	return this.#environmentAction(envId, 'start');
+    }
+
+    /**
+     * Stop a running research environment
+     *
+     * @param {string} envId - The environment's ID
+     *
+     * @returns {Promise<Environment>}
+     */
+    async stopEnvironment(envId) {
+	return this.#environmentAction(envId, 'stop');
+    }
+
+    /**
+     * Terminate a research environment. This cannot be undone.
+     *
+     * @param {string} envId - The environment's ID
+     *
+     * @returns {Promise<Environment>}
+     */
+    async terminateEnvironment(envId) {
+	const before = await this.getEnvironment(envId);
+
+	return this.#request('DELETE', `/api/workspaces/service-catalog/${envId}`, {
+	    before,
+	    preview: { ...before, status: 'TERMINATING' },
+	    operation: 'terminateEnvironment',
+	    target: { type: 'environment', id: envId },
+	});
+    }
+
+    async #environmentAction(envId, action) {
+	const before = await this.getEnvironment(envId);
+
+	return this.#request('PUT', `/api/workspaces/service-catalog/${envId}/${action}`, {
+	    before,
+	    preview: { ...before, status: action === 'start' ? 'STARTING' : 'STOPPING' },
+	    operation: `${action}Environment`,
+	    target: { type: 'environment', id: envId },
+	});
+    }
+
+    /**
+     * List the ways of connecting to a research environment
+     *
+     * @param {string} envId - The environment's ID
+     *
+     * @returns {Promise<EnvironmentConnection[]>}
+     */
+    async getEnvironmentConnections(envId) {
+	return this.#request('GET', `/api/workspaces/service-catalog/${envId}/connections`,
+			     { schema: 'EnvironmentConnection[]' });
+    }
+
+    /**
+     * Create a (short-lived) URL for one of an environment's connections
+     *
+     * @param {string} envId - The environment's ID
+     * @param {string} connectionId - ID from getEnvironmentConnections
+     *
+     * @returns {Promise<{url: string}>}
+     */
+    async createConnectionUrl(envId, connectionId) {
+	// only hands out a URL, so is sent even in dry-run mode
+	return this.#request(
+	    'POST', `/api/workspaces/service-catalog/${envId}/connections/${connectionId}/url`,
+	    { journal: false });
+    }
+
+    /**
+     * Poll a research environment until it reaches the given status.
+     * Rejects if the environment fails or terminates first, or it is
+     * still not there when polled as the timeout passes. The signal of
+     * withRequestOptions also cancels the wait between polls.
+     *
+     * @param {string} envId - The environment's ID
+     * @param {string=} status - Target status (default "COMPLETED")
+     * @param {Object=} options
+     * @param {number=} options.intervalMs - Time between polls (default 15 seconds)
+     * @param {number=} options.timeoutMs - Time to give up after (default 30 minutes)
+     * @param {function(Environment)=} options.onPoll - Called with each polled environment
+     *
+     * @returns {Promise<Environment>}
+     */
+    async waitForEnvironment(envId, status="COMPLETED",
+			     { intervalMs = 15000, timeoutMs = 30 * 60 * 1000, onPoll } = {}) {
+	const path = `/api/workspaces/service-catalog/${envId}`;
+	const deadline = Date.now() + timeoutMs;
+	const { signal } = requestScope.getStore() ?? {};
+
+	for (;;) {
+	    const env = await this.getEnvironment(envId);
+	    if (onPoll) onPoll(env);
+
+	    if (env.status === status)
+		return env;
+
+	    // a record still being provisioned may have no status yet
+	    if (env.status?.endsWith('FAILED') || env.status === 'TERMINATED')
+		throw new SwbApiError(
+		    `environment ${envId} is ${env.status}, expected ${status}`,
+		    { code: 'environmentFailed', method: 'GET', path, body: env });
+
+	    // the last wait is cut short so the final poll falls on the deadline
+	    const remaining = deadline - Date.now();
+	    if (remaining <= 0)
+		throw new SwbTimeoutError(
+		    `environment ${envId} still ${env.status ?? "unprovisioned"} after ${timeoutMs}ms, ` +
+			`expected ${status}`,
+		    { code: 'timeout', method: 'GET', path, body: env });
+
+	    await this.#backoff(Math.min(intervalMs, remaining), signal, 'GET', path);
+	}
+    }
+
+    /**
+     * @typedef CostEntry
+     * @property {string} startDate - The day, as YYYY-MM-DD
+     * @property {Object<string, {amount: number, unit: string}>} cost -
+     *   Spend per AWS service
+     */
+
+    // asks the costs endpoint for the days of a range, and keeps
+    // just those
+    async #getCosts(query, range) {
+	const { from, to, days } = costRange(range);
+	const params = new URLSearchParams({ ...query, numberOfDaysInPast: days });
+	const entries = await this.#request('GET', `/api/costs?${params}`, { schema: 'CostEntry[]' });
+	return entries.filter(e => e.startDate >= from && e.startDate <= to);
+    }
+
+    /**
+     * Get the daily costs of a research environment
+     *
+     * @example
+     * const days = await swb.getEnvironmentCosts(envId, { from: '2026-09-01', to: '2026-09-30' });
+     *
+     * @param {string} envId - The environment's ID
+     * @param {CostRange=} range - Days to cover (default the last 30)
+     *
+     * @returns {Promise<CostEntry[]>}
+     */
+    async getEnvironmentCosts(envId, range) {
+	return this.#getCosts({ env: envId }, range);
+    }
+
+    /**
+     * Get the daily costs of a project's environments
+     *
+     * @param {string} projectId - The project's ID
+     * @param {CostRange=} range - Days to cover (default the last 30)
+     *
+     * @returns {Promise<CostEntry[]>}
+     */
+    async getProjectCosts(projectId, range) {
+	return this.#getCosts({ proj: projectId }, range);
+    }
+
+    /**
+     * Get the daily costs of the projects in an index, added up
+     *
+     * @param {string} indexId - The index's ID
+     * @param {CostRange=} range - Days to cover (default the last 30)
+     *
+     * @returns {Promise<CostEntry[]>}
+     */
+    async getIndexCosts(indexId, range) {
+	const projects = (await this.getProjects()).filter(p => p.indexId === indexId);
+	return mergeCosts(await Promise.all(projects.map(p => this.getProjectCosts(p.id, range))));
+    }
+
+    /**
+     * Totals the costs of every research environment by project,
+     * owner and workspace type.
+     *
+     * @example
+     * const report = await swb.generateCostReport({ from: '2026-09-01', to: '2026-09-30' });
+     * for (const p of report.byProject) console.log(p.id, p.total, report.unit);
+     *
+     * @param {CostRange=} range - Days to cover (default the last 30)
+     *
+     * @returns {Promise<CostReport>}
+     */
+    async generateCostReport(range) {
+	return generateCostReport(this, range);
+    }
+
+    /**
+     * Compares spend with budget limits, listing the limits which are
+     * exceeded or nearly so.
+     *
+     * @param {Budgets|string} budgets - The limits, or a JSON/YAML file to read them from
+     * @param {CostRange|CostReport=} range - Days to cover (default the
+     *   last 30), or a cost report already made
+     *
+     * @returns {Promise<BudgetBreach[]>}
+     */
+    async checkBudgets(budgets, range) {
+	if (typeof budgets === 'string')
+	    budgets = await loadBudgets(budgets);
+	const report = range?.byProject ? range : await generateCostReport(this, range);
+	return checkBudgets(report, budgets);
+    }
+
+    /**
+     * Compares SWB with a manifest of desired projects, members,
+     * studies and study permissions, and lists the changes needed.
+     * Nothing is written.
+     *
+     * @param {Manifest|string} manifest - The manifest, or a JSON/YAML file to read it from
+     *
+     * @returns {Promise<Plan>}
+     */
+    async planManifest(manifest) {
+	if (typeof manifest === 'string')
+	    manifest = await loadManifest(manifest);
+	return planManifest(this, manifest);
+    }
+
+    /**
+     * Carries out a plan from planManifest, in dependency order.
+     * Honours dryrun.
+     *
+     * @param {Plan} plan
+     * @param {Object=} options
+     * @param {bool=} options.continueOnError - Carry on after a failed step
+     *
+     * @returns {Promise<ApplyResult[]>}
+     */
+    async applyPlan(plan, options) {
+	return applyPlan(this, plan, options);
+    }
+
+    /**
+     * Lists, per project, its members and admins and each study's
+     * admin and readonly users, for access reviews. Inactive and
+     * external users holding access, and projects without admins,
+     * are flagged. Render it with formatAccessReport.
+     *
+     * @example
+     * const report = await swb.generateAccessReport();
+     * fs.writeFileSync('access.md', formatAccessReport(report, 'markdown'));
+     *
+     * @returns {Promise<AccessReport>}
+     */
+    async generateAccessReport() {
+	return generateAccessReport(this);
+    }
+
+    /**
+     * Takes a snapshot of users, indexes, projects, organisation
+     * studies with their permissions, and workspace types with their
+     * configurations, as one versioned JSON document.
+     *
+     * @example
+     * await swb.exportSnapshot('prod-2026-10.json');
+     * const diff = diffSnapshots(await loadSnapshot('prod-2026-09.json'),
+     *                            await loadSnapshot('prod-2026-10.json'));
+     *
+     * @param {string=} file - Also write the snapshot to this file
+     *
+     * @returns {Promise<Snapshot>}
+     */
+    async exportSnapshot(file) {
+	const snapshot = await takeSnapshot(this);
+	if (file !== undefined)
+	    await saveSnapshot(file, snapshot);
+	return snapshot;
+    }
+
+    /**
+     * Brings SWB back in line with a snapshot: creates missing
+     * indexes, projects, studies and workspace configurations, updates
+     * project details and changed configurations, and makes project
+     * membership and study permissions match. Users and workspace
+     * types are not recreated. Honours dryrun.
+     *
+     * @param {Snapshot|string} snapshot - The snapshot, or a file to read it from
+     * @param {Object=} options
+     * @param {bool=} options.continueOnError - Carry on after a failed step
+     *
+     * @returns {Promise<Object>} plan, the Plan carried out, and
+     *   results, an ApplyResult per step
+     */
+    async restoreSnapshot(snapshot, options) {
+	if (typeof snapshot === 'string')
+	    snapshot = await loadSnapshot(snapshot);
+	return restoreSnapshot(this, snapshot, options);
+    }
+
+    /**
+     * Starts watching SWB for changes made by anyone: users,
+     * projects, organisation studies and their permissions are polled
+     * and each record added, removed or changed since the previous
+     * poll raises an event on the returned Watcher.
+     *
+     * @example
+     * const watcher = await swb.watch({ intervalMs: 30000, stateFile: 'watch.json' });
+     * watcher.on('projects.changed', ({ id, changes }) => {
+     *     const admins = changes.find(c => c.field === 'projectAdmins');
+     *     if (admins) console.log(id, 'admins added', admins.added, 'removed', admins.removed);
+     * });
+     * ...
+     * await watcher.stop();
+     *
+     * @param {Object=} options
+     * @param {string[]=} options.resources - Any of users, projects,
+     *   studies and studyPermissions (default all)
+     * @param {number=} options.intervalMs - Time between polls (default 1 minute)
+     * @param {string=} options.stateFile - Load the state from this file
+     *   on start, if it exists, and save it after every poll
+     * @param {WatchState=} options.state - A state to start from instead
+     *
+     * @returns {Promise<Watcher>}
+     */
+    async watch(options) {
+	return new Watcher(this, options).start();
+    }
 }
 
 export default SWB;
+export {
+    loadManifest,
+    loadBudgets,
+    Watcher,
+    formatPlan,
+    formatAccessReport,
+    loadSnapshot,
+    diffSnapshots,
+    formatSnapshotDiff,
+    InternalAuthenticator,
+    TokenAuthenticator,
+    EnvTokenAuthenticator,
+    FileTokenAuthenticator,
+    CallbackAuthenticator,
+    FederatedAuthenticator,
+    SwbApiError,
+    SwbAuthError,
+    SwbNotFoundError,
+    SwbConflictError,
+    SwbTimeoutError,
+    SwbValidationError,
+};
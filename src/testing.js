@@ -0,0 +1,714 @@
+/**
+ * @description An in-memory stand-in for the Service Workbench API,
+ * for testing code built on the client without a real deployment.
+ * It covers every endpoint the client uses: authentication, users,
+ * indexes, projects, studies (with permissions and file uploads),
+ * workspace types and configurations, research environments and
+ * their costs. It checks revs on updates and answers errors with
+ * SWB-style { code, message } bodies.
+ *
+ * Nothing is provisioned. An environment which is created, started,
+ * stopped or terminated shows the in-between status (PENDING,
+ * STARTING, STOPPING or TERMINATING) to the next read, and has
+ * settled by the one after.
+ *
+ * @example
+ * import SWB from 'aws-swb';
+ * import { startFakeSwb } from 'aws-swb/testing';
+ *
+ * const fake = await startFakeSwb({ projects: [{ id: 'p1', indexId: 'index-1' }] });
+ * const swb = new SWB(fake.url, 'admin@example.com', 'password');
+ * await swb.login();
+ * ...
+ * await fake.stop();
+ *
+ * class module:testing
+ */
+import http from "node:http";
+import { randomBytes, randomUUID } from "node:crypto";
+
+/**
+ * @typedef Fixtures
+ * @property {Object[]=} users - User records; internal users may carry a
+ *   password, which is kept apart from the record. Without users, an
+ *   admin "admin@example.com" with password "password" is created.
+ * @property {Object[]=} authProviders - Identity provider configs
+ * @property {Object[]=} userRoles - User roles (default admin, researcher, guest)
+ * @property {Object[]=} awsAccounts
+ * @property {Object[]=} indexes
+ * @property {Object[]=} projects
+ * @property {Object[]=} studies - May carry permissions ({ adminUsers,
+ *   readonlyUsers }) and files ([{ filename, size }])
+ * @property {Object[]=} workspaceTypes - May carry configurations
+ * @property {Object[]=} workspaceTypeCandidates - Importable products
+ * @property {Object[]=} environments - Research environments; may carry
+ *   connections ([{ id, name, type, scheme, url }])
+ * @property {Object<string, Object[]>=} costs - Daily cost entries
+ *   ({ startDate, cost }) keyed by environment ID
+ * @property {Object<string, string>=} tokens - Pre-issued id tokens, keyed
+ *   by token with the uid they belong to
+ * @property {number=} tokenLifetime - Lifetime of issued tokens in seconds
+ *   (default 3600)
+ */
+
+/**
+ * @typedef FakeRequest
+ * @property {string} method
+ * @property {string} path - Path and query
+ * @property {*} body - Parsed JSON body, if any
+ * @property {string=} uid - The authenticated user
+ * @property {number} status - Status of the response
+ */
+
+// raised by handlers to answer with an SWB error body
+class FakeError extends Error {
+    constructor(status, code, message) {
+	super(message);
+	this.status = status;
+	this.code = code;
+    }
+}
+
+const notFound = what => new FakeError(404, 'notFound', `${what} does not exist`);
+const badRequest = message => new FakeError(400, 'badRequest', message);
+const outdated = what => new FakeError(
+    409, 'outdatedUpdateAttempt',
+    `${what} was just updated before your request could be processed, please refresh and try again`);
+
+const defaultUserRoles = [
+    { id: "admin", description: "Administrator", userType: "INTERNAL" },
+    { id: "researcher", description: "Researcher", userType: "INTERNAL" },
+    { id: "guest", description: "External guest", userType: "EXTERNAL" },
+];
+
+const defaultAuthProviders = [{
+    id: "internal",
+    title: "Default Login",
+    type: "internal",
+    credentialHandlingType: "submit",
+    signInUri: "api/authentication/id-tokens",
+    signOutUri: "api/authentication/logout",
+}];
+
+const clone = value => value === undefined ? undefined : structuredClone(value);
+
+// what an environment in an in-between status becomes
+const settledStatus = {
+    PENDING: "COMPLETED",
+    STARTING: "COMPLETED",
+    STOPPING: "STOPPED",
+    TERMINATING: "TERMINATED",
+};
+
+class FakeSwbServer {
+    #server;
+    #routes;
+    #passwords = new Map();
+    #tokens = new Map();
+    #failures = [];
+
+    /** Every request handled, oldest first, for assertions */
+    requests = [];
+
+    /**
+     * @param {Fixtures=} fixtures
+     */
+    constructor(fixtures = {}) {
+	this.#routes = this.#buildRoutes();
+	this.seed(fixtures);
+    }
+
+    /** Base address of the running server, to pass to the SWB constructor */
+    get url() {
+	const address = this.#server?.address();
+	if (!address)
+	    throw new Error("the fake SWB server is not running");
+	return `http://127.0.0.1:${address.port}`;
+    }
+
+    /**
+     * Starts listening on localhost.
+     *
+     * @param {number=} port - Port to listen on (default any free port)
+     *
+     * @returns {Promise<FakeSwbServer>}
+     */
+    async start(port = 0) {
+	this.#server = http.createServer((req, res) => this.#handle(req, res));
+	await new Promise((resolve, reject) => {
+	    this.#server.once('error', reject);
+	    this.#server.listen(port, '127.0.0.1', resolve);
+	});
+	return this;
+    }
+
+    /**
+     * Stops the server.
+     *
+     * @returns {Promise<void>}
+     */
+    async stop() {
+	if (!this.#server)
+	    return;
+	const server = this.#server;
+	this.#server = undefined;
+	server.closeAllConnections?.();
+	await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Replaces all records with the given fixtures.
+     *
+     * @param {Fixtures} fixtures
+     */
+    seed(fixtures = {}) {
+	const now = new Date().toISOString();
+	const stamp = r => ({ rev: 0, createdAt: now, updatedAt: now, createdBy: "_system_", ...clone(r) });
+	const byId = (list, key = 'id') => new Map((list ?? []).map(r => [r[key], stamp(r)]));
+
+	this.#passwords.clear();
+	this.#tokens.clear();
+	this.#failures = [];
+	this.requests = [];
+	this.tokenLifetime = fixtures.tokenLifetime ?? 3600;
+
+	const users = fixtures.users ?? [{
+	    uid: "u-admin", username: "admin@example.com", email: "admin@example.com",
+	    firstName: "Admin", lastName: "User", isAdmin: true, userRole: "admin",
+	    password: "password",
+	}];
+	this.users = new Map();
+	for (const { password, ...u } of users) {
+	    const user = stamp({
+		identityProviderName: "internal", authenticationProviderId: "internal",
+		isAdmin: false, isExternalUser: false, status: "active", projectId: [],
+		userRole: "researcher", username: u.email, usernameInIdp: u.email,
+		...u,
+	    });
+	    this.users.set(user.uid, user);
+	    if (password !== undefined)
+		this.#passwords.set(user.username, password);
+	}
+
+	this.authProviders = clone(fixtures.authProviders ?? defaultAuthProviders);
+	this.userRoles = clone(fixtures.userRoles ?? defaultUserRoles);
+	this.awsAccounts = byId(fixtures.awsAccounts);
+	this.indexes = byId(fixtures.indexes);
+	this.projects = byId((fixtures.projects ?? []).map(p => ({ projectAdmins: [], ...p })));
+
+	this.studies = new Map();
+	this.permissions = new Map();
+	this.files = new Map();
+	for (const { permissions, files, ...s } of fixtures.studies ?? []) {
+	    this.studies.set(s.id, stamp({ category: "Organization", studyType: "unstructured",
+					   projectId: [], uploadLocationEnabled: true, ...s }));
+	    this.permissions.set(s.id, { id: s.id, adminUsers: [], readonlyUsers: [],
+					 createdAt: now, updatedAt: now, ...clone(permissions) });
+	    this.files.set(s.id, new Map((files ?? []).map(f => [f.filename, { ...f }])));
+	}
+
+	this.workspaceTypes = new Map();
+	this.configurations = new Map();
+	for (const { configurations, ...t } of fixtures.workspaceTypes ?? []) {
+	    this.workspaceTypes.set(t.id, stamp({ status: "approved", params: [], ...t }));
+	    this.configurations.set(t.id, byId(configurations));
+	}
+	this.workspaceTypeCandidates = clone(fixtures.workspaceTypeCandidates ?? []);
+	this.environments = new Map();
+	this.connections = new Map();
+	for (const { connections, ...e } of fixtures.environments ?? []) {
+	    this.environments.set(e.id, stamp({ status: "COMPLETED", studyIds: [], ...e }));
+	    this.connections.set(e.id, clone(connections ?? []));
+	}
+	this.costs = new Map(Object.entries(clone(fixtures.costs ?? {})));
+
+	for (const [token, uid] of Object.entries(fixtures.tokens ?? {}))
+	    this.#tokens.set(token, { uid });
+    }
+
+    /**
+     * Issues an id token for a user, as a login would.
+     *
+     * @param {string} uid - The user's uid
+     * @param {number=} lifetime - Seconds until it expires (default tokenLifetime)
+     *
+     * @returns {string}
+     */
+    issueToken(uid, lifetime = this.tokenLifetime) {
+	const exp = Math.floor(Date.now() / 1000) + lifetime;
+	const payload = Buffer.from(JSON.stringify({ sub: uid, exp })).toString('base64url');
+	const token = `fake.${payload}.${randomBytes(8).toString('hex')}`;
+	this.#tokens.set(token, { uid, exp: exp * 1000 });
+	return token;
+    }
+
+    /**
+     * Makes the next matching requests fail, e.g. to test retries.
+     *
+     * @param {string} method - HTTP method, or "*"
+     * @param {string|RegExp} path - Path prefix or pattern to match
+     * @param {Object=} failure
+     * @param {number=} failure.status - HTTP status (default 500)
+     * @param {string=} failure.code - SWB error code (default "internalError")
+     * @param {string=} failure.message
+     * @param {Object<string, string>=} failure.headers - e.g. Retry-After
+     * @param {number=} failure.times - How many requests fail (default 1)
+     */
+    failNext(method, path, { status = 500, code = "internalError", message = "Injected failure",
+			     headers = {}, times = 1 } = {}) {
+	this.#failures.push({ method, path, status, code, message, headers, times });
+    }
+
+    async #handle(req, res) {
+	const url = new URL(req.url, 'http://localhost');
+	const chunks = [];
+	for await (const chunk of req)
+	    chunks.push(chunk);
+	const raw = Buffer.concat(chunks);
+
+	const entry = { method: req.method, path: `${url.pathname}${url.search}` };
+	this.requests.push(entry);
+
+	const send = (status, payload, headers = {}) => {
+	    entry.status = status;
+	    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+	    res.end(payload === undefined ? '' : JSON.stringify(payload));
+	};
+
+	try {
+	    const failure = this.#failures.find(f =>
+		(f.method === '*' || f.method === req.method) &&
+		    (f.path instanceof RegExp ? f.path.test(url.pathname) : url.pathname.startsWith(f.path)));
+	    if (failure) {
+		if (--failure.times <= 0)
+		    this.#failures.splice(this.#failures.indexOf(failure), 1);
+		return send(failure.status, { code: failure.code, message: failure.message },
+			    failure.headers);
+	    }
+
+	    if (url.pathname.startsWith('/__s3/'))
+		return send(204, this.#receiveUpload(req, raw));
+
+	    let body;
+	    if (raw.length) {
+		try {
+		    body = JSON.parse(raw.toString());
+		} catch {
+		    throw badRequest("request body is not valid JSON");
+		}
+	    }
+	    entry.body = body;
+
+	    for (const { method, pattern, handler, auth } of this.#routes) {
+		if (method !== req.method)
+		    continue;
+		const match = url.pathname.replace(/\/+$/, '').match(pattern);
+		if (!match)
+		    continue;
+
+		let user;
+		if (auth) {
+		    user = this.#authenticate(req.headers.authorization);
+		    entry.uid = user.uid;
+		    if (auth === 'admin' && !user.isAdmin)
+			throw new FakeError(403, 'forbidden', "You are not authorized to perform this operation");
+		}
+		const result = await handler({ params: match.slice(1).map(decodeURIComponent),
+					       query: url.searchParams, body, user });
+		return send(200, result);
+	    }
+	    throw new FakeError(404, 'notFound', `Cannot ${req.method} ${url.pathname}`);
+	} catch (err) {
+	    if (!(err instanceof FakeError))
+		return send(500, { code: 'internalError', message: err.message });
+	    send(err.status, { code: err.code, message: err.message });
+	}
+    }
+
+    #authenticate(header) {
+	const session = this.#tokens.get(header);
+	if (!session)
+	    throw new FakeError(401, 'unauthorized', "Authentication required");
+	if (session.exp !== undefined && Date.now() >= session.exp)
+	    throw new FakeError(401, 'unauthorized', "Token expired");
+	const user = this.users.get(session.uid);
+	if (!user || user.status !== 'active')
+	    throw new FakeError(401, 'unauthorized', "User is not active");
+	return user;
+    }
+
+    // stores the file from a presigned POST form, as S3 would
+    #receiveUpload(req, raw) {
+	if (req.headers['content-length'] === undefined)
+	    throw new FakeError(411, 'MissingContentLength',
+				"You must provide the Content-Length HTTP header.");
+	const boundary = req.headers['content-type']?.match(/boundary=(.+)$/)?.[1];
+	if (!boundary)
+	    throw badRequest("expected multipart/form-data");
+
+	const fields = {};
+	let data;
+	const delimiter = Buffer.from(`--${boundary}`);
+	let at = raw.indexOf(delimiter);
+	while (at !== -1) {
+	    const next = raw.indexOf(delimiter, at + delimiter.length);
+	    if (next === -1)
+		break;
+	    const part = raw.subarray(at + delimiter.length + 2, next - 2);
+	    const split = part.indexOf('\r\n\r\n');
+	    const headers = part.subarray(0, split).toString();
+	    const name = headers.match(/name="([^"]*)"/)?.[1];
+	    if (/filename=/.test(headers))
+		data = part.subarray(split + 4);
+	    else if (name)
+		fields[name] = part.subarray(split + 4).toString();
+	    at = next;
+	}
+
+	const [, studyId, filename] = fields.key?.match(/^studies\/([^/]+)\/(.+)$/) ?? [];
+	if (!this.files.has(studyId) || data === undefined)
+	    throw new FakeError(403, 'AccessDenied', "Invalid according to Policy");
+	this.files.get(studyId).set(filename, {
+	    filename, size: data.length, lastModified: new Date().toISOString(),
+	    fullPath: fields.key, data,
+	});
+	return undefined;
+    }
+
+    #buildRoutes() {
+	const routes = [];
+	const route = (method, path, handler, auth = true) => {
+	    const pattern = new RegExp(`^${path.replace(/:\w+/g, '([^/]+)')}$`);
+	    routes.push({ method, pattern, handler, auth });
+	};
+	const now = () => new Date().toISOString();
+	const get = (map, id, what) => {
+	    if (!map.has(id))
+		throw notFound(`${what} "${id}"`);
+	    return map.get(id);
+	};
+	const create = (map, id, record, user, what) => {
+	    if (!id)
+		throw badRequest(`${what} id is required`);
+	    if (map.has(id))
+		throw new FakeError(400, 'alreadyExists', `${what} "${id}" already exists`);
+	    const stamped = { ...record, rev: 0, createdAt: now(), updatedAt: now(),
+			      createdBy: user.uid, updatedBy: user.uid };
+	    map.set(id, stamped);
+	    return stamped;
+	};
+	const update = (map, id, body, fields, user, what) => {
+	    const current = get(map, id, what);
+	    if (body?.rev !== current.rev)
+		throw outdated(`${what} "${id}"`);
+	    const updated = { ...current, rev: current.rev + 1, updatedAt: now(), updatedBy: user.uid };
+	    for (const f of fields)
+		if (body[f] !== undefined) updated[f] = body[f];
+	    map.set(id, updated);
+	    return updated;
+	};
+	const checkUsers = uids => {
+	    const unknown = uids.filter(uid => !this.users.has(uid));
+	    if (unknown.length)
+		throw badRequest(`unknown users: ${unknown.join(', ')}`);
+	};
+	const checkProjects = ids => {
+	    const unknown = ids.filter(id => !this.projects.has(id));
+	    if (unknown.length)
+		throw badRequest(`unknown projects: ${unknown.join(', ')}`);
+	};
+
+	// authentication
+	route('GET', '/api/authentication/public/provider/configs', () => this.authProviders, false);
+	route('POST', '/api/authentication/id-tokens', ({ body }) => {
+	    if (body?.authenticationProvider !== 'internal')
+		throw badRequest("only the internal provider accepts passwords");
+	    const password = this.#passwords.get(body.username);
+	    const user = [...this.users.values()].find(u => u.username === body.username);
+	    if (password === undefined || password !== body.password || user?.status !== 'active')
+		throw new FakeError(401, 'unauthorized', "Incorrect username or password");
+	    return { idToken: this.issueToken(user.uid) };
+	}, false);
+
+	// users
+	route('GET', '/api/user', ({ user }) => user);
+	route('GET', '/api/users', () => [...this.users.values()]);
+	route('GET', '/api/user-roles', () => this.userRoles);
+	route('POST', '/api/users', ({ body, user }) => {
+	    if (!body?.email)
+		throw badRequest("email is required");
+	    const idp = body.identityProviderName;
+	    if ([...this.users.values()].some(u => u.username === body.username &&
+					     u.identityProviderName === idp))
+		throw new FakeError(400, 'alreadyExists', `user ${body.username} already exists`);
+	    if (!this.userRoles.some(r => r.id === body.userRole))
+		throw badRequest(`unknown user role ${body.userRole}`);
+	    const uid = `u-${randomBytes(6).toString('hex')}`;
+	    return create(this.users, uid, {
+		uid, isAdmin: false, isExternalUser: idp !== 'internal', status: 'active',
+		projectId: [], usernameInIdp: body.username, ns: `${idp}||||${body.authenticationProviderId}`,
+		...body,
+	    }, user, 'user');
+	}, 'admin');
+	route('PUT', '/api/users/:uid', ({ params: [uid], body, user }) => {
+	    checkProjects(body?.projectId ?? []);
+	    return update(this.users, uid, body, [
+		"applyReason", "email", "firstName", "isAdmin", "isExternalUser",
+		"lastName", "projectId", "status", "userRole",
+	    ], user, 'user');
+	}, 'admin');
+	route('DELETE', '/api/users/:uid', ({ params: [uid] }) => {
+	    get(this.users, uid, 'user');
+	    this.users.delete(uid);
+	    return {};
+	}, 'admin');
+
+	// accounts, indexes and projects
+	route('GET', '/api/aws-accounts', () => [...this.awsAccounts.values()], 'admin');
+	route('GET', '/api/aws-accounts/:id', ({ params: [id] }) => get(this.awsAccounts, id, 'AWS account'), 'admin');
+	route('GET', '/api/indexes', () => [...this.indexes.values()]);
+	route('GET', '/api/indexes/:id', ({ params: [id] }) => get(this.indexes, id, 'index'));
+	route('POST', '/api/indexes', ({ body, user }) => {
+	    get(this.awsAccounts, body?.awsAccountId, 'AWS account');
+	    return create(this.indexes, body.id, body, user, 'index');
+	}, 'admin');
+	route('PUT', '/api/indexes/:id', ({ params: [id], body, user }) =>
+	    update(this.indexes, id, body, ["awsAccountId", "description"], user, 'index'), 'admin');
+	route('GET', '/api/projects', () => [...this.projects.values()]);
+	route('GET', '/api/projects/:id', ({ params: [id] }) => get(this.projects, id, 'project'));
+	route('POST', '/api/projects', ({ body, user }) => {
+	    get(this.indexes, body?.indexId, 'index');
+	    checkUsers(body.projectAdmins ?? []);
+	    return create(this.projects, body.id, { projectAdmins: [], ...body }, user, 'project');
+	}, 'admin');
+	route('PUT', '/api/projects/:id', ({ params: [id], body, user }) => {
+	    if (body?.indexId !== undefined)
+		get(this.indexes, body.indexId, 'index');
+	    checkUsers(body?.projectAdmins ?? []);
+	    return update(this.projects, id, body, ["description", "indexId", "projectAdmins"],
+			  user, 'project');
+	}, 'admin');
+	route('DELETE', '/api/projects/:id', ({ params: [id] }) => {
+	    get(this.projects, id, 'project');
+	    this.projects.delete(id);
+	    return {};
+	}, 'admin');
+
+	// studies
+	const access = (studyId, uid) => {
+	    const perms = this.permissions.get(studyId);
+	    if (perms?.adminUsers.includes(uid)) return 'admin';
+	    if (perms?.readonlyUsers.includes(uid)) return 'readonly';
+	    return undefined;
+	};
+	route('GET', '/api/studies', ({ query, user }) => {
+	    const category = query.get('category') ?? 'Organization';
+	    return [...this.studies.values()]
+		.filter(s => s.category === category &&
+			(category !== 'My Studies' || s.createdBy === user.uid))
+		.map(s => ({ ...s, access: access(s.id, user.uid) }));
+	});
+	route('GET', '/api/studies/:id', ({ params: [id], user }) =>
+	    ({ ...get(this.studies, id, 'study'), access: access(id, user.uid) }));
+	route('POST', '/api/studies', ({ body, user }) => {
+	    checkProjects(body?.projectId ?? []);
+	    const study = create(this.studies, body?.id, body, user, 'study');
+	    this.permissions.set(study.id, { id: study.id, adminUsers: [user.uid], readonlyUsers: [],
+					     createdAt: now(), updatedAt: now() });
+	    this.files.set(study.id, new Map());
+	    return study;
+	});
+	route('DELETE', '/api/studies/:id', ({ params: [id] }) => {
+	    get(this.studies, id, 'study');
+	    for (const map of [this.studies, this.permissions, this.files])
+		map.delete(id);
+	    return {};
+	}, 'admin');
+	route('GET', '/api/studies/:id/permissions', ({ params: [id] }) => {
+	    get(this.studies, id, 'study');
+	    return this.permissions.get(id);
+	});
+	route('PUT', '/api/studies/:id/permissions', ({ params: [id], body, user }) => {
+	    get(this.studies, id, 'study');
+	    const { usersToAdd = [], usersToRemove = [] } = body ?? {};
+	    const changes = [...usersToAdd, ...usersToRemove];
+	    if (changes.some(c => !["admin", "readonly"].includes(c.permissionLevel)))
+		throw badRequest("permissionLevel must be admin or readonly");
+	    checkUsers(usersToAdd.map(c => c.uid));
+
+	    const perms = this.permissions.get(id);
+	    const levels = { admin: new Set(perms.adminUsers), readonly: new Set(perms.readonlyUsers) };
+	    usersToRemove.forEach(({ uid, permissionLevel }) => levels[permissionLevel].delete(uid));
+	    usersToAdd.forEach(({ uid, permissionLevel }) => levels[permissionLevel].add(uid));
+	    if (levels.admin.size === 0)
+		throw badRequest("a study must have at least one admin");
+
+	    const updated = { ...perms, adminUsers: [...levels.admin], readonlyUsers: [...levels.readonly],
+			      updatedAt: now(), updatedBy: user.uid };
+	    this.permissions.set(id, updated);
+	    return updated;
+	});
+	route('GET', '/api/studies/:id/files', ({ params: [id] }) => {
+	    get(this.studies, id, 'study');
+	    return [...this.files.get(id).values()].map(({ data, ...f }) => f);
+	});
+	route('GET', '/api/studies/:id/upload-requests', ({ params: [id], query, user }) => {
+	    const study = get(this.studies, id, 'study');
+	    if (!study.uploadLocationEnabled)
+		throw badRequest(`study "${id}" does not allow uploads`);
+	    if (access(id, user.uid) !== 'admin')
+		throw new FakeError(403, 'forbidden', `You are not an admin of study "${id}"`);
+	    const names = (query.get('filenames') ?? '').split(',').filter(Boolean);
+	    if (!names.length)
+		throw badRequest("filenames are required");
+	    return Object.fromEntries(names.map(name => [name, {
+		url: `${this.url}/__s3/study-data`,
+		fields: { key: `studies/${id}/${name}`, 'x-amz-meta-uploadedby': user.uid },
+	    }]));
+	});
+
+	// workspace types and configurations
+	route('GET', '/api/workspace-types', ({ query }) => {
+	    const status = query.get('status') ?? 'approved';
+	    return [...this.workspaceTypes.values()].filter(t => status === '*' || t.status === status);
+	});
+	route('GET', '/api/workspace-types/:id', ({ params: [id] }) => get(this.workspaceTypes, id, 'workspace type'));
+	route('POST', '/api/workspace-types', ({ body, user }) => {
+	    const type = create(this.workspaceTypes, body?.id, { params: [], ...body }, user, 'workspace type');
+	    this.configurations.set(type.id, new Map());
+	    return type;
+	}, 'admin');
+	route('PUT', '/api/workspace-types/:id', ({ params: [id], body, user }) => {
+	    if (body?.status !== undefined && !["approved", "not-approved"].includes(body.status))
+		throw badRequest("status must be approved or not-approved");
+	    return update(this.workspaceTypes, id, body, ["name", "desc", "status", "params"],
+			  user, 'workspace type');
+	}, 'admin');
+	route('GET', '/api/workspace-type-candidates', ({ query }) => {
+	    const status = query.get('status') ?? 'not-imported';
+	    const version = query.get('version') ?? 'latest';
+	    return this.workspaceTypeCandidates.filter(c =>
+		(status === '*' || !this.workspaceTypes.has(c.id)) &&
+		    (version === '*' || c.latest !== false));
+	}, 'admin');
+	const configs = typeId => {
+	    get(this.workspaceTypes, typeId, 'workspace type');
+	    return this.configurations.get(typeId);
+	};
+	route('GET', '/api/workspace-types/:id/configurations', ({ params: [typeId] }) =>
+	    [...configs(typeId).values()]);
+	route('GET', '/api/workspace-types/:id/configurations/:configId', ({ params: [typeId, id] }) =>
+	    get(configs(typeId), id, 'configuration'));
+	route('POST', '/api/workspace-types/:id/configurations', ({ params: [typeId], body, user }) =>
+	    create(configs(typeId), body?.id, body, user, 'configuration'), 'admin');
+	route('PUT', '/api/workspace-types/:id/configurations/:configId', ({ params: [typeId, id], body, user }) =>
+	    update(configs(typeId), id, body, ["name", "desc", "estimatedCostInfo", "allowRoleIds",
+					       "denyRoleIds", "params", "tags"],
+		   user, 'configuration'), 'admin');
+	route('DELETE', '/api/workspace-types/:id/configurations/:configId', ({ params: [typeId, id] }) => {
+	    get(configs(typeId), id, 'configuration');
+	    configs(typeId).delete(id);
+	    return {};
+	}, 'admin');
+
+	// environments
+	// a read shows an in-between status once, then it settles
+	const read = env => {
+	    const shown = { ...env };
+	    if (settledStatus[env.status])
+		env.status = settledStatus[env.status];
+	    return shown;
+	};
+	const environment = (id, user) => {
+	    const env = get(this.environments, id, 'environment');
+	    if (!user.isAdmin && env.createdBy !== user.uid)
+		throw new FakeError(403, 'forbidden', `You do not own environment "${id}"`);
+	    return env;
+	};
+	const transition = (env, from, to, user) => {
+	    if (!from.includes(env.status))
+		throw badRequest(`environment "${env.id}" is ${env.status}, expected ${from.join(' or ')}`);
+	    const updated = { ...env, status: to, rev: env.rev + 1, updatedAt: now(), updatedBy: user.uid };
+	    this.environments.set(env.id, updated);
+	    return { ...updated };
+	};
+	route('GET', '/api/workspaces/service-catalog', ({ user }) =>
+	    [...this.environments.values()].filter(e => user.isAdmin || e.createdBy === user.uid).map(read));
+	route('GET', '/api/workspaces/service-catalog/:id', ({ params: [id], user }) =>
+	    read(environment(id, user)));
+	route('POST', '/api/workspaces/service-catalog', ({ body, user }) => {
+	    if (!body?.name || /\s/.test(body.name))
+		throw badRequest("name is required and cannot contain spaces");
+	    get(configs(body.envTypeId), body.envTypeConfigId, 'configuration');
+	    checkProjects([body.projectId]);
+	    for (const studyId of body.studyIds ?? [])
+		get(this.studies, studyId, 'study');
+	    const id = randomUUID();
+	    this.connections.set(id, []);
+	    return { ...create(this.environments, id, { studyIds: [], description: "", ...body, id,
+							    status: "PENDING" }, user, 'environment') };
+	});
+	route('PUT', '/api/workspaces/service-catalog/:id/start', ({ params: [id], user }) =>
+	    transition(environment(id, user), ["STOPPED"], "STARTING", user));
+	route('PUT', '/api/workspaces/service-catalog/:id/stop', ({ params: [id], user }) =>
+	    transition(environment(id, user), ["COMPLETED"], "STOPPING", user));
+	route('DELETE', '/api/workspaces/service-catalog/:id', ({ params: [id], user }) =>
+	    transition(environment(id, user), ["COMPLETED", "STOPPED", "FAILED"], "TERMINATING", user));
+	route('GET', '/api/workspaces/service-catalog/:id/connections', ({ params: [id], user }) => {
+	    environment(id, user);
+	    return this.connections.get(id) ?? [];
+	});
+	route('POST', '/api/workspaces/service-catalog/:id/connections/:connectionId/url',
+	      ({ params: [id, connectionId], user }) => {
+		  const env = environment(id, user);
+		  const connection = (this.connections.get(id) ?? []).find(c => c.id === connectionId);
+		  if (!connection)
+		      throw notFound(`connection "${connectionId}"`);
+		  if (env.status !== 'COMPLETED')
+		      throw badRequest(`environment "${id}" is ${env.status}, not running`);
+		  return { url: connection.url ?? `${this.url}/__connect/${id}/${connectionId}` };
+	      });
+	route('GET', '/api/costs', ({ query }) => {
+	    const days = Number(query.get('numberOfDaysInPast') ?? 30);
+	    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	    let envIds;
+	    if (query.has('env'))
+		envIds = [get(this.environments, query.get('env'), 'environment').id];
+	    else if (query.has('proj'))
+		envIds = [...this.environments.values()]
+		    .filter(e => e.projectId === get(this.projects, query.get('proj'), 'project').id)
+		    .map(e => e.id);
+	    else
+		throw badRequest("env or proj is required");
+
+	    // a project's costs are those of its environments, day by day
+	    const byDay = new Map();
+	    for (const entry of envIds.flatMap(id => this.costs.get(id) ?? [])) {
+		if (entry.startDate < since)
+		    continue;
+		const cost = byDay.get(entry.startDate) ?? {};
+		for (const [service, { amount, unit }] of Object.entries(entry.cost))
+		    cost[service] = { amount: (cost[service]?.amount ?? 0) + amount, unit };
+		byDay.set(entry.startDate, cost);
+	    }
+	    return [...byDay].sort(([a], [b]) => a.localeCompare(b))
+		.map(([startDate, cost]) => ({ startDate, cost }));
+	});
+
+	return routes;
+    }
+}
+
+/**
+ * Creates and starts a fake SWB server.
+ *
+ * @param {Fixtures=} fixtures
+ *
+ * @returns {Promise<FakeSwbServer>}
+ */
+async function startFakeSwb(fixtures) {
+    return new FakeSwbServer(fixtures).start();
+}
+
+export default FakeSwbServer;
+export { FakeSwbServer, startFakeSwb };
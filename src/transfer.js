@@ -0,0 +1,104 @@
+/**
+ * @description Copies workspace configurations and study definitions
+ * from one SWB deployment to another, such as from staging to prod.
+ * Everything is read through the source client and written through
+ * the target, so the target's dryrun decides whether anything changes.
+ * module:transfer
+ */
+import { SwbValidationError } from "./errors.js";
+
+// fails naming any requested ids the source does not have
+function checkIds(ids, records, what, code) {
+    const missing = (ids ?? []).filter(id => !records.some(r => r.id === id));
+    if (missing.length)
+	throw new SwbValidationError(`${what} ${missing.join(', ')}`, { code, body: { missing } });
+}
+
+/**
+ * Copies configurations of a workspace type to a workspace type in
+ * another deployment. Configurations the target already has are left
+ * alone unless overwrite is set.
+ *
+ * @param {SWB} source - Client for the deployment to copy from
+ * @param {SWB} target - Client for the deployment to copy to
+ * @param {string} fromType - The workspace type to copy from
+ * @param {Object=} options
+ * @param {string=} options.toType - The workspace type to copy to
+ *   (default the same ID as fromType)
+ * @param {string[]=} options.ids - Only copy these configurations
+ * @param {bool=} options.overwrite - Update configurations which
+ *   already exist in the target (default false)
+ *
+ * @returns {Promise<WorkspaceConfiguration[]>} The configurations written
+ */
+async function copyWorkspaceConfigurationsTo(source, target, fromType,
+					     { toType = fromType, ids, overwrite = false } = {}) {
+    const [configs, existing] = await Promise.all([
+	source.getWorkspaceConfigurations(fromType),
+	target.getWorkspaceConfigurations(toType),
+    ]);
+    checkIds(ids, configs, `workspace type ${fromType} has no configuration`,
+	     'invalidWorkspaceConfiguration');
+
+    const written = [];
+    for (const config of configs) {
+	if (ids && !ids.includes(config.id))
+	    continue;
+
+	// revs and timestamps belong to the source's copy
+	const { rev, createdAt, createdBy, updatedAt, updatedBy, ...copy } = config;
+	const have = existing.find(c => c.id === config.id);
+	if (!have)
+	    written.push(await target.createWorkspaceConfiguration(toType, copy));
+	else if (overwrite)
+	    written.push(await target.updateWorkspaceConfiguration(toType, { ...copy, rev: have.rev }));
+    }
+    return written;
+}
+
+/**
+ * Creates studies in another deployment with the same ID, name,
+ * description, category, type and upload setting as in the source.
+ * Studies the target already has are left alone. Permissions and
+ * files are not copied, as user IDs differ between deployments.
+ *
+ * @param {SWB} source - Client for the deployment to copy from
+ * @param {SWB} target - Client for the deployment to copy to
+ * @param {Object=} options
+ * @param {string[]=} options.ids - Only copy these organisation
+ *   studies (default all of them)
+ * @param {string=} options.project - Put the studies in this project
+ *   (default the project each belongs to in the source)
+ *
+ * @returns {Promise<Study[]>} The studies created
+ */
+async function copyStudiesTo(source, target, { ids, project } = {}) {
+    const [studies, existing, projects] = await Promise.all([
+	source.getStudies("Organization"),
+	target.getStudies("Organization"),
+	target.getProjects(),
+    ]);
+    checkIds(ids, studies, "the source has no study", 'invalidStudy');
+
+    const wanted = studies.filter(s => (!ids || ids.includes(s.id)) &&
+				  !existing.some(e => e.id === s.id));
+    const projectOf = s => project ?? s.projectId?.[0];
+    // check the projects up front rather than failing part way
+    const missing = [...new Set(wanted.map(projectOf))]
+	  .filter(id => !projects.some(p => p.id === id));
+    if (missing.length)
+	throw new SwbValidationError(
+	    `the target has no project ${missing.join(', ')}, create it or pass project`,
+	    { code: 'invalidProject', body: { missing } });
+
+    const created = [];
+    for (const s of wanted)
+	created.push(await target.createStudy(s.id, s.name ?? s.id, s.description ?? "", projectOf(s),
+					      s.category, s.studyType, s.uploadLocationEnabled));
+    return created;
+}
+
+export {
+    copyWorkspaceConfigurationsTo,
+    copyStudiesTo,
+};
@@ -0,0 +1,140 @@
+/**
+ * @description Streams files to the presigned S3 POST forms which
+ * SWB hands out for study uploads. Only the URL and fields SWB
+ * returns are used, so any S3-compatible endpoint will do.
+ * module:uploads
+ */
+import fetch from "node-fetch";
+import { createReadStream } from "node:fs";
+import { stat } from "node:fs/promises";
+import { basename } from "node:path";
+import { Readable } from "node:stream";
+import { randomUUID } from "node:crypto";
+import { SwbApiError, SwbValidationError } from "./errors.js";
+
+/**
+ * S3 accepts at most 5 GB in a single POST. Larger files would need a
+ * multipart upload, with a presigned URL per part, which SWB does not
+ * issue.
+ */
+const maxPostSize = 5 * 1024 ** 3;
+
+/**
+ * @typedef UploadSource
+ * @property {string} name - File name in the study
+ * @property {number} size - Size in bytes
+ * @property {function(): Readable} open - Opens the file's contents
+ */
+
+/**
+ * @typedef PresignedPost
+ * @property {string} url - Where to POST the form
+ * @property {Object<string, string>} fields - Form fields to send before the file
+ */
+
+/**
+ * Turns a path, a stream or a { name, path | stream, size } object
+ * into an UploadSource. Streams which do not come from a file need a
+ * size: S3 answers a POST without a Content-Length with 411.
+ *
+ * @param {string|Readable|Object} input
+ *
+ * @returns {Promise<UploadSource>}
+ */
+async function uploadSource(input) {
+    if (typeof input === 'string')
+	input = { path: input };
+    else if (input instanceof Readable)
+	input = { stream: input };
+
+    if (input.path !== undefined) {
+	const info = await stat(input.path);
+	return {
+	    name: input.name ?? basename(input.path),
+	    size: info.size,
+	    open: () => createReadStream(input.path),
+	};
+    }
+
+    // streams from fs.createReadStream know their file
+    const path = typeof input.stream?.path === 'string' ? input.stream.path : undefined;
+    const name = input.name ?? (path && basename(path));
+    if (!input.stream || !name)
+	throw new SwbValidationError('an upload needs a path, or a stream and a name',
+				     { code: 'invalidUpload' });
+    const size = input.size ?? (path && (await stat(path)).size);
+    if (!Number.isInteger(size) || size < 0)
+	throw new SwbValidationError(`${name} needs a size, as S3 must know its length up front`,
+				     { code: 'invalidUpload' });
+    return {
+	name,
+	size,
+	open: () => input.stream,
+    };
+}
+
+/**
+ * Sends a file to a presigned POST form as multipart/form-data,
+ * streaming it rather than reading it into memory.
+ *
+ * @param {PresignedPost} post
+ * @param {UploadSource} source
+ * @param {Object=} options
+ * @param {function(number): void=} options.onProgress - Called with
+ *   the number of bytes of the file sent so far
+ * @param {AbortSignal=} options.signal - Aborts the upload
+ */
+async function postFile({ url, fields }, source, { onProgress, signal } = {}) {
+    if (source.size > maxPostSize)
+	throw new SwbValidationError(
+	    `${source.name} is larger than the 5 GB S3 allows in one upload, ` +
+		"and SWB issues no URLs for multipart uploads",
+	    { code: 'fileTooLarge' });
+
+    const boundary = `----swb-${randomUUID()}`;
+    const part = (headers) => `--${boundary}\r\n${headers}\r\n\r\n`;
+    let head = "";
+    for (const [key, value] of Object.entries(fields ?? {}))
+	head += part(`Content-Disposition: form-data; name="${key}"`) + `${value}\r\n`;
+    head += part(`Content-Disposition: form-data; name="file"; filename="${source.name.replace(/"/g, '%22')}"\r\n` +
+		 'Content-Type: application/octet-stream');
+    const tail = `\r\n--${boundary}--\r\n`;
+
+    async function* body() {
+	yield Buffer.from(head);
+	let loaded = 0;
+	for await (const chunk of source.open()) {
+	    loaded += chunk.length;
+	    yield chunk;
+	    onProgress?.(loaded);
+	}
+	yield Buffer.from(tail);
+    }
+
+    const headers = {
+	'Content-Type': `multipart/form-data; boundary=${boundary}`,
+	'Content-Length': String(Buffer.byteLength(head) + source.size + Buffer.byteLength(tail)),
+    };
+
+    let res;
+    try {
+	res = await fetch(url, { method: 'POST', headers, body: Readable.from(body()), signal });
+    } catch (err) {
+	throw new SwbApiError(`upload of ${source.name} failed: ${err.message}`,
+			      { method: 'POST', path: url, cause: err });
+    }
+
+    if (!res.ok) {
+	const text = await res.text();
+	const message = text.match(/<Message>([^<]*)<\/Message>/)?.[1] ?? (text || `HTTP ${res.status}`);
+	throw new SwbApiError(`upload of ${source.name} failed: ${message}`,
+			      { status: res.status, code: text.match(/<Code>([^<]*)<\/Code>/)?.[1],
+				method: 'POST', path: url, body: text });
+    }
+}
+
+export {
+    maxPostSize,
+    uploadSource,
+    postFile,
+};
@@ -0,0 +1,281 @@
+/**
+ * @description Polls SWB and reports what changed between polls:
+ * users added or removed, a project's admins edited, a study
+ * gaining an admin and so on. Its state can be saved, so a restarted
+ * watcher carries on from where it stopped rather than reporting
+ * everything as new.
+ * class module:watch
+ */
+import { EventEmitter } from "node:events";
+import { readFile, writeFile } from "node:fs/promises";
+import { SwbValidationError } from "./errors.js";
+import { diffRecords } from "./journal.js";
+
+const stateVersion = 1;
+
+/**
+ * @typedef WatchChange
+ * @property {string} resource - users, projects, studies or studyPermissions
+ * @property {string} id - uid of a user, otherwise the project or study ID
+ * @property {string} change - "added", "removed" or "changed"
+ * @property {Object=} before - The record at the previous poll
+ * @property {Object=} after - The record now
+ * @property {FieldChange[]} changes - Fields which differ; list fields
+ *   also carry added and removed, the items gained and lost
+ * @property {string} time - When the change was seen, as an ISO date
+ */
+
+/**
+ * @typedef WatchState
+ * @property {number} version - Layout of the state, currently 1
+ * @property {string} savedAt - ISO 8601 time of the poll it holds
+ * @property {Object<string, Object<string, Object>>} resources -
+ *   Records by resource and ID, as at that poll
+ */
+
+// the records of each resource, keyed by ID, with lists sorted so
+// that reordering is not a change
+const sources = {
+    users: async swb => {
+	await swb.userDirectory.refresh();
+	return byId(await swb.getUsers(), "uid");
+    },
+    projects: async swb => byId(await swb.getProjects()),
+    studies: async swb => {
+	// access is the caller's own, not part of the study
+	const studies = await swb.getStudies("Organization");
+	return byId(studies.map(({ access, ...study }) => study));
+    },
+    studyPermissions: async swb => {
+	const studies = await swb.getStudies("Organization");
+	const permissions = await Promise.all(studies.map(s => swb.getStudyPermissions(s.id)));
+	return byId(permissions.map(({ id, adminUsers = [], readonlyUsers = [] }) => ({
+	    id, adminUsers, readonlyUsers,
+	})));
+    },
+};
+
+function byId(records, key = "id") {
+    const sorted = r => Object.fromEntries(Object.entries(r).map(([field, value]) =>
+	[field, Array.isArray(value) && value.every(v => typeof v === 'string') ? [...value].sort() : value]));
+    return Object.fromEntries(records.map(r => [r[key], sorted(r)]));
+}
+
+// field changes, with the items gained and lost for lists
+function fieldChanges(before, after) {
+    return diffRecords(before, after).map(c => {
+	if (!Array.isArray(c.before ?? []) || !Array.isArray(c.after ?? []))
+	    return c;
+	const was = c.before ?? [];
+	const now = c.after ?? [];
+	const has = (list, item) => list.some(x => JSON.stringify(x) === JSON.stringify(item));
+	return {
+	    ...c,
+	    added: now.filter(x => !has(was, x)),
+	    removed: was.filter(x => !has(now, x)),
+	};
+    });
+}
+
+/**
+ * Polls SWB every intervalMs and emits an event for each record
+ * added, removed or changed since the previous poll:
+ *
+ *   added, removed, changed - Every change, as a WatchChange
+ *   users.added, projects.changed, ... - The same, by resource
+ *   poll - After each poll, with { time, changes }
+ *   error - A poll failed; polling carries on
+ *
+ * The first poll only records what is there, unless a saved state
+ * was loaded, in which case changes since it was saved are reported.
+ *
+ * @example
+ * const watcher = await swb.watch({ resources: ['users', 'projects'], stateFile: 'watch.json' });
+ * watcher.on('users.added', ({ after }) => {
+ *     if (after.status === 'pending') notify(`${after.email} is waiting for approval`);
+ * });
+ */
+class Watcher extends EventEmitter {
+    #swb;
+    #state;
+    #timer;
+    #polling;
+    #running = false;
+
+    /**
+     * @param {SWB} swb - A logged-in client
+     * @param {Object=} options
+     * @param {string[]=} options.resources - Any of users, projects,
+     *   studies and studyPermissions (default all)
+     * @param {number=} options.intervalMs - Time between polls (default 1 minute)
+     * @param {string=} options.stateFile - Load the state from this file
+     *   on start, if it exists, and save it after every poll
+     * @param {WatchState=} options.state - A state to start from instead
+     */
+    constructor(swb, { resources = Object.keys(sources), intervalMs = 60000, stateFile, state } = {}) {
+	super();
+	const unknown = resources.filter(r => !sources[r]);
+	if (unknown.length)
+	    throw new SwbValidationError(
+		`cannot watch ${unknown.join(', ')}, expected ${Object.keys(sources).join(', ')}`,
+		{ code: 'invalidOption' });
+
+	this.#swb = swb;
+	this.resources = resources;
+	this.intervalMs = intervalMs;
+	this.stateFile = stateFile;
+	if (state !== undefined)
+	    this.state = state;
+    }
+
+    /** Whether polls are scheduled */
+    get running() {
+	return this.#running;
+    }
+
+    /** The records as at the last poll, as a WatchState */
+    get state() {
+	return this.#state;
+    }
+
+    set state(state) {
+	if (state?.version !== stateVersion || typeof state.resources !== 'object')
+	    throw new SwbValidationError(`not a watch state of version ${stateVersion}`,
+					 { code: 'invalidState' });
+	this.#state = state;
+    }
+
+    /**
+     * Loads the state file, if there is one, and starts polling. The
+     * first poll happens straight away.
+     *
+     * @returns {Promise<Watcher>}
+     */
+    async start() {
+	if (this.#running)
+	    return this;
+	if (this.#state === undefined && this.stateFile !== undefined)
+	    await this.loadState(this.stateFile);
+	this.#running = true;
+	this.#schedule(0);
+	return this;
+    }
+
+    /**
+     * Stops polling, waiting for a poll in progress to finish.
+     */
+    async stop() {
+	this.#running = false;
+	clearTimeout(this.#timer);
+	await this.#polling?.catch(() => {});
+    }
+
+    #schedule(delay) {
+	this.#timer = setTimeout(async () => {
+	    try {
+		await this.poll();
+	    } catch (error) {
+		// 'error' events throw when nobody listens
+		if (this.listenerCount('error') > 0)
+		    this.emit('error', error);
+	    }
+	    if (this.#running)
+		this.#schedule(this.intervalMs);
+	}, delay);
+    }
+
+    /**
+     * Polls once: reads the watched resources, emits the changes
+     * since the previous poll and saves the state if there is a
+     * stateFile. Resources not in the previous state are recorded
+     * without reporting their records as added.
+     *
+     * @returns {Promise<WatchChange[]>}
+     */
+    async poll() {
+	// polls take turns, so each compares against the one before
+	const previous = this.#polling ?? Promise.resolve();
+	const polling = previous.catch(() => {}).then(() => this.#poll());
+	this.#polling = polling;
+	try {
+	    return await polling;
+	} finally {
+	    if (this.#polling === polling)
+		this.#polling = undefined;
+	}
+    }
+
+    async #poll() {
+	const current = Object.fromEntries(await Promise.all(
+	    this.resources.map(async r => [r, await sources[r](this.#swb)])));
+	const time = new Date().toISOString();
+	const changes = [];
+
+	for (const [resource, records] of Object.entries(current)) {
+	    const before = this.#state?.resources[resource];
+	    if (!before)
+		continue;
+	    const change = (id, kind, was, now) =>
+		changes.push({ resource, id, change: kind, before: was, after: now,
+			       changes: fieldChanges(was, now), time });
+	    for (const [id, record] of Object.entries(records)) {
+		if (!(id in before))
+		    change(id, "added", undefined, record);
+		else if (diffRecords(before[id], record).length)
+		    change(id, "changed", before[id], record);
+	    }
+	    for (const [id, record] of Object.entries(before))
+		if (!(id in records))
+		    change(id, "removed", record, undefined);
+	}
+
+	this.#state = {
+	    version: stateVersion,
+	    savedAt: time,
+	    resources: { ...this.#state?.resources, ...current },
+	};
+	// saved before anyone hears of the changes, so a restart does
+	// not report them again
+	if (this.stateFile !== undefined)
+	    await this.saveState(this.stateFile);
+
+	for (const c of changes) {
+	    this.emit(c.change, c);
+	    this.emit(`${c.resource}.${c.change}`, c);
+	}
+	this.emit('poll', { time, changes });
+	return changes;
+    }
+
+    /**
+     * Reads a saved state. A missing file leaves the state as it is.
+     *
+     * @param {string} file
+     *
+     * @returns {Promise<bool>} Whether a state was loaded
+     */
+    async loadState(file) {
+	let text;
+	try {
+	    text = await readFile(file, 'utf8');
+	} catch (err) {
+	    if (err.code === 'ENOENT')
+		return false;
+	    throw err;
+	}
+	this.state = JSON.parse(text);
+	return true;
+    }
+
+    /**
+     * Writes the state to a file.
+     *
+     * @param {string} file
+     */
+    async saveState(file) {
+	await writeFile(file, JSON.stringify(this.#state ?? null, null, 2) + '\n');
+    }
+}
+
+export default Watcher;
+export { Watcher };
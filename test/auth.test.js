@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import SWB, { TokenAuthenticator, SwbAuthError } from "../src/swb.js";
+import { start } from "./fixtures.js";
+
+describe("authentication", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("logs in with a password and fetches the user", async () => {
+	const user = await swb.login();
+	assert.equal(user.uid, "u-admin");
+	assert.equal(swb.user.uid, "u-admin");
+	assert.equal(swb.authenticated, true);
+    });
+
+    it("logs in on the first request", async () => {
+	const projects = await swb.getProjects();
+	assert.deepEqual(projects.map(p => p.id), ["p1", "p2"]);
+	assert.equal(fake.requests[0].path, "/api/authentication/id-tokens");
+    });
+
+    it("rejects a wrong password with SwbAuthError", async () => {
+	const wrong = new SWB(fake.url, "admin@example.com", "nope", { retry: false });
+	await assert.rejects(wrong.login(), err => {
+	    assert.ok(err instanceof SwbAuthError);
+	    assert.equal(err.status, 401);
+	    assert.equal(err.code, "unauthorized");
+	    return true;
+	});
+    });
+
+    it("signs in with a token and fetches the logged-in user once", async () => {
+	const client = new SWB(fake.url, { authenticator: new TokenAuthenticator(fake.issueToken("u-alice")) });
+	assert.equal((await client.getLoggedInUser()).uid, "u-alice");
+	await client.getLoggedInUser();
+	assert.equal(fake.requests.filter(r => r.path === "/api/user").length, 1);
+    });
+
+    it("logs in again when the token is rejected", async () => {
+	await swb.login();
+	fake.failNext("GET", "/api/projects", { status: 401, code: "unauthorized" });
+	assert.equal((await swb.getProjects()).length, 2);
+	const logins = fake.requests.filter(r => r.path === "/api/authentication/id-tokens");
+	assert.equal(logins.length, 2);
+    });
+
+    it("renews a token before it expires", async () => {
+	fake.tokenLifetime = 30;
+	const client = new SWB(fake.url, "admin@example.com", "secret", { refreshMargin: 60 });
+	await client.getProjects();
+	await client.getProjects();
+	const logins = fake.requests.filter(r => r.path === "/api/authentication/id-tokens");
+	assert.equal(logins.length, 2);
+    });
+
+    it("keeps researchers away from admin endpoints", async () => {
+	const alice = new SWB(fake.url, "alice@example.com", "alice-pw", { retry: false });
+	await assert.rejects(alice.createProject("p3", "x", { id: "index-1" }, []), SwbAuthError);
+    });
+});
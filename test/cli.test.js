@@ -0,0 +1,119 @@
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main } from "../src/cli.js";
+import { admin, start } from "./fixtures.js";
+
+describe("swb command line", () => {
+    let fake, dir, env;
+
+    // runs the tool, collecting what it writes
+    const swb = async (...argv) => {
+	let stdout = "", stderr = "";
+	const status = await main(argv, {
+	    stdout: { write: text => { stdout += text; } },
+	    stderr: { write: text => { stderr += text; } },
+	    env,
+	});
+	return { status, stdout, stderr };
+    };
+
+    before(async () => {
+	dir = await mkdtemp(join(tmpdir(), "swb-test-"));
+    });
+    beforeEach(async () => {
+	({ fake } = await start());
+	env = { SWB_API: fake.url, SWB_USERNAME: admin.email, SWB_PASSWORD: admin.password,
+		SWB_CONFIG_FILE: join(dir, "missing-config") };
+    });
+    afterEach(() => fake.stop());
+
+    it("shows usage for --help, and as an error without a command", async () => {
+	const help = await swb("--help");
+	assert.equal(help.status, 0);
+	assert.match(help.stdout, /^Usage: swb /);
+	assert.equal((await swb()).status, 2);
+    });
+
+    it("exits with 2 for unknown commands and options", async () => {
+	const unknown = await swb("users", "rename", "u-bob");
+	assert.equal(unknown.status, 2);
+	assert.equal(unknown.stderr, `swb: unknown command "users rename"\nTry 'swb --help' for usage.\n`);
+
+	assert.equal((await swb("users", "list", "--colour")).status, 2);
+	assert.equal((await swb("users", "list", "-o", "yaml")).status, 2);
+	assert.equal((await swb("users", "get")).status, 2);
+	assert.equal(fake.requests.length, 0);
+    });
+
+    it("exits with 1 when SWB refuses", async () => {
+	const missing = await swb("projects", "get", "p9");
+	assert.equal(missing.status, 1);
+	assert.equal(missing.stdout, "");
+	assert.equal(missing.stderr, `swb: GET /api/projects/p9: project "p9" does not exist\n`);
+    });
+
+    it("prints tables, CSV, JSON and Markdown", async () => {
+	const table = await swb("users", "list", "-c", "uid,email");
+	assert.equal(table.status, 0);
+	assert.equal(table.stdout, [
+	    "uid      email",
+	    "u-admin  admin@example.com",
+	    "u-alice  alice@example.com",
+	    "u-bob    bob@example.com",
+	    "",
+	].join("\n"));
+
+	const csv = await swb("users", "list", "-o", "csv", "-c", "uid,projectId");
+	assert.equal(csv.stdout, "uid,projectId\nu-admin,\nu-alice,p1\nu-bob,\n");
+
+	const json = await swb("projects", "get", "p1", "--output", "json");
+	assert.equal(JSON.parse(json.stdout).description, "Project 1");
+
+	const markdown = await swb("users", "list", "-o", "markdown", "-c", "uid,email");
+	assert.equal(markdown.stdout.split("\n").slice(0, 3).join("\n"),
+		     "| uid | email |\n| --- | --- |\n| u-admin | admin@example.com |");
+    });
+
+    it("shows a single record as fields and values", async () => {
+	const { stdout } = await swb("projects", "get", "p1", "-c", "ignored");
+	assert.match(stdout, /^field +value\n/);
+	assert.match(stdout, /\ndescription +Project 1\n/);
+    });
+
+    it("changes nothing with --dry-run, journaling what would be sent", async () => {
+	const journal = join(dir, "journal.json");
+	const created = await swb("projects", "create", "p3", "--index", "index-1", "--dry-run",
+				  "--journal", journal);
+	assert.equal(created.status, 0);
+	assert.ok(!fake.projects.has("p3"));
+
+	const [entry] = JSON.parse(await readFile(journal, "utf8"));
+	assert.equal(entry.operation, "createProject");
+	assert.equal(entry.status, "dryrun");
+	assert.equal(entry.body.id, "p3");
+
+	// deletes need no confirmation when nothing is deleted
+	const deleted = await swb("users", "delete", "u-bob", "-n");
+	assert.equal(deleted.stdout, "would delete user u-bob\n");
+	assert.ok(fake.users.has("u-bob"));
+    });
+
+    it("makes changes without --dry-run", async () => {
+	assert.equal((await swb("users", "delete", "u-bob")).status, 2);
+	const deleted = await swb("users", "delete", "u-bob", "--confirm", "u-bob");
+	assert.equal(deleted.stdout, "deleted user u-bob\n");
+	assert.ok(!fake.users.has("u-bob"));
+    });
+
+    it("exits with 1 when some files fail to upload", async () => {
+	const file = join(dir, "cohort.csv");
+	await writeFile(file, "id\n1\n");
+	const { status, stdout } = await swb("studies", "upload", "s1", file, join(dir, "missing.csv"),
+					     "-o", "json");
+	assert.equal(status, 1);
+	assert.deepEqual(JSON.parse(stdout).map(r => r.status), ["uploaded", "failed"]);
+    });
+});
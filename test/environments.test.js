@@ -0,0 +1,166 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import SWB, { SwbApiError, SwbTimeoutError } from "../src/swb.js";
+import { fixtures, start } from "./fixtures.js";
+
+// dates counted back from today, as the costs endpoint sees them
+const daysAgo = n => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const spend = (n, amount) => ({ startDate: daysAgo(n), cost: { EC2: { amount, unit: "USD" } } });
+
+function withEnvironments() {
+    const seed = fixtures();
+    seed.environments = [
+	{ id: "env-1", name: "analysis", envTypeId: "wt-linux", envTypeConfigId: "small",
+	  projectId: "p1", createdBy: "u-alice",
+	  connections: [{ id: "web", name: "Web", scheme: "https" }] },
+	{ id: "env-2", name: "old", envTypeId: "wt-linux", envTypeConfigId: "small",
+	  projectId: "p2", createdBy: "u-admin", status: "STOPPED" },
+    ];
+    seed.costs = {
+	"env-1": [spend(2, 10), spend(1, 5.5)],
+	"env-2": [spend(40, 100), spend(1, 1)],
+    };
+    return seed;
+}
+
+describe("environments", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start({ strict: true }, withEnvironments())));
+    afterEach(() => fake.stop());
+
+    it("lists environments, filtered by project or owner", async () => {
+	assert.deepEqual((await swb.getEnvironments()).map(e => e.id), ["env-1", "env-2"]);
+	assert.deepEqual((await swb.getEnvironments({ projectId: "p2" })).map(e => e.id), ["env-2"]);
+	assert.deepEqual((await swb.getEnvironments({ owner: "u-alice" })).map(e => e.id), ["env-1"]);
+    });
+
+    it("shows researchers only their own environments", async () => {
+	const alice = new SWB(fake.url, "alice@example.com", "alice-pw", { retry: false });
+	assert.deepEqual((await alice.getEnvironments()).map(e => e.id), ["env-1"]);
+	await assert.rejects(alice.getEnvironment("env-2"), { status: 403 });
+    });
+
+    it("creates an environment and waits for it to be ready", async () => {
+	const env = await swb.createEnvironment("scratch", "wt-linux", "small", "p1", ["s1"]);
+	assert.equal(env.status, "PENDING");
+
+	const seen = [];
+	const ready = await swb.waitForEnvironment(env.id, "COMPLETED",
+						   { intervalMs: 1, onPoll: e => seen.push(e.status) });
+	assert.equal(ready.status, "COMPLETED");
+	assert.deepEqual(seen, ["PENDING", "COMPLETED"]);
+    });
+
+    it("refuses environments from unknown configurations", async () => {
+	await assert.rejects(swb.createEnvironment("scratch", "wt-linux", "huge", "p1"),
+			     { name: "SwbNotFoundError" });
+    });
+
+    it("stops, starts and terminates environments", async () => {
+	await swb.stopEnvironment("env-1");
+	assert.equal((await swb.waitForEnvironment("env-1", "STOPPED", { intervalMs: 1 })).status, "STOPPED");
+	await assert.rejects(swb.stopEnvironment("env-1"), { status: 400 });
+
+	await swb.startEnvironment("env-1");
+	await swb.waitForEnvironment("env-1", "COMPLETED", { intervalMs: 1 });
+
+	await swb.terminateEnvironment("env-1");
+	assert.equal((await swb.waitForEnvironment("env-1", "TERMINATED", { intervalMs: 1 })).status,
+		     "TERMINATED");
+    });
+
+    it("fails the wait when the environment is terminated", async () => {
+	await swb.terminateEnvironment("env-2");
+	await assert.rejects(swb.waitForEnvironment("env-2", "COMPLETED", { intervalMs: 1 }), err => {
+	    assert.ok(err instanceof SwbApiError);
+	    assert.equal(err.code, "environmentFailed");
+	    return true;
+	});
+    });
+
+    it("keeps waiting while an environment has no status yet", async () => {
+	delete fake.environments.get("env-1").status;
+	let polls = 0;
+	const ready = await swb.waitForEnvironment("env-1", "COMPLETED", {
+	    intervalMs: 1,
+	    onPoll: () => {
+		if (++polls === 2)
+		    fake.environments.get("env-1").status = "COMPLETED";
+	    },
+	});
+	assert.equal(ready.status, "COMPLETED");
+	assert.equal(polls, 3);
+    });
+
+    it("times out with SwbTimeoutError", async () => {
+	delete fake.environments.get("env-1").status;
+	await assert.rejects(swb.waitForEnvironment("env-1", "COMPLETED", { intervalMs: 1, timeoutMs: 0 }),
+			     err => err instanceof SwbTimeoutError && /unprovisioned/.test(err.message));
+    });
+
+    it("polls once more at the deadline rather than giving up early", async () => {
+	const seen = [];
+	const env = await swb.waitForEnvironment("env-1", "STOPPED", {
+	    intervalMs: 60000,
+	    timeoutMs: 20,
+	    onPoll: e => {
+		seen.push(e.status);
+		fake.environments.get("env-1").status = "STOPPED";
+	    },
+	});
+	assert.equal(env.status, "STOPPED");
+	assert.deepEqual(seen, ["COMPLETED", "STOPPED"]);
+
+	await assert.rejects(swb.waitForEnvironment("env-2", "COMPLETED", { intervalMs: 60000, timeoutMs: 20 }),
+			     SwbTimeoutError);
+	assert.equal(fake.requests.filter(r => r.path === "/api/workspaces/service-catalog/env-2").length, 2);
+    });
+
+    it("stops waiting when the caller aborts", async () => {
+	const ac = new AbortController();
+	const started = Date.now();
+	await assert.rejects(swb.withRequestOptions({ signal: ac.signal }, () =>
+	    swb.waitForEnvironment("env-1", "STOPPED", { intervalMs: 60000, onPoll: () => ac.abort() })),
+			     { name: "SwbApiError", code: "aborted" });
+	assert.ok(Date.now() - started < 5000);
+    });
+
+    it("lists connections and hands out connection URLs", async () => {
+	assert.deepEqual((await swb.getEnvironmentConnections("env-1")).map(c => c.id), ["web"]);
+	const { url } = await swb.createConnectionUrl("env-1", "web");
+	assert.equal(url, `${fake.url}/__connect/env-1/web`);
+	await assert.rejects(swb.createConnectionUrl("env-1", "ssh"), { name: "SwbNotFoundError" });
+    });
+});
+
+describe("costs", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start({}, withEnvironments())));
+    afterEach(() => fake.stop());
+
+    it("reads the costs of an environment, project and index over a range", async () => {
+	const week = { from: daysAgo(6) };
+	assert.deepEqual((await swb.getEnvironmentCosts("env-1", week)).map(e => e.startDate),
+			 [daysAgo(2), daysAgo(1)]);
+	assert.equal((await swb.getProjectCosts("p2", week)).length, 1);
+	const index = await swb.getIndexCosts("index-1", week);
+	assert.deepEqual(index.at(-1), { startDate: daysAgo(1), cost: { EC2: { amount: 6.5, unit: "USD" } } });
+    });
+
+    it("rolls costs up and checks them against budgets", async () => {
+	const report = await swb.generateCostReport({ from: daysAgo(29) });
+	assert.equal(report.total, 16.5);
+	assert.deepEqual(report.byProject, [{ id: "p1", total: 15.5 }, { id: "p2", total: 1 }]);
+	assert.deepEqual(report.byUser.map(u => u.id), ["u-alice", "u-admin"]);
+
+	const breaches = await swb.checkBudgets({ projects: { p1: 10, "*": 1.2 } }, report);
+	assert.deepEqual(breaches.map(b => [b.id, b.level]), [["p1", "exceeded"], ["p2", "warning"]]);
+    });
+
+    it("rejects ranges which end before they start", async () => {
+	await assert.rejects(swb.getEnvironmentCosts("env-1", { from: daysAgo(1), to: daysAgo(3) }),
+			     { name: "SwbValidationError", code: "invalidRange" });
+    });
+});
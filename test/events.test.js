@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { start } from "./fixtures.js";
+
+const mutations = [
+    "user.created", "user.updated", "user.projectAdded", "user.projectRemoved", "user.deleted",
+    "project.created", "project.updated", "study.created",
+    "study.permissionGranted", "study.permissionRevoked",
+];
+
+describe("events", () => {
+    let fake, swb, heard;
+
+    beforeEach(async () => {
+	({ fake, swb } = await start());
+	heard = [];
+	for (const event of mutations)
+	    swb.on(event, e => heard.push(e));
+    });
+    afterEach(() => fake.stop());
+
+    it("raises a typed event for each change SWB accepted", async () => {
+	await swb.addRemoveProjectUser("p2", "u-alice", "add");
+	await swb.addRemoveProjectUser("p1", "u-alice", "remove");
+	await swb.updateUserDetails("u-bob", "Robert", "B", "active", "researcher");
+	await swb.createStudy("s2", "Study 2", "", "p1");
+	await swb.addRemoveStudyPermission("s1", "u-bob", "add", "admin");
+	await swb.addRemoveStudyPermission("s1", "u-alice", "remove", "readonly");
+
+	assert.deepEqual(heard.map(e => e.event), [
+	    "user.projectAdded", "user.projectRemoved", "user.updated", "study.created",
+	    "study.permissionGranted", "study.permissionRevoked",
+	]);
+	for (const { actor } of heard)
+	    assert.deepEqual(actor, { uid: "u-admin", username: "admin@example.com" });
+	assert.deepEqual(swb.getJournal().map(e => e.seq), heard.map(e => e.journalSeq));
+    });
+
+    it("carries the ids and values of the change", async () => {
+	await swb.addRemoveProjectUser("p2", "u-alice", "add");
+	await swb.addRemoveStudyPermission("s1", "u-bob", "add", "readonly");
+	await swb.updateUserDetails("u-bob", "Robert", "B", "active", "researcher");
+
+	const [added, granted, updated] = heard;
+	assert.equal(added.operation, "addRemoveProjectUser");
+	assert.equal(added.uid, "u-alice");
+	assert.equal(added.projectId, "p2");
+	const { time, actor, ...details } = granted;
+	assert.ok(time && actor);
+	assert.deepEqual(details, {
+	    event: "study.permissionGranted",
+	    operation: "addRemoveStudyPermission",
+	    journalSeq: 2,
+	    studyId: "s1",
+	    uid: "u-bob",
+	    permissionLevel: "readonly",
+	});
+	assert.deepEqual(updated.changes.find(c => c.field === "firstName"),
+			 { field: "firstName", before: "Bob", after: "Robert" });
+	assert.equal(updated.before.firstName, "Bob");
+	assert.equal(updated.after.firstName, "Robert");
+    });
+
+    it("names the new record in created events", async () => {
+	const user = await swb.addFederatedUser({ id: "Dundee" }, "https://cognito", "carol@example.com");
+	await swb.createProject("p3", "Project 3", { id: "index-1" }, []);
+	const [created, project] = heard;
+	assert.equal(created.event, "user.created");
+	assert.equal(created.userId, user.uid);
+	assert.equal(project.projectId, "p3");
+	assert.equal(project.after.indexId, "index-1");
+    });
+
+    it("raises no typed events in dry-run mode or when a change fails", async () => {
+	const changes = [];
+	swb.on("change", e => changes.push(e.status));
+
+	swb.dryrun = true;
+	await swb.addRemoveProjectUser("p2", "u-alice", "add");
+	await swb.createStudy("s2", "Study 2", "", "p1");
+	await swb.addRemoveStudyPermission("s2", "u-bob", "add");
+
+	swb.dryrun = false;
+	fake.failNext("PUT", "/api/studies/s1/permissions", { status: 400, code: "badRequest" });
+	await assert.rejects(swb.addRemoveStudyPermission("s1", "u-bob", "add"));
+
+	assert.deepEqual(heard, []);
+	assert.deepEqual(changes, ["dryrun", "dryrun", "dryrun", "failed"]);
+    });
+
+    it("reports requests and responses, leaving out the login body", async () => {
+	const requests = [], responses = [];
+	swb.on("request", e => requests.push(e));
+	swb.on("response", e => responses.push(e));
+	await swb.getProject("p1");
+
+	assert.deepEqual(requests.map(r => [r.method, new URL(r.url).pathname]), [
+	    ["POST", "/api/authentication/id-tokens"],
+	    ["GET", "/api/projects/p1"],
+	]);
+	assert.equal(requests[0].body, undefined);
+	assert.deepEqual(responses.map(r => [r.id, r.status]), requests.map(r => [r.id, 200]));
+	assert.ok(responses.every(r => typeof r.durationMs === "number"));
+    });
+
+    it("reports a request which finally fails to error listeners", async () => {
+	const errors = [];
+	swb.on("error", e => errors.push(e));
+	fake.failNext("GET", "/api/projects/p1", { status: 404, code: "notFound" });
+	await assert.rejects(swb.getProject("p1"));
+	assert.equal(errors.length, 1);
+	assert.equal(errors[0].error.status, 404);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * @description Shared set-up for the test suite: a small deployment
+ * on the fake SWB server and clients logged in to it.
+ */
+import SWB from "../src/swb.js";
+import { startFakeSwb } from "../src/testing.js";
+
+const admin = {
+    uid: "u-admin", email: "admin@example.com", firstName: "Ada", lastName: "Admin",
+    isAdmin: true, userRole: "admin", password: "secret",
+};
+
+/**
+ * @returns {Fixtures} An admin and two researchers, an index, two
+ *   projects, a study and a workspace type with a configuration
+ */
+function fixtures() {
+    return {
+	users: [
+	    admin,
+	    { uid: "u-alice", email: "alice@example.com", firstName: "Alice", lastName: "A",
+	      projectId: ["p1"], password: "alice-pw" },
+	    { uid: "u-bob", email: "bob@example.com", firstName: "Bob", lastName: "B",
+	      identityProviderName: "Dundee" },
+	],
+	awsAccounts: [{ id: "acc-1" }],
+	indexes: [{ id: "index-1", awsAccountId: "acc-1" }],
+	projects: [
+	    { id: "p1", indexId: "index-1", description: "Project 1", projectAdmins: ["u-admin"] },
+	    { id: "p2", indexId: "index-1", description: "Project 2" },
+	],
+	studies: [
+	    { id: "s1", name: "Study 1", projectId: ["p1"],
+	      permissions: { adminUsers: ["u-admin"], readonlyUsers: ["u-alice"] } },
+	],
+	workspaceTypes: [
+	    { id: "wt-linux", name: "Linux", configurations: [{ id: "small", name: "Small" }] },
+	],
+    };
+}
+
+/**
+ * Starts a fake server and makes a client for its admin. Retries
+ * wait 1ms so failures injected by tests do not slow them down.
+ *
+ * @param {Object=} options - Client options
+ * @param {Fixtures=} seed - Fixtures (default fixtures())
+ *
+ * @returns {Promise<{ fake: FakeSwbServer, swb: SWB }>}
+ */
+async function start(options = {}, seed = fixtures()) {
+    const fake = await startFakeSwb(seed);
+    const swb = new SWB(fake.url, admin.email, admin.password,
+			{ retry: { minDelay: 1, maxDelay: 5 }, ...options });
+    return { fake, swb };
+}
+
+export {
+    admin,
+    fixtures,
+    start,
+};
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { start } from "./fixtures.js";
+
+describe("dry runs and the journal", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("journals what would be sent without sending it", async () => {
+	swb.dryrun = true;
+	const project = await swb.createProject("p3", "Project 3", { id: "index-1" }, []);
+	assert.equal(project.id, "p3");
+	assert.ok(!fake.projects.has("p3"));
+	assert.ok(!fake.requests.some(r => r.method !== "GET" && !r.path.includes("id-tokens")));
+
+	const [entry] = swb.getJournal();
+	assert.equal(entry.operation, "createProject");
+	assert.equal(entry.status, "dryrun");
+	assert.equal(entry.url, `${fake.url}/api/projects`);
+	assert.deepEqual(JSON.parse(swb.exportJournal()).map(e => e.seq), [1]);
+    });
+
+    it("journals the changes it sends, with what they changed", async () => {
+	await swb.addRemoveStudyPermission("s1", "u-bob", "add", "readonly");
+	const [entry] = swb.getJournal();
+	assert.equal(entry.status, "sent");
+	assert.deepEqual(entry.diff.map(c => c.field), ["readonlyUsers"]);
+    });
+
+    it("keeps only the newest entries", async () => {
+	swb.journal.maxEntries = 2;
+	swb.dryrun = true;
+	for (const id of ["p3", "p4", "p5"])
+	    await swb.createProject(id, id, { id: "index-1" }, []);
+	assert.deepEqual(swb.getJournal().map(e => e.target.id), ["p4", "p5"]);
+    });
+
+    it("remembers records it pretended to create once the journal drops them", async () => {
+	swb.journal.maxEntries = 1;
+	swb.dryrun = true;
+	await swb.createIndex("index-2", { id: "acc-1" }, "Second");
+	await swb.createStudy("s2", "Study 2", "", "p1");
+
+	await swb.createProject("p3", "Project 3", { id: "index-2" }, []);
+	const permissions = await swb.addRemoveStudyPermission("s2", "u-bob", "add", "readonly");
+	assert.deepEqual(permissions.readonlyUsers, ["u-bob"]);
+	assert.ok(!fake.requests.some(r => r.status === 404));
+    });
+});
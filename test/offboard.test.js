@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SwbNotFoundError } from "../src/swb.js";
+import { fixtures, start } from "./fixtures.js";
+
+// alice runs two environments, administers p2 and can read s1 and
+// one of the admin's own studies; her own study is hers alone
+function withLeaver() {
+    const seed = fixtures();
+    seed.projects[1].projectAdmins = ["u-alice"];
+    seed.studies.push(
+	{ id: "mine", name: "Mine", category: "My Studies", createdBy: "u-admin",
+	  permissions: { adminUsers: ["u-admin"], readonlyUsers: ["u-alice"] } },
+	{ id: "hers", name: "Hers", category: "My Studies", createdBy: "u-alice",
+	  permissions: { adminUsers: ["u-alice"] } },
+    );
+    const env = (id, status) => ({ id, name: id, envTypeId: "wt-linux", envTypeConfigId: "small",
+				   projectId: "p1", createdBy: "u-alice", status });
+    seed.environments = [env("env-1", "COMPLETED"), env("env-2", "STOPPED"), env("env-3", "TERMINATED"),
+			 { ...env("env-4", "COMPLETED"), createdBy: "u-bob" }];
+    return seed;
+}
+
+describe("offboarding", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start({}, withLeaver())));
+    afterEach(() => fake.stop());
+
+    const summaries = report => report.steps.map(s => `${s.status} ${s.summary}`);
+
+    it("deactivates the user before taking their access away", async () => {
+	const report = await swb.offboardUser("u-alice", { environments: "stop", projectAdmins: true });
+	assert.equal(report.uid, "u-alice");
+	assert.equal(report.dryrun, false);
+	assert.equal(report.failed, 0);
+	assert.deepEqual(summaries(report), [
+	    "done deactivate u-alice",
+	    "done stop environment env-1 (env-1)",
+	    "done revoke readonly on study s1",
+	    "done revoke readonly on study mine",
+	    "done remove admin of project p2",
+	    "done remove from project p1",
+	]);
+
+	assert.equal(fake.users.get("u-alice").status, "inactive");
+	assert.equal(fake.environments.get("env-4").status, "COMPLETED");
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, []);
+	assert.deepEqual(fake.permissions.get("mine").readonlyUsers, []);
+	assert.deepEqual(fake.permissions.get("hers").adminUsers, ["u-alice"]);
+	assert.deepEqual(fake.projects.get("p2").projectAdmins, []);
+	assert.deepEqual(fake.users.get("u-alice").projectId, []);
+    });
+
+    it("terminates environments which are not already going, if asked", async () => {
+	const report = await swb.offboardUser("u-alice", { environments: "terminate" });
+	assert.deepEqual(report.steps.filter(s => s.action === "terminateEnvironment").map(s => s.params.envId),
+			 ["env-1", "env-2"]);
+	assert.deepEqual(report.steps.map(s => s.action), [
+	    "deactivateUser", "terminateEnvironment", "terminateEnvironment",
+	    "revokeStudyPermission", "revokeStudyPermission", "removeProjectUser",
+	]);
+	assert.deepEqual(fake.projects.get("p2").projectAdmins, ["u-alice"]);
+    });
+
+    it("carries on past a failed step, reporting what is left to do", async () => {
+	fake.failNext("PUT", "/api/studies/s1/permissions", { status: 403, code: "forbidden" });
+	const report = await swb.offboardUser("u-alice", { environments: "stop", projectAdmins: true });
+
+	assert.equal(report.failed, 1);
+	assert.deepEqual(summaries(report), [
+	    "done deactivate u-alice",
+	    "done stop environment env-1 (env-1)",
+	    "failed revoke readonly on study s1",
+	    "done revoke readonly on study mine",
+	    "done remove admin of project p2",
+	    "done remove from project p1",
+	]);
+	const failed = report.steps[2];
+	assert.equal(failed.error.status, 403);
+	assert.deepEqual(failed.params, { studyId: "s1", permissionLevel: "readonly" });
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, ["u-alice"]);
+	assert.deepEqual(fake.users.get("u-alice").projectId, []);
+    });
+
+    it("reports a lookup which fails, as the steps it would have found are missing", async () => {
+	fake.failNext("GET", "/api/workspaces/service-catalog", { status: 403, code: "forbidden" });
+	const report = await swb.offboardUser("u-alice", { environments: "stop" });
+	assert.equal(report.failed, 1);
+	assert.deepEqual(report.steps.map(s => `${s.status} ${s.action}`), [
+	    "done deactivateUser", "failed findEnvironments",
+	    "done revokeStudyPermission", "done revokeStudyPermission", "done removeProjectUser",
+	]);
+	assert.equal(fake.environments.get("env-1").status, "COMPLETED");
+    });
+
+    it("leaves out the deactivation of a user who is inactive already", async () => {
+	fake.users.get("u-alice").status = "inactive";
+	const report = await swb.offboardUser("u-alice");
+	assert.equal(report.steps[0].action, "revokeStudyPermission");
+    });
+
+    it("only journals the steps in dry-run mode", async () => {
+	swb.dryrun = true;
+	const report = await swb.offboardUser("u-alice", { environments: "stop", projectAdmins: true });
+	assert.equal(report.dryrun, true);
+	assert.equal(report.steps.length, 6);
+	assert.ok(swb.getJournal().every(e => e.status === "dryrun"));
+	assert.equal(fake.users.get("u-alice").status, "active");
+	assert.equal(fake.environments.get("env-1").status, "COMPLETED");
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, ["u-alice"]);
+    });
+
+    it("refuses unknown options and users before changing anything", async () => {
+	await assert.rejects(swb.offboardUser("u-alice", { environments: "pause" }), { code: "invalidOption" });
+	await assert.rejects(swb.offboardUser("u-ghost"), SwbNotFoundError);
+	assert.ok(fake.requests.every(r => r.method === "GET" || r.path.includes("id-tokens")));
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import SWB, {
+    InternalAuthenticator,
+    EnvTokenAuthenticator,
+    FileTokenAuthenticator,
+    FederatedAuthenticator,
+} from "../src/swb.js";
+import { parseIni, parseConfig, readProfile, profileAuthenticator } from "../src/profiles.js";
+import { admin, start } from "./fixtures.js";
+
+const ini = `
+api = https://default.example.com
+username = admin@example.com
+
+# staging shares the default's account
+[profile staging]
+api = https://staging.example.com
+password = secret
+
+[prod]
+api = https://prod.example.com/prod?x=1
+auth = federated
+ idp = Dundee
+dryrun = yes
+; not a setting
+`;
+
+describe("profiles", () => {
+    let dir, iniFile, jsonFile;
+
+    before(async () => {
+	dir = await mkdtemp(join(tmpdir(), "swb-test-"));
+	iniFile = join(dir, "config");
+	jsonFile = join(dir, "config.json");
+	await writeFile(iniFile, ini);
+	await writeFile(jsonFile, JSON.stringify({
+	    default: { api: "https://json.example.com", auth: "env", token_env: "MY_TOKEN", dryrun: false },
+	}));
+    });
+
+    describe("parsing", () => {
+	it("reads ini sections, with or without the word profile", () => {
+	    assert.deepEqual(parseIni(ini), {
+		default: { api: "https://default.example.com", username: "admin@example.com" },
+		staging: { api: "https://staging.example.com", password: "secret" },
+		prod: { api: "https://prod.example.com/prod?x=1", auth: "federated", idp: "Dundee",
+			dryrun: "yes" },
+	    });
+	});
+
+	it("reads JSON when the file holds an object", () => {
+	    assert.deepEqual(parseConfig('{ "a": { "api": "x" } }'), { a: { api: "x" } });
+	    assert.deepEqual(parseConfig("api = x\n"), { default: { api: "x" } });
+	    assert.throws(() => parseConfig('{ "a": "x" }'), { code: "invalidProfile" });
+	    assert.throws(() => parseConfig('{ "a": '), SyntaxError);
+	});
+    });
+
+    describe("readProfile", () => {
+	it("reads the named profile, or SWB_PROFILE, or the default", async () => {
+	    const prod = await readProfile("prod", { file: iniFile, env: {} });
+	    assert.deepEqual(prod, { name: "prod", api: "https://prod.example.com/prod?x=1",
+				     auth: "federated", idp: "Dundee", dryrun: true });
+	    assert.equal((await readProfile(undefined, { file: iniFile, env: { SWB_PROFILE: "staging" } })).name,
+			 "staging");
+	    const json = await readProfile(undefined, { env: { SWB_CONFIG_FILE: jsonFile } });
+	    assert.equal(json.api, "https://json.example.com");
+	    assert.equal(json.dryrun, false);
+	});
+
+	it("lets environment variables override the file", async () => {
+	    const profile = await readProfile("prod", { file: iniFile, env: {
+		SWB_API: "https://other.example.com", SWB_USERNAME: "me@example.com", SWB_PASSWORD: "pw",
+		SWB_AUTH: "password", SWB_IDP: "Edinburgh", SWB_INDEX: "index-2", SWB_DRY_RUN: "false",
+		SWB_ID_TOKEN: "ignored",
+	    } });
+	    assert.deepEqual(profile, {
+		name: "prod", api: "https://other.example.com", username: "me@example.com", password: "pw",
+		auth: "password", idp: "Edinburgh", index: "index-2", dryrun: false,
+	    });
+	});
+
+	it("needs no file when the environment gives the API address", async () => {
+	    const profile = await readProfile("ci", { file: join(dir, "missing"),
+						      env: { SWB_API: "https://ci.example.com" } });
+	    assert.deepEqual(profile, { name: "ci", api: "https://ci.example.com" });
+	});
+
+	it("refuses profiles without an API address or with unknown settings", async () => {
+	    await assert.rejects(readProfile("nowhere", { file: iniFile, env: {} }),
+				 { code: "invalidProfile", message: /no API address for profile "nowhere"/ });
+	    await assert.rejects(readProfile("prod", { file: iniFile, env: { SWB_AUTH: "kerberos" } }),
+				 { code: "invalidProfile", message: /unknown auth "kerberos"/ });
+	    await assert.rejects(readProfile("prod", { file: iniFile, env: { SWB_DRY_RUN: "maybe" } }),
+				 { code: "invalidProfile" });
+	});
+    });
+
+    describe("profileAuthenticator", () => {
+	const profile = settings => ({ name: "test", api: "https://swb.example.com", ...settings });
+	const prompt = async () => "code";
+
+	it("uses the auth setting when there is one", () => {
+	    const password = profileAuthenticator(
+		profile({ auth: "password", username: "admin@example.com", password: "pw" }), {});
+	    assert.ok(password instanceof InternalAuthenticator);
+	    assert.equal(password.username, "admin@example.com");
+
+	    const file = profileAuthenticator(profile({ auth: "token_file", token_file: "/tmp/token" }),
+					      { SWB_ID_TOKEN: "ignored" });
+	    assert.ok(file instanceof FileTokenAuthenticator);
+	    assert.equal(file.file, "/tmp/token");
+
+	    const env = profileAuthenticator(profile({ auth: "env", token_env: "MY_TOKEN" }), {});
+	    assert.ok(env instanceof EnvTokenAuthenticator);
+	    assert.equal(env.name, "MY_TOKEN");
+
+	    assert.ok(profileAuthenticator(profile({ auth: "federated", idp: "Dundee" }), {}, { prompt })
+		      instanceof FederatedAuthenticator);
+	});
+
+	it("otherwise takes SWB_ID_TOKEN, then a token file, then a password", () => {
+	    const all = profile({ token_file: "/tmp/token", username: "admin@example.com", password: "pw" });
+	    assert.ok(profileAuthenticator(all, { SWB_ID_TOKEN: "t" }) instanceof EnvTokenAuthenticator);
+	    assert.ok(profileAuthenticator(all, {}) instanceof FileTokenAuthenticator);
+	    assert.ok(profileAuthenticator({ ...all, token_file: undefined }, {}) instanceof InternalAuthenticator);
+	    assert.equal(profileAuthenticator(profile(), {}), undefined);
+	});
+
+	it("refuses profiles missing what their auth needs", () => {
+	    const refuses = (settings, message, options) => assert.throws(
+		() => profileAuthenticator(profile(settings), {}, options), { code: "invalidProfile", message });
+	    refuses({ auth: "password", username: "admin@example.com" },
+		    'profile "test" uses auth password but has no password');
+	    refuses({ auth: "password", password: "pw" },
+		    'profile "test" uses auth password but has no username');
+	    refuses({ password: "pw" }, 'profile "test" uses auth password but has no username');
+	    refuses({ auth: "token_file" }, 'profile "test" uses auth token_file but has no token_file');
+	    refuses({ auth: "federated" }, 'profile "test" uses auth federated but has no idp', { prompt });
+	    refuses({ auth: "federated", idp: "Dundee" },
+		    'profile "test" signs in through Dundee, which needs a prompt');
+	});
+    });
+
+    it("makes a logged-in client from a profile", async () => {
+	const { fake } = await start();
+	try {
+	    const file = join(dir, "fake");
+	    await writeFile(file, `[fake]\napi = ${fake.url}\nusername = ${admin.email}\n` +
+			    `password = ${admin.password}\nindex = index-1\ndryrun = on\n`);
+	    const swb = await SWB.fromProfile("fake", { file, env: {} });
+	    assert.equal(swb.profile, "fake");
+	    assert.equal(swb.dryrun, true);
+	    assert.equal(swb.defaults.index, "index-1");
+	    assert.equal((await swb.getProject("p1")).id, "p1");
+	} finally {
+	    fake.stop();
+	}
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import SWB, { SwbApiError, SwbNotFoundError, SwbConflictError, SwbValidationError } from "../src/swb.js";
+import { admin, start } from "./fixtures.js";
+
+describe("projects and indexes", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("creates a project in an index", async () => {
+	const project = await swb.createProject("p3", "Project 3", { id: "index-1" }, [{ uid: "u-alice" }]);
+	assert.equal(project.id, "p3");
+	assert.deepEqual(fake.projects.get("p3").projectAdmins, ["u-alice"]);
+    });
+
+    it("checks the index exists first", async () => {
+	await assert.rejects(swb.createProject("p3", "x", { id: "index-9" }, []),
+			     { name: "SwbValidationError", code: "invalidIndex" });
+	assert.ok(!fake.projects.has("p3"));
+    });
+
+    it("updates a project it handed out", async () => {
+	const project = await swb.getProject("p1");
+	project.description = "Renamed";
+	const updated = await swb.updateProject(project);
+	assert.equal(updated.rev, 1);
+	assert.equal(fake.projects.get("p1").description, "Renamed");
+    });
+
+    it("merges an update with someone else's change to another field", async () => {
+	const project = await swb.getProject("p1");
+	const current = fake.projects.get("p1");
+	fake.projects.set("p1", { ...current, projectAdmins: ["u-admin", "u-bob"], rev: current.rev + 1 });
+
+	project.description = "Renamed";
+	await swb.updateProject(project);
+	const now = fake.projects.get("p1");
+	assert.equal(now.description, "Renamed");
+	assert.deepEqual(now.projectAdmins, ["u-admin", "u-bob"]);
+    });
+
+    it("raises a conflict when both sides changed the same field", async () => {
+	const project = await swb.getProject("p1");
+	const current = fake.projects.get("p1");
+	fake.projects.set("p1", { ...current, description: "Theirs", rev: current.rev + 1 });
+
+	project.description = "Mine";
+	await assert.rejects(swb.updateProject(project), err => {
+	    assert.ok(err instanceof SwbConflictError);
+	    assert.equal(err.code, "mergeConflict");
+	    return true;
+	});
+	assert.equal(fake.projects.get("p1").description, "Theirs");
+    });
+
+    it("gives up after conflictAttempts when the record keeps changing", async () => {
+	const client = new SWB(fake.url, admin.email, admin.password, { conflictAttempts: 2 });
+	fake.failNext("PUT", "/api/projects/p1", { status: 409, code: "outdatedUpdateAttempt", times: 5 });
+	const project = await client.getProject("p1");
+	project.description = "x";
+	await assert.rejects(client.updateProject(project), err => {
+	    assert.ok(err instanceof SwbConflictError);
+	    assert.equal(err.status, 409);
+	    assert.equal(err.code, "outdatedUpdateAttempt");
+	    assert.equal(err.path, "/api/projects/p1");
+	    assert.ok(err.cause instanceof SwbConflictError);
+	    assert.deepEqual(Object.keys(err).sort(), ["body", "code", "method", "name", "path", "status"]);
+	    return true;
+	});
+	assert.equal(fake.requests.filter(r => r.method === "PUT").length, 2);
+    });
+
+    it("turns SWB error bodies into typed errors", async () => {
+	await assert.rejects(swb.getProject("p9"), err => {
+	    assert.ok(err instanceof SwbNotFoundError);
+	    assert.ok(err instanceof SwbApiError);
+	    assert.equal(err.status, 404);
+	    assert.equal(err.code, "notFound");
+	    assert.equal(err.method, "GET");
+	    assert.equal(err.path, "/api/projects/p9");
+	    assert.deepEqual(err.body, { code: "notFound", message: 'project "p9" does not exist' });
+	    assert.match(err.message, /^GET \/api\/projects\/p9: project "p9" does not exist$/);
+	    return true;
+	});
+    });
+
+    it("reports a duplicate as a conflict", async () => {
+	await assert.rejects(swb.createProject("p1", "again", { id: "index-1" }, []),
+			     { name: "SwbConflictError", code: "alreadyExists", status: 400 });
+    });
+
+    it("refuses to delete a project with members and studies", async () => {
+	await assert.rejects(swb.deleteProject("p1", { confirm: "p1" }), { code: "hasDependants" });
+	await swb.deleteProject("p2", { confirm: "p2" });
+	assert.ok(!fake.projects.has("p2"));
+    });
+
+    it("creates and updates indexes", async () => {
+	await swb.createIndex("index-2", { id: "acc-1" }, "Second");
+	const index = await swb.getIndex("index-2");
+	index.description = "Second index";
+	await swb.updateIndex(index);
+	assert.equal(fake.indexes.get("index-2").description, "Second index");
+	await assert.rejects(swb.createIndex("index-3", { id: "acc-9" }, ""), SwbValidationError);
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { formatPlan, diffSnapshots } from "../src/swb.js";
+import { start } from "./fixtures.js";
+
+const manifest = {
+    projects: [{
+	id: "p1",
+	admins: ["u-admin", "bob@example.com"],
+	members: ["alice@example.com", "u-bob"],
+	studies: [
+	    { id: "s1", admins: ["u-admin"], readonly: ["u-bob"] },
+	    { id: "s2", name: "Study 2", admins: ["u-bob"] },
+	    { id: "mine", category: "My Studies" },
+	],
+    }, {
+	id: "p3",
+	index: "index-1",
+	description: "Project 3",
+    }],
+};
+
+describe("manifests", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("plans the changes a manifest needs", async () => {
+	const plan = await swb.planManifest(manifest);
+	assert.deepEqual(plan.steps.map(s => s.summary), [
+	    "+ create project p3 (index index-1)",
+	    "~ update project p1: admins +u-bob",
+	    "+ add u-bob to project p1",
+	    "+ create study s2 in project p1 (admin u-admin)",
+	    "+ create study mine in project p1 (admin u-admin)",
+	    "+ grant readonly on study s1 to u-bob",
+	    "+ grant admin on study s2 to u-bob",
+	    "- revoke readonly on study s1 from u-alice",
+	    "- revoke admin on study s2 from u-admin",
+	]);
+	assert.match(formatPlan(plan), /Plan: 6 to add, 1 to change, 2 to remove\.$/);
+	assert.equal(fake.requests.filter(r => r.method !== "GET" && !r.path.includes("id-tokens")).length, 0);
+    });
+
+    it("settles once applied", async () => {
+	const results = await swb.applyPlan(await swb.planManifest(manifest));
+	assert.ok(results.every(r => r.status === "done"));
+	assert.deepEqual(fake.permissions.get("s2").adminUsers, ["u-bob"]);
+	assert.equal(fake.studies.get("mine").category, "My Studies");
+
+	assert.deepEqual((await swb.planManifest(manifest)).steps, []);
+    });
+
+    it("only records the plan in a dry run", async () => {
+	swb.dryrun = true;
+	const results = await swb.applyPlan(await swb.planManifest(manifest));
+	assert.ok(results.every(r => r.status === "done"));
+	assert.ok(!fake.studies.has("s2"));
+	assert.equal(swb.getJournal().length, 9);
+	assert.ok(swb.getJournal().every(e => e.status === "dryrun"));
+    });
+
+    it("stops at the first failed step unless told to carry on", async () => {
+	const plan = await swb.planManifest(manifest);
+	fake.failNext("POST", "/api/projects", { status: 400, code: "badRequest" });
+	const results = await swb.applyPlan(plan);
+	assert.deepEqual(results.map(r => r.status), ["failed", ...Array(8).fill("skipped")]);
+    });
+
+    it("names bad manifest fields", async () => {
+	await assert.rejects(swb.planManifest({ projects: [{ id: "p1", studies: [{ id: "x", category: "Mine" }] }] }),
+			     { code: "invalidManifest", body: { field: "projects[0].studies[0].category" } });
+	await assert.rejects(swb.planManifest({ projects: [{ id: "p1", members: ["nobody@example.com"] }] }),
+			     { code: "invalidManifest", body: { user: "nobody@example.com" } });
+    });
+});
+
+describe("snapshots", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("diffs and restores a snapshot", async () => {
+	const before = await swb.exportSnapshot();
+	await swb.addRemoveStudyPermission("s1", "u-alice", "remove");
+	await swb.createStudy("s2", "Study 2", "", "p2");
+
+	const diff = diffSnapshots(before, await swb.exportSnapshot());
+	assert.deepEqual(diff.changes.map(c => `${c.change} ${c.section} ${c.id}`),
+			 ["changed studies s1", "added studies s2"]);
+
+	const { results } = await swb.restoreSnapshot(before);
+	assert.ok(results.every(r => r.status === "done"));
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, ["u-alice"]);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { formatAccessReport } from "../src/swb.js";
+import { fixtures, start } from "./fixtures.js";
+
+// alice has left but kept her access, bob is external, p2 has no
+// admins and s3 belongs to a project which has gone
+function withFindings() {
+    const seed = fixtures();
+    seed.users[1].status = "inactive";
+    seed.users[2].isExternalUser = true;
+    seed.studies.push(
+	{ id: "s2", name: "Study 2", projectId: ["p2"],
+	  permissions: { adminUsers: ["u-bob", "u-ghost"] } },
+	{ id: "s3", projectId: ["p9"], permissions: { adminUsers: ["u-admin"] } },
+    );
+    return seed;
+}
+
+describe("access review report", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start({}, withFindings())));
+    afterEach(() => fake.stop());
+
+    it("finds inactive, external and unknown users and projects without admins", async () => {
+	const report = await swb.generateAccessReport();
+	assert.equal(report.api, fake.url);
+	assert.deepEqual(report.findings.map(f => f.message), [
+	    "project p2 has no admins",
+	    "project p9 has no admins",
+	    "studies refer to project p9, which does not exist",
+	    "inactive user u-alice has access: member of project p1, readonly on study s1",
+	    "external user u-bob has access: admin of study s2",
+	    "unknown user u-ghost has access: admin of study s2",
+	]);
+
+	const alice = report.findings.find(f => f.uid === "u-alice");
+	assert.equal(alice.flag, "inactive");
+	assert.deepEqual(alice.access, [
+	    { projectId: "p1", studyId: undefined, access: "member" },
+	    { projectId: "p1", studyId: "s1", access: "studyReadonly" },
+	]);
+    });
+
+    it("lists who can reach each project and study", async () => {
+	const report = await swb.generateAccessReport();
+	assert.deepEqual(report.projects.map(p => p.id), ["p1", "p2", "p9"]);
+	const [p1] = report.projects;
+	assert.deepEqual(p1.admins.map(u => u.uid), ["u-admin"]);
+	assert.deepEqual(p1.members.map(u => u.uid), ["u-alice"]);
+	assert.deepEqual(p1.studies.map(s => [s.id, s.readonly.map(u => u.uid)]), [["s1", ["u-alice"]]]);
+	assert.equal(p1.admins[0].name, "Ada Admin");
+    });
+
+    it("renders the report as JSON, CSV and Markdown", async () => {
+	const report = await swb.generateAccessReport();
+	assert.deepEqual(JSON.parse(formatAccessReport(report)), JSON.parse(JSON.stringify(report)));
+
+	const csv = formatAccessReport(report, "csv").split("\n");
+	assert.equal(csv[0], "projectId,studyId,access,uid,email,name,userRole,status,external,flags");
+	assert.ok(csv.includes(
+	    "p1,s1,studyReadonly,u-alice,alice@example.com,Alice A,researcher,inactive,false,inactive"));
+
+	const markdown = formatAccessReport(report, "markdown");
+	assert.match(markdown, /^# Access report\n/);
+	assert.match(markdown, /\n- \*\*external\*\*: external user u-bob has access: admin of study s2\n/);
+	assert.match(markdown, /\n## Project p2 \(Project 2\)\n\nIndex: index-1\n\nFlags: noAdmins\n/);
+
+	assert.throws(() => formatAccessReport(report, "html"), { code: "invalidFormat" });
+    });
+
+    it("only reads from SWB", async () => {
+	await swb.generateAccessReport();
+	assert.ok(fake.requests.every(r => r.method === "GET" || r.path.includes("id-tokens")));
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SwbConflictError } from "../src/swb.js";
+import { Project, User, Study } from "../src/resources.js";
+import { start } from "./fixtures.js";
+
+describe("resources", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    // someone else edits p1 behind the client's back
+    const meddle = (changes) => {
+	const current = fake.projects.get("p1");
+	fake.projects.set("p1", { ...current, ...changes, rev: current.rev + 1 });
+    };
+
+    describe("Project#save", () => {
+	it("writes the fields edited on the resource", async () => {
+	    const project = await swb.projects.get("p1");
+	    project.description = "Renamed";
+	    assert.equal(await project.save(), project);
+	    assert.equal(project.rev, 1);
+	    assert.equal(project.record.description, "Renamed");
+	    assert.equal(fake.projects.get("p1").description, "Renamed");
+	    assert.deepEqual(JSON.parse(JSON.stringify(project)), JSON.parse(JSON.stringify(project.record)));
+	});
+
+	it("merges with a change someone else made to another field since it was read", async () => {
+	    const project = await swb.projects.get("p1");
+	    meddle({ projectAdmins: ["u-admin", "u-bob"] });
+
+	    project.description = "Renamed";
+	    await project.save();
+	    assert.equal(project.rev, 2);
+	    assert.equal(project.description, "Renamed");
+	    assert.deepEqual(project.projectAdmins, ["u-admin", "u-bob"]);
+	    assert.equal(fake.requests.filter(r => r.method === "PUT").length, 2);
+
+	    // the merged record is the base for the next save
+	    project.projectAdmins = ["u-bob"];
+	    await project.save();
+	    assert.deepEqual(fake.projects.get("p1").projectAdmins, ["u-bob"]);
+	    assert.equal(fake.projects.get("p1").rev, 3);
+	});
+
+	it("raises a conflict when someone else changed the same field, keeping the edit", async () => {
+	    const project = await swb.projects.get("p1");
+	    meddle({ description: "Theirs" });
+
+	    project.description = "Mine";
+	    await assert.rejects(project.save(), err => {
+		assert.ok(err instanceof SwbConflictError);
+		assert.equal(err.code, "mergeConflict");
+		assert.deepEqual(err.body.fields, ["description"]);
+		return true;
+	    });
+	    assert.equal(project.description, "Mine");
+	    assert.equal(fake.projects.get("p1").description, "Theirs");
+
+	    // after a refresh the edit can be made again
+	    await project.refresh();
+	    assert.equal(project.description, "Theirs");
+	    project.description = "Mine";
+	    await project.save();
+	    assert.equal(fake.projects.get("p1").description, "Mine");
+	});
+    });
+
+    describe("relations", () => {
+	it("loads a user's projects, and keeps the user up to date as it changes them", async () => {
+	    const alice = await swb.users.get("u-alice");
+	    assert.ok(alice instanceof User);
+	    const projects = await alice.projects();
+	    assert.ok(projects.every(p => p instanceof Project));
+	    assert.deepEqual(projects.map(p => p.id), ["p1"]);
+
+	    assert.equal(await alice.addToProject("p2"), alice);
+	    assert.deepEqual((await alice.projects()).map(p => p.id), ["p1", "p2"]);
+	    await alice.removeFromProject(projects[0]);
+	    assert.deepEqual(alice.projectId, ["p2"]);
+	});
+
+	it("loads a project's members, admins and studies", async () => {
+	    const project = await swb.projects.get("p1");
+	    const [alice] = await project.users();
+	    assert.ok(alice instanceof User);
+	    assert.equal(alice.uid, "u-alice");
+	    assert.deepEqual((await project.admins()).map(u => u.email), ["admin@example.com"]);
+
+	    const studies = await project.studies();
+	    assert.ok(studies.every(s => s instanceof Study));
+	    assert.deepEqual(studies.map(s => s.id), ["s1"]);
+
+	    // a User handed to addUser is updated in place
+	    const bob = await swb.users.get("u-bob");
+	    await project.addUser(bob);
+	    assert.deepEqual(bob.projectId, ["p1"]);
+	    assert.deepEqual((await project.users()).map(u => u.uid), ["u-alice", "u-bob"]);
+	});
+
+	it("loads a study's project and admins, and changes its permissions", async () => {
+	    const study = await swb.studies.get("s1");
+	    const project = await study.project();
+	    assert.ok(project instanceof Project);
+	    assert.equal(project.id, "p1");
+	    assert.deepEqual((await study.admins()).map(u => u.uid), ["u-admin"]);
+
+	    const bob = await swb.users.get("u-bob");
+	    await study.grant(bob, "admin");
+	    await study.revoke("u-alice");
+	    const permissions = await study.permissions();
+	    assert.deepEqual(permissions.adminUsers, ["u-admin", "u-bob"]);
+	    assert.deepEqual(permissions.readonlyUsers, []);
+	});
+
+	it("creates a study in a project", async () => {
+	    const project = await swb.projects.get("p2");
+	    const study = await project.createStudy("s2", { name: "Study 2" });
+	    assert.ok(study instanceof Study);
+	    assert.deepEqual(study.projectId, ["p2"]);
+	    assert.equal((await study.project()).id, "p2");
+	});
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import SWB, { SwbApiError, SwbTimeoutError } from "../src/swb.js";
+import ConcurrencyLimiter from "../src/limiter.js";
+import { admin, start } from "./fixtures.js";
+
+describe("retries", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("retries failed reads with backoff", async () => {
+	const retries = [];
+	swb.on("retry", e => retries.push(e));
+	fake.failNext("GET", "/api/projects", { status: 503, times: 2 });
+
+	assert.equal((await swb.getProjects()).length, 2);
+	assert.deepEqual(retries.map(r => [r.attempt, r.status]), [[0, 503], [1, 503]]);
+    });
+
+    it("gives up after the last retry with the SWB error", async () => {
+	fake.failNext("GET", "/api/projects", { status: 502, code: "badGateway", message: "down", times: 10 });
+	await assert.rejects(swb.getProjects(), err => {
+	    assert.ok(err instanceof SwbApiError);
+	    assert.equal(err.status, 502);
+	    assert.equal(err.code, "badGateway");
+	    assert.match(err.message, /down/);
+	    return true;
+	});
+	assert.equal(fake.requests.filter(r => r.path === "/api/projects").length, 4);
+    });
+
+    it("honours Retry-After on throttled requests, even for POSTs", async () => {
+	const delays = [];
+	swb.on("retry", e => delays.push(e.delay));
+	fake.failNext("POST", "/api/projects", { status: 429, code: "throttled", headers: { "Retry-After": "0" } });
+
+	await swb.createProject("p3", "x", { id: "index-1" }, []);
+	assert.deepEqual(delays, [0]);
+	assert.ok(fake.projects.has("p3"));
+    });
+
+    it("does not resend a POST which failed on the server", async () => {
+	fake.failNext("POST", "/api/projects", { status: 500 });
+	await assert.rejects(swb.createProject("p3", "x", { id: "index-1" }, []), { status: 500 });
+	assert.equal(fake.requests.filter(r => r.method === "POST" && r.path === "/api/projects").length, 1);
+    });
+
+    it("does not retry client errors", async () => {
+	fake.failNext("GET", "/api/projects", { status: 400, code: "badRequest" });
+	await assert.rejects(swb.getProjects(), { status: 400 });
+    });
+
+    it("can turn retries off for one call", async () => {
+	fake.failNext("GET", "/api/projects", { status: 503 });
+	await assert.rejects(swb.withRequestOptions({ retry: false }, () => swb.getProjects()), { status: 503 });
+	assert.equal((await swb.getProjects()).length, 2);
+    });
+});
+
+describe("timeouts", () => {
+    it("aborts a request which takes too long", async () => {
+	// answers logins, then never answers anything else
+	const server = http.createServer((req, res) => {
+	    if (req.url.startsWith("/api/authentication/id-tokens")) {
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ idToken: "token" }));
+	    }
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	try {
+	    const swb = new SWB(`http://127.0.0.1:${server.address().port}`, admin.email, admin.password,
+				{ timeout: 50, retry: false });
+	    await assert.rejects(swb.getProjects(), SwbTimeoutError);
+	} finally {
+	    server.closeAllConnections();
+	    await new Promise(resolve => server.close(resolve));
+	}
+    });
+});
+
+describe("ConcurrencyLimiter", () => {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it("never runs more than max tasks at once", async () => {
+	const limiter = new ConcurrencyLimiter(2);
+	let running = 0, peak = 0;
+	const task = () => limiter.run(async () => {
+	    peak = Math.max(peak, ++running);
+	    await sleep(2);
+	    running--;
+	});
+
+	const tasks = [task(), task(), task(), task()];
+	// more callers arrive while slots are being handed over
+	await sleep(3);
+	tasks.push(task(), task());
+	await Promise.all(tasks);
+	assert.equal(peak, 2);
+	assert.equal(limiter.active, 0);
+	assert.equal(limiter.pending, 0);
+    });
+
+    it("hands a freed slot to the caller which has waited", async () => {
+	const limiter = new ConcurrencyLimiter(1);
+	let running = 0, peak = 0;
+	const task = async () => {
+	    peak = Math.max(peak, ++running);
+	    await sleep(1);
+	    running--;
+	};
+
+	let release;
+	const gate = new Promise(resolve => { release = resolve; });
+	const first = limiter.run(() => gate);
+	const waiting = limiter.run(task);
+	// a newcomer woken by the same event that ends the first task
+	// runs before the waiter resumes
+	const late = gate.then(() => limiter.run(task));
+	release();
+	await Promise.all([first, waiting, late]);
+	assert.equal(peak, 1);
+    });
+
+    it("frees the slot when a task throws", async () => {
+	const limiter = new ConcurrencyLimiter(1);
+	await assert.rejects(limiter.run(async () => { throw new Error("boom"); }), /boom/);
+	assert.equal(await limiter.run(async () => "next"), "next");
+	assert.equal(limiter.active, 0);
+    });
+
+    it("caps requests in flight", async () => {
+	let inFlight = 0, peak = 0;
+	const server = http.createServer((req, res) => {
+	    const answer = body => {
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify(body));
+	    };
+	    if (req.url.startsWith("/api/authentication/id-tokens"))
+		return answer({ idToken: "token" });
+	    peak = Math.max(peak, ++inFlight);
+	    setTimeout(() => { inFlight--; answer({ id: "p1" }); }, 2);
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	try {
+	    const swb = new SWB(`http://127.0.0.1:${server.address().port}`, admin.email, admin.password,
+				{ concurrency: 2 });
+	    await Promise.all(["p1", "p2", "p3", "p4", "p5"].map(id => swb.getProject(id)));
+	    assert.equal(peak, 2);
+	} finally {
+	    server.closeAllConnections();
+	    await new Promise(resolve => server.close(resolve));
+	}
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import { SwbValidationError } from "../src/swb.js";
+import { maxPostSize, postFile } from "../src/uploads.js";
+import { start } from "./fixtures.js";
+
+describe("studies and permissions", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("creates a study, making the creator its admin", async () => {
+	const study = await swb.createStudy("s2", "Study 2", "Second", "p1");
+	assert.equal(study.category, "Organization");
+	assert.deepEqual((await swb.getStudyPermissions("s2")).adminUsers, ["u-admin"]);
+	assert.deepEqual((await swb.getStudies()).map(s => s.id), ["s1", "s2"]);
+    });
+
+    it("lists My Studies apart from organisation studies", async () => {
+	await swb.createStudy("mine", "Mine", "", "p1", "My Studies");
+	assert.deepEqual((await swb.getStudies("My Studies")).map(s => s.id), ["mine"]);
+	assert.deepEqual((await swb.getStudies("Organization")).map(s => s.id), ["s1"]);
+    });
+
+    it("rejects bad categories, study types and permission arguments", async () => {
+	const checks = [
+	    [() => swb.getStudies("Everything"), "invalidCategory"],
+	    [() => swb.createStudy("s2", "n", "d", "p1", "Organization", "tabular"), "invalidStudyType"],
+	    [() => swb.addRemoveStudyPermission("s1", "u-bob", "grant"), "invalidAction"],
+	    [() => swb.addRemoveStudyPermission("s1", "u-bob", "add", "owner"), "invalidPermissionLevel"],
+	];
+	for (const [call, code] of checks) {
+	    const pending = call();
+	    assert.ok(pending instanceof Promise);
+	    await assert.rejects(pending, err => err instanceof SwbValidationError && err.code === code);
+	}
+	assert.equal(fake.requests.length, 0);
+    });
+
+    it("grants and revokes permissions one user at a time", async () => {
+	await swb.addRemoveStudyPermission("s1", "u-bob", "add", "admin");
+	assert.deepEqual(fake.permissions.get("s1").adminUsers, ["u-admin", "u-bob"]);
+	await swb.addRemoveStudyPermission("s1", "u-alice", "remove");
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, []);
+    });
+
+    it("sets permissions to a wanted state", async () => {
+	const diff = await swb.setStudyPermissions("s1", { admin: ["u-admin"], readonly: ["u-bob"] },
+						   { diffOnly: true });
+	assert.deepEqual(diff, {
+	    usersToAdd: [{ uid: "u-bob", permissionLevel: "readonly" }],
+	    usersToRemove: [{ uid: "u-alice", permissionLevel: "readonly" }],
+	});
+	await swb.setStudyPermissions("s1", { admin: ["u-admin"], readonly: ["u-bob"] });
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, ["u-bob"]);
+
+	await swb.setStudyPermissions("s1", { readonly: ["u-alice"] }, { additive: true });
+	assert.deepEqual(fake.permissions.get("s1").readonlyUsers, ["u-bob", "u-alice"]);
+    });
+
+    it("refuses to make a user both admin and readonly", async () => {
+	await assert.rejects(swb.setStudyPermissions("s1", { admin: ["u-bob"], readonly: ["u-bob"] }),
+			     { code: "invalidPermissions" });
+    });
+
+    it("passes SWB's refusal to leave a study without admins on", async () => {
+	await assert.rejects(swb.addRemoveStudyPermission("s1", "u-admin", "remove", "admin"),
+			     { name: "SwbApiError", status: 400, code: "badRequest" });
+    });
+
+    it("deletes a study once confirmed", async () => {
+	await assert.rejects(swb.deleteStudy("s1"), { code: "confirmationRequired" });
+	await swb.deleteStudy("s1", { confirm: "s1" });
+	assert.ok(!fake.studies.has("s1"));
+    });
+});
+
+describe("study files", () => {
+    let fake, swb, dir;
+
+    before(async () => {
+	dir = await mkdtemp(join(tmpdir(), "swb-test-"));
+	await writeFile(join(dir, "cohort.csv"), "id,age\n1,42\n");
+    });
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("uploads paths and streams to the form SWB issues", async () => {
+	const progress = [];
+	const results = await swb.uploadStudyFiles("s1", [
+	    join(dir, "cohort.csv"),
+	    { name: "notes.txt", stream: Readable.from([Buffer.from("hello")]), size: 5 },
+	], { onProgress: p => progress.push(p) });
+
+	assert.deepEqual(results, [
+	    { name: "cohort.csv", size: 12, status: "uploaded" },
+	    { name: "notes.txt", size: 5, status: "uploaded" },
+	]);
+	assert.equal(fake.files.get("s1").get("cohort.csv").data.toString(), "id,age\n1,42\n");
+	assert.deepEqual(progress.filter(p => p.name === "notes.txt").at(-1),
+			 { name: "notes.txt", loaded: 5, total: 5 });
+	assert.deepEqual((await swb.getStudyFiles("s1")).map(f => [f.filename, f.size]).sort(),
+			 [["cohort.csv", 12], ["notes.txt", 5]]);
+    });
+
+    it("journals the S3 form POST which is actually made", async () => {
+	await swb.uploadStudyFiles("s1", join(dir, "cohort.csv"));
+	const [entry] = swb.getJournal();
+	assert.equal(entry.operation, "uploadStudyFiles");
+	assert.equal(entry.method, "POST");
+	assert.equal(entry.url, `${fake.url}/__s3/study-data`);
+	assert.deepEqual(entry.body, { filename: "cohort.csv", size: 12 });
+	assert.ok(fake.requests.some(r => r.method === "GET" && r.path.startsWith("/api/studies/s1/upload-requests")));
+	assert.ok(!fake.requests.some(r => r.method === "POST" && r.path.startsWith("/api/studies/s1/upload-requests")));
+    });
+
+    it("reports a failed file without stopping the rest", async () => {
+	const results = await swb.uploadStudyFiles("s1", [join(dir, "missing.csv"), join(dir, "cohort.csv"),
+							  { name: "a,b.csv", path: join(dir, "cohort.csv") }]);
+	assert.deepEqual(results.map(r => r.status), ["failed", "uploaded", "failed"]);
+	assert.equal(results[2].error.code, "invalidFilename");
+    });
+
+    it("refuses streams of unknown length before sending them", async () => {
+	const [result] = await swb.uploadStudyFiles("s1", { name: "notes.txt",
+							   stream: Readable.from([Buffer.from("hello")]) });
+	assert.equal(result.status, "failed");
+	assert.equal(result.error.code, "invalidUpload");
+	assert.ok(!fake.requests.some(r => r.path.startsWith("/__s3/")));
+    });
+
+    it("sends a length, as S3 answers chunked uploads with 411", async () => {
+	const post = { url: `${fake.url}/__s3/study-data`, fields: { key: "studies/s1/notes.txt" } };
+	const chunked = await fetch(post.url, {
+	    method: "POST", headers: { "Content-Type": "multipart/form-data; boundary=x" },
+	    body: Readable.from([Buffer.from("--x--\r\n")]), duplex: "half",
+	});
+	assert.equal(chunked.status, 411);
+
+	await postFile(post, { name: "notes.txt", size: 5, open: () => Readable.from([Buffer.from("hello")]) });
+	assert.equal(fake.files.get("s1").get("notes.txt").data.toString(), "hello");
+    });
+
+    it("refuses files over 5 GB before sending them", async () => {
+	const [result] = await swb.uploadStudyFiles("s1", { name: "huge.bin", size: maxPostSize + 1,
+							   stream: Readable.from([]) });
+	assert.equal(result.status, "failed");
+	assert.equal(result.error.code, "fileTooLarge");
+	assert.ok(!fake.requests.some(r => r.path.startsWith("/__s3/")));
+	assert.deepEqual(swb.getJournal().map(e => e.status), ["failed"]);
+    });
+
+    it("only sends files to study admins", async () => {
+	fake.permissions.get("s1").adminUsers = ["u-alice"];
+	const [result] = await swb.uploadStudyFiles("s1", join(dir, "cohort.csv"));
+	assert.equal(result.status, "failed");
+	assert.equal(result.error.status, 403);
+    });
+});
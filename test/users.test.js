@@ -0,0 +1,90 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { SwbNotFoundError, SwbValidationError, SwbConflictError } from "../src/swb.js";
+import { start } from "./fixtures.js";
+
+describe("users", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("lists and looks up users", async () => {
+	assert.deepEqual((await swb.getUsers()).map(u => u.uid), ["u-admin", "u-alice", "u-bob"]);
+	assert.equal((await swb.getUser("u-alice")).email, "alice@example.com");
+	assert.equal((await swb.getUserByEmailAndIdp("bob@example.com", "Dundee")).uid, "u-bob");
+    });
+
+    it("raises SwbNotFoundError for unknown users", async () => {
+	await assert.rejects(swb.getUser("u-nobody"), SwbNotFoundError);
+	await assert.rejects(swb.getUserByEmailAndIdp("bob@example.com", "internal"), SwbNotFoundError);
+    });
+
+    it("adds federated users", async () => {
+	const user = await swb.addFederatedUser({ id: "Dundee" }, "https://cognito", "Carol@Example.com");
+	assert.equal(user.email, "carol@example.com");
+	assert.equal(fake.users.get(user.uid).identityProviderName, "Dundee");
+	assert.equal((await swb.getUserByEmailAndIdp("carol@example.com", "Dundee")).uid, user.uid);
+    });
+
+    it("refuses unknown roles before sending anything", async () => {
+	await assert.rejects(swb.addFederatedUser({ id: "Dundee" }, "https://cognito", "c@x", "wizard"),
+			     { name: "SwbValidationError", code: "invalidUserRole" });
+	assert.ok(!fake.requests.some(r => r.method === "POST" && r.path === "/api/users"));
+    });
+
+    it("updates user details", async () => {
+	await swb.updateUserDetails("u-bob", "Robert", "B", "inactive", "guest");
+	const bob = fake.users.get("u-bob");
+	assert.equal(bob.firstName, "Robert");
+	assert.equal(bob.status, "inactive");
+	assert.equal(bob.rev, 1);
+    });
+
+    it("adds and removes project members", async () => {
+	await swb.addRemoveProjectUser("p2", "u-alice", "add");
+	assert.deepEqual(fake.users.get("u-alice").projectId, ["p1", "p2"]);
+	await swb.addRemoveProjectUser("p1", "u-alice", "remove");
+	assert.deepEqual(fake.users.get("u-alice").projectId, ["p2"]);
+    });
+
+    it("sends nothing when membership would not change", async () => {
+	await swb.addRemoveProjectUser("p1", "u-alice", "add");
+	assert.equal(fake.users.get("u-alice").rev, 0);
+    });
+
+    it("retries a membership change when the user changed underneath", async () => {
+	await swb.getUsers();
+	// someone else edits alice after the list was cached
+	const alice = fake.users.get("u-alice");
+	fake.users.set("u-alice", { ...alice, firstName: "Alicia", rev: alice.rev + 1 });
+
+	await swb.addRemoveProjectUser("p2", "u-alice", "add");
+	const now = fake.users.get("u-alice");
+	assert.equal(now.firstName, "Alicia");
+	assert.deepEqual(now.projectId, ["p1", "p2"]);
+	assert.equal(fake.requests.filter(r => r.method === "PUT" && r.status === 409).length, 1);
+    });
+
+    it("needs a confirmation to delete a user", async () => {
+	await assert.rejects(swb.deleteUser("u-bob"), { code: "confirmationRequired" });
+	await swb.deleteUser("u-bob", { confirm: "u-bob" });
+	assert.ok(!fake.users.has("u-bob"));
+    });
+
+    it("refuses to delete a user others depend on unless forced", async () => {
+	await assert.rejects(swb.deleteUser("u-alice", { confirm: "u-alice" }), err => {
+	    assert.ok(err instanceof SwbConflictError);
+	    assert.equal(err.code, "hasDependants");
+	    assert.deepEqual(err.body.dependants.map(d => `${d.type} ${d.id}`),
+			     ["project p1", "study s1"]);
+	    return true;
+	});
+	await swb.deleteUser("u-alice", { confirm: "u-alice", force: true });
+	assert.ok(!fake.users.has("u-alice"));
+    });
+
+    it("rejects bad arguments with SwbValidationError", async () => {
+	await assert.rejects(swb.deleteUser("u-bob", { confirm: "u-alice" }), SwbValidationError);
+    });
+});
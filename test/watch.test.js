@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Watcher } from "../src/swb.js";
+import { start } from "./fixtures.js";
+
+describe("Watcher", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start()));
+    afterEach(() => fake.stop());
+
+    it("only records what is there on the first poll", async () => {
+	const watcher = new Watcher(swb);
+	assert.deepEqual(await watcher.poll(), []);
+	assert.deepEqual(Object.keys(watcher.state.resources).sort(),
+			 ["projects", "studies", "studyPermissions", "users"]);
+    });
+
+    it("reports users, projects and permissions which change", async () => {
+	const watcher = new Watcher(swb);
+	await watcher.poll();
+	const heard = [];
+	watcher.on("users.added", c => heard.push(`user ${c.id}`));
+	watcher.on("projects.changed", c => heard.push(`project ${c.id}`));
+
+	await swb.addFederatedUser("carol@example.com", "Dundee", "researcher");
+	await swb.addRemoveStudyPermission("s1", "u-bob", "add", "readonly");
+	const project = await swb.getProject("p1");
+	project.projectAdmins = ["u-bob"];
+	await swb.updateProject(project);
+
+	const changes = await watcher.poll();
+	const carol = changes.find(c => c.resource === "users").id;
+	assert.deepEqual(heard, [`user ${carol}`, "project p1"]);
+
+	const admins = changes.find(c => c.resource === "projects").changes
+	      .find(c => c.field === "projectAdmins");
+	assert.deepEqual([admins.added, admins.removed], [["u-bob"], ["u-admin"]]);
+	const readonly = changes.find(c => c.resource === "studyPermissions").changes[0];
+	assert.deepEqual(readonly.added, ["u-bob"]);
+    });
+
+    it("carries on from a saved state after a restart", async () => {
+	const stateFile = join(await mkdtemp(join(tmpdir(), "swb-test-")), "watch.json");
+	const first = new Watcher(swb, { resources: ["projects"], stateFile });
+	await first.loadState(stateFile);
+	await first.poll();
+
+	fake.projects.delete("p2");
+	const second = new Watcher(swb, { resources: ["projects"], stateFile });
+	assert.equal(await second.loadState(stateFile), true);
+	const changes = await second.poll();
+	assert.deepEqual(changes.map(c => `${c.change} ${c.id}`), ["removed p2"]);
+    });
+
+    it("refuses resources it cannot watch", () => {
+	assert.throws(() => new Watcher(swb, { resources: ["environments"] }), { code: "invalidOption" });
+    });
+});
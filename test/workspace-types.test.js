@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fixtures, start } from "./fixtures.js";
+
+// the imported Linux product has a second version, and an older one
+// which is no longer the latest
+function withCandidates() {
+    const seed = fixtures();
+    seed.workspaceTypes[0].status = "approved";
+    seed.workspaceTypes[0].configurations.push(
+	{ id: "large", name: "Large", params: [{ key: "InstanceType", value: "m5.xlarge" }] });
+    const candidate = (id, version, latest) => ({
+	id, name: "Linux", description: `Linux ${version}`, latest,
+	product: { productId: "prod-1" },
+	provisioningArtifact: { id: `pa-${version}`, name: version },
+	params: [{ ParameterKey: "InstanceType" }],
+    });
+    seed.workspaceTypeCandidates = [
+	candidate("wt-linux", "v1", false),
+	candidate("wt-linux-v2", "v2", true),
+	candidate("wt-linux-v0", "v0", false),
+    ];
+    return seed;
+}
+
+describe("workspace types", () => {
+    let fake, swb;
+
+    beforeEach(async () => ({ fake, swb } = await start({}, withCandidates())));
+    afterEach(() => fake.stop());
+
+    it("lists the latest products not yet imported, or all of them", async () => {
+	assert.deepEqual((await swb.getWorkspaceTypeCandidates()).map(c => c.id), ["wt-linux-v2"]);
+	const all = await swb.getWorkspaceTypeCandidates({ status: "*", version: "*" });
+	assert.deepEqual(all.map(c => c.id), ["wt-linux", "wt-linux-v2", "wt-linux-v0"]);
+    });
+
+    it("imports a product version as a type which is not approved", async () => {
+	const [candidate] = await swb.getWorkspaceTypeCandidates();
+	const type = await swb.importWorkspaceType(candidate, { name: "Linux 2" });
+	assert.equal(type.id, "wt-linux-v2");
+	assert.equal(type.name, "Linux 2");
+	assert.equal(type.desc, "Linux v2");
+	assert.equal(type.status, "not-approved");
+	assert.deepEqual(type.provisioningArtifact, { id: "pa-v2", name: "v2" });
+	assert.deepEqual(type.params, [{ ParameterKey: "InstanceType" }]);
+
+	assert.deepEqual(await swb.getWorkspaceTypeCandidates(), []);
+	assert.deepEqual(await swb.getWorkspaceConfigurations("wt-linux-v2"), []);
+	assert.equal(swb.getJournal()[0].operation, "importWorkspaceType");
+    });
+
+    it("refuses to import a product version twice", async () => {
+	const [candidate] = await swb.getWorkspaceTypeCandidates();
+	await swb.importWorkspaceType(candidate);
+	await assert.rejects(swb.importWorkspaceType(candidate), { status: 400, code: "alreadyExists" });
+    });
+
+    it("approves and revokes a type, writing only when its status changes", async () => {
+	const [candidate] = await swb.getWorkspaceTypeCandidates();
+	await swb.importWorkspaceType(candidate);
+
+	const approved = await swb.approveWorkspaceType("wt-linux-v2");
+	assert.equal(approved.status, "approved");
+	assert.equal(fake.workspaceTypes.get("wt-linux-v2").status, "approved");
+	await swb.approveWorkspaceType("wt-linux-v2");
+	assert.equal(fake.requests.filter(r => r.method === "PUT").length, 1);
+
+	const revoked = await swb.revokeWorkspaceType("wt-linux-v2");
+	assert.equal(revoked.status, "not-approved");
+	assert.equal(revoked.rev, approved.rev + 1);
+	assert.deepEqual(swb.getJournal().map(e => e.operation),
+			 ["importWorkspaceType", "approveWorkspaceType", "revokeWorkspaceType"]);
+    });
+
+    it("approves again after losing a race to another change", async () => {
+	fake.failNext("PUT", "/api/workspace-types/wt-linux",
+		      { status: 409, code: "outdatedUpdateAttempt" });
+	await swb.revokeWorkspaceType("wt-linux");
+	assert.equal(fake.workspaceTypes.get("wt-linux").status, "not-approved");
+	assert.equal(fake.requests.filter(r => r.method === "PUT").length, 2);
+    });
+
+    it("does not send imports or approvals in dry-run mode", async () => {
+	swb.dryrun = true;
+	const [candidate] = await swb.getWorkspaceTypeCandidates();
+	await swb.importWorkspaceType(candidate);
+	await swb.revokeWorkspaceType("wt-linux");
+	assert.ok(!fake.workspaceTypes.has("wt-linux-v2"));
+	assert.equal(fake.workspaceTypes.get("wt-linux").status, "approved");
+	assert.deepEqual(swb.getJournal().map(e => e.status), ["dryrun", "dryrun"]);
+    });
+
+    describe("copying configurations", () => {
+	beforeEach(async () => {
+	    const [candidate] = await swb.getWorkspaceTypeCandidates();
+	    await swb.importWorkspaceType(candidate);
+	});
+
+	it("creates the configurations the new type lacks", async () => {
+	    const written = await swb.copyWorkspaceConfigurations("wt-linux", "wt-linux-v2");
+	    assert.deepEqual(written.map(c => c.id), ["small", "large"]);
+	    const large = await swb.getWorkspaceConfiguration("wt-linux-v2", "large");
+	    assert.deepEqual(large.params, [{ key: "InstanceType", value: "m5.xlarge" }]);
+	    assert.equal(large.createdBy, "u-admin");
+	});
+
+	it("leaves configurations alone which are there already, unless told to overwrite", async () => {
+	    await swb.createWorkspaceConfiguration("wt-linux-v2", { id: "small", name: "Tiny" });
+
+	    const written = await swb.copyWorkspaceConfigurations("wt-linux", "wt-linux-v2");
+	    assert.deepEqual(written.map(c => c.id), ["large"]);
+	    assert.equal((await swb.getWorkspaceConfiguration("wt-linux-v2", "small")).name, "Tiny");
+
+	    const overwritten = await swb.copyWorkspaceConfigurations(
+		"wt-linux", "wt-linux-v2", { overwrite: true });
+	    assert.deepEqual(overwritten.map(c => [c.id, c.name]), [["small", "Small"], ["large", "Large"]]);
+	});
+
+	it("copies only the configurations asked for", async () => {
+	    const written = await swb.copyWorkspaceConfigurations(
+		"wt-linux", "wt-linux-v2", { ids: ["large"] });
+	    assert.deepEqual(written.map(c => c.id), ["large"]);
+	    assert.ok(!fake.configurations.get("wt-linux-v2").has("small"));
+	});
+
+	it("refuses configurations the source does not have, before writing any", async () => {
+	    await assert.rejects(
+		swb.copyWorkspaceConfigurations("wt-linux", "wt-linux-v2", { ids: ["large", "huge"] }),
+		{ code: "invalidWorkspaceConfiguration",
+		  message: "workspace type wt-linux has no configuration huge" });
+	    assert.equal(fake.configurations.get("wt-linux-v2").size, 0);
+	});
+
+	it("copies to a type of the same name in another deployment", async () => {
+	    const { fake: prodFake, swb: prod } = await start();
+	    try {
+		prodFake.configurations.get("wt-linux").clear();
+		const written = await swb.copyWorkspaceConfigurationsTo(prod, "wt-linux");
+		assert.deepEqual(written.map(c => c.id), ["small", "large"]);
+		assert.equal(prodFake.configurations.get("wt-linux").get("large").createdBy, "u-admin");
+
+		prod.dryrun = true;
+		prodFake.configurations.get("wt-linux").delete("small");
+		await swb.copyWorkspaceConfigurationsTo(prod, "wt-linux", { toType: "wt-linux" });
+		assert.ok(!prodFake.configurations.get("wt-linux").has("small"));
+		assert.deepEqual(prod.getJournal().map(e => e.status), ["sent", "sent", "dryrun"]);
+	    } finally {
+		prodFake.stop();
+	    }
+	});
+    });
+});
@@ -0,0 +1,347 @@
+// Generated by scripts/generate-types.js from src/schemas.js; do not edit.
+
+/** A SWB identity provider */
+export interface IdProvider {
+    /** ID of provider */
+    id: string;
+    /** Descriptive name */
+    title?: string;
+    /** Federated or internal */
+    type: string;
+    /** How credentials are handled, e.g. redirect */
+    credentialHandlingType?: string;
+    /** URI for logging in */
+    signInUri?: string;
+    /** URI for logging out */
+    signOutUri?: string;
+}
+
+/** A SWB user */
+export interface User {
+    /** The user's ID (u-***********) */
+    uid: string;
+    /** Should always match email */
+    username: string;
+    /** Should always match email */
+    usernameInIdp?: string;
+    /** Email address of user */
+    email?: string;
+    /** User's firstname */
+    firstName?: string;
+    /** The user's surname */
+    lastName?: string;
+    /** Why the user asked for access */
+    applyReason?: string;
+    /** Name of the SWB identity provider */
+    identityProviderName: string;
+    /** URL of Cognito pool provider */
+    authenticationProviderId?: string;
+    /** Combination of identityProviderName and authenticationProviderId */
+    ns?: string;
+    /** Should always be "N/A" */
+    encryptedCreds?: string;
+    /** Whether the user has administrative rights in SWB */
+    isAdmin: boolean;
+    /** True for non-internal users */
+    isExternalUser?: boolean;
+    /** Project IDs the user can access */
+    projectId: string[];
+    /** Whether the account is enabled */
+    status: "active"|"inactive"|"pending";
+    /** User's role within SWB */
+    userRole: string;
+    /** Revision number of the user record */
+    rev: number;
+    /** Date of user creation */
+    createdAt?: string;
+    /** User ID who created the user */
+    createdBy?: string;
+    /** When the user record was last updated */
+    updatedAt?: string;
+}
+
+/** A role which can be given to users */
+export interface UserRole {
+    /** Role ID, as used in a user's userRole */
+    id: string;
+    /** Human-readable description */
+    description?: string;
+    /** Kind of user the role is for */
+    userType: "INTERNAL"|"EXTERNAL";
+    /** Revision number of the role record */
+    rev?: number;
+}
+
+/** An AWS account hosting SWB resources */
+export interface AwsAccount {
+    /** The SWB ID of the account record */
+    id: string;
+    /** The 12 digit AWS account number */
+    accountId?: string;
+    /** Human-readable name */
+    name?: string;
+    /** Human-readable description */
+    description?: string;
+    /** Role SWB assumes in the account */
+    roleArn?: string;
+    /** External ID used when assuming the role */
+    externalId?: string;
+    /** VPC which environments are launched into */
+    vpcId?: string;
+    /** Subnet which environments are launched into */
+    subnetId?: string;
+    /** KMS key for the account's resources */
+    encryptionKeyArn?: string;
+    /** Revision number of the account record */
+    rev?: number;
+}
+
+/** An index, grouping projects under an AWS account */
+export interface Index {
+    /** The index ID */
+    id: string;
+    /** SWB ID of the hosting AWS account */
+    awsAccountId: string;
+    /** Human-readable description */
+    description?: string;
+    /** Revision number of the index record */
+    rev: number;
+    /** Date of index creation */
+    createdAt?: string;
+    /** User ID who created the index */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+    /** User ID of who last updated the index */
+    updatedBy?: string;
+}
+
+/** A SWB project */
+export interface Project {
+    /** The project ID */
+    id: string;
+    /** Human-readable description of the project */
+    description?: string;
+    /** The index which the project belongs to */
+    indexId: string;
+    /** List of project admin user IDs */
+    projectAdmins?: string[];
+    /** AWS security group for project */
+    projectSecurityGroup?: string;
+    /** Revision number of the project record */
+    rev: number;
+    /** Date of project creation */
+    createdAt?: string;
+    /** User ID who created the project */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+    /** User ID of who last updated the project */
+    updatedBy?: string;
+}
+
+/** An AWS resource holding study data */
+export interface StudyResource {
+    /** Amazon Resource Name of the resource */
+    arn: string;
+}
+
+/** A SWB study */
+export interface Study {
+    /** The study ID */
+    id: string;
+    /** The study's name */
+    name?: string;
+    /** Human-readable description of the study */
+    description?: string;
+    /** Which list the study appears in */
+    category?: "Organization"|"My Studies"|"Open Data";
+    /** Projects which the study belongs to (should only contain 1) */
+    projectId?: string[];
+    /** Whether it's structured or unstructured */
+    studyType?: "structured"|"unstructured";
+    /** Whether uploading from SWB is enabled */
+    uploadLocationEnabled?: boolean;
+    /** Whether the current user has readonly or admin access */
+    access?: string;
+    /** Resources holding the study's data */
+    resources?: StudyResource[];
+    /** Revision number of the study record */
+    rev: number;
+    /** Date of study creation */
+    createdAt?: string;
+    /** User ID who created the study */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+    /** User ID of who last updated the study */
+    updatedBy?: string;
+}
+
+/** Who may use a study */
+export interface StudyPermission {
+    /** The study ID */
+    id?: string;
+    /** List of admin user IDs */
+    adminUsers: string[];
+    /** List of read-only user IDs */
+    readonlyUsers: string[];
+    /** Date the permissions were created */
+    createdAt?: string;
+    /** User ID who created the study permissions */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+}
+
+/** A file uploaded to a study */
+export interface StudyFile {
+    /** Name of the file */
+    filename: string;
+    /** Size in bytes */
+    size: number;
+    /** When the file was last written */
+    lastModified?: string;
+    /** Key of the file in the study bucket */
+    fullPath?: string;
+}
+
+/** A Service Catalog product */
+export interface ServiceCatalogProduct {
+    /** The product ID (prod-...) */
+    productId: string;
+    /** Product name */
+    name?: string;
+}
+
+/** A version (provisioning artifact) of a Service Catalog product */
+export interface ServiceCatalogProductVersion {
+    /** The version ID (pa-...) */
+    id: string;
+    /** Version name */
+    name?: string;
+    /** Version description */
+    description?: string;
+    /** Whether the version can be launched */
+    active?: boolean;
+}
+
+/** A workspace type, made from a Service Catalog product version */
+export interface WorkspaceType {
+    /** The unique ID of the workspace type (product ID + version ID) */
+    id: string;
+    /** Name shown to users */
+    name: string;
+    /** Workspace type description */
+    desc?: string;
+    /** Whether configurations of it can be used */
+    status: "approved"|"not-approved";
+    /** The CloudFormation parameters the configurations can set */
+    params?: Array<Record<string, unknown>>;
+    /** The Service Catalog product */
+    product: ServiceCatalogProduct;
+    /** The product version */
+    provisioningArtifact: ServiceCatalogProductVersion;
+    /** Revision number of the workspace type record */
+    rev: number;
+    /** Date the workspace type was imported */
+    createdAt?: string;
+    /** The user who imported the workspace type */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+    /** User ID of who last updated the workspace type */
+    updatedBy?: string;
+}
+
+/** A Service Catalog product version which can be imported */
+export interface WorkspaceTypeCandidate {
+    /** Product ID and version ID, used as the workspace type ID */
+    id: string;
+    /** Product name */
+    name: string;
+    /** Product description */
+    description?: string;
+    /** The Service Catalog product */
+    product: ServiceCatalogProduct;
+    /** The product version */
+    provisioningArtifact: ServiceCatalogProductVersion;
+    /** The product's CloudFormation parameters */
+    params?: Array<Record<string, unknown>>;
+}
+
+/** A preset of parameters for a workspace type */
+export interface WorkspaceConfiguration {
+    /** Configuration ID, unique within the workspace type */
+    id: string;
+    /** Name shown when creating a workspace */
+    name: string;
+    /** Description */
+    desc?: string;
+    /** Cost guidance shown to users */
+    estimatedCostInfo?: string;
+    /** User roles which may use the configuration */
+    allowRoleIds?: string[];
+    /** User roles which may not */
+    denyRoleIds?: string[];
+    /** Values for the workspace type's params, as { key, value } */
+    params?: Array<Record<string, unknown>>;
+    /** Tags for the provisioned product, as { key, value } */
+    tags?: Array<Record<string, unknown>>;
+    /** Revision number of the configuration record */
+    rev: number;
+}
+
+/** A research environment (workspace) */
+export interface Environment {
+    /** The environment's ID */
+    id: string;
+    /** Name given when the environment was created */
+    name: string;
+    /** Human-readable description */
+    description?: string;
+    /** The workspace type the environment was built from */
+    envTypeId: string;
+    /** The workspace configuration used */
+    envTypeConfigId: string;
+    /** The project the environment belongs to */
+    projectId: string;
+    /** Studies mounted in the environment */
+    studyIds?: string[];
+    /** e.g. PENDING, COMPLETED, STOPPED, TERMINATED or FAILED; missing while first provisioned */
+    status?: string;
+    /** Service Catalog outputs of the environment */
+    outputs?: Array<Record<string, unknown>>;
+    /** Revision number of the environment record */
+    rev: number;
+    /** Date of environment creation */
+    createdAt?: string;
+    /** User ID of the owner */
+    createdBy?: string;
+    /** The date of last record update */
+    updatedAt?: string;
+}
+
+/** A way of connecting to an environment */
+export interface EnvironmentConnection {
+    /** Connection ID, used with createConnectionUrl */
+    id: string;
+    /** Connection name */
+    name?: string;
+    /** e.g. "SageMaker", "RStudioV2" or "ssh" */
+    type?: string;
+    /** e.g. "https" or "rdp" */
+    scheme?: string;
+    /** Address of the connection, where known */
+    url?: string;
+    /** Additional information */
+    info?: string;
+}
+
+/** A day's spend, as returned by the costs endpoint */
+export interface CostEntry {
+    /** The day, as YYYY-MM-DD */
+    startDate: string;
+    /** Spend per AWS service, each { amount, unit } */
+    cost: Record<string, unknown>;
+}
@@ -0,0 +1,95 @@
+// Type definitions for the resource objects in src/resources.js
+
+import { Readable } from "node:stream";
+import * as records from "./entities.js";
+import type SWB from "./swb.js";
+import type {
+    Index, IdProvider, StudyPermission, StudyFile,
+} from "./entities.js";
+import type { StudyPermissionChanges, UploadInput, UploadResult } from "./swb.js";
+
+declare class Resource<T> {
+    protected constructor(swb: SWB, record: T);
+    readonly swb: SWB;
+    /** The record as last read from or written to SWB */
+    readonly record: T;
+    assign(record: T): this;
+}
+
+export interface Project extends records.Project {}
+export class Project extends Resource<records.Project> {
+    refresh(): Promise<this>;
+    save(): Promise<this>;
+    addUser(user: User | string): Promise<User>;
+    removeUser(user: User | string): Promise<User>;
+    users(): Promise<User[]>;
+    admins(): Promise<User[]>;
+    studies(): Promise<Study[]>;
+    createStudy(id: string, details?: Omit<StudyDetails, "project">): Promise<Study>;
+}
+
+export interface User extends records.User {}
+export class User extends Resource<records.User> {
+    refresh(): Promise<this>;
+    save(): Promise<this>;
+    addToProject(project: Project | string): Promise<this>;
+    removeFromProject(project: Project | string): Promise<this>;
+    projects(): Promise<Project[]>;
+}
+
+export interface Study extends records.Study {}
+export class Study extends Resource<records.Study> {
+    refresh(): Promise<this>;
+    project(): Promise<Project>;
+    permissions(): Promise<StudyPermission>;
+    admins(): Promise<User[]>;
+    grant(user: User | string, permissionLevel?: "readonly" | "admin"): Promise<StudyPermission>;
+    revoke(user: User | string, permissionLevel?: "readonly" | "admin"): Promise<StudyPermission>;
+    setPermissions(wanted: { admin?: Array<User | string>; readonly?: Array<User | string> },
+                   options?: { additive?: boolean; diffOnly?: false }): Promise<StudyPermission>;
+    setPermissions(wanted: { admin?: Array<User | string>; readonly?: Array<User | string> },
+                   options: { additive?: boolean; diffOnly: true }): Promise<StudyPermissionChanges>;
+    files(): Promise<StudyFile[]>;
+    upload(files: UploadInput | UploadInput[],
+           options?: {
+               onProgress?: (progress: { name: string; loaded: number; total?: number }) => void;
+               concurrency?: number;
+           }): Promise<UploadResult[]>;
+}
+
+export interface StudyDetails {
+    project: Project | string;
+    name?: string;
+    description?: string;
+    category?: "Organization" | "My Studies";
+    studyType?: "unstructured" | "structured";
+    uploadLocationEnabled?: boolean;
+}
+
+export class Projects {
+    constructor(swb: SWB);
+    wrap(record: records.Project): Project;
+    get(projectId: string): Promise<Project>;
+    list(): Promise<Project[]>;
+    create(projectId: string,
+           details: { description?: string; index?: Index | string; admins?: Array<User | string> }):
+        Promise<Project>;
+}
+
+export class Users {
+    constructor(swb: SWB);
+    wrap(record: records.User, existing?: User | string): User;
+    get(uid: string): Promise<User>;
+    byEmail(email: string, idpName: string): Promise<User>;
+    list(): Promise<User[]>;
+    create(email: string, details: { idp?: IdProvider | string; adpUrl: string; role?: string }):
+        Promise<User>;
+}
+
+export class Studies {
+    constructor(swb: SWB);
+    wrap(record: records.Study): Study;
+    get(studyId: string): Promise<Study>;
+    list(category?: "Organization" | "My Studies"): Promise<Study[]>;
+    create(id: string, details: StudyDetails): Promise<Study>;
+}
@@ -0,0 +1,560 @@
+// Type definitions for aws-swb. The record types come from
+// src/schemas.js via scripts/generate-types.js; see entities.d.ts.
+
+import { EventEmitter } from "node:events";
+import { Readable } from "node:stream";
+import {
+    IdProvider, User, UserRole, AwsAccount, Index, Project, Study,
+    StudyPermission, StudyFile, WorkspaceType, WorkspaceTypeCandidate,
+    WorkspaceConfiguration, Environment, EnvironmentConnection, CostEntry,
+} from "./entities.js";
+import { Projects, Users, Studies } from "./resources.js";
+
+export * from "./entities.js";
+export type {
+    Projects, Users, Studies, StudyDetails,
+    Project as ProjectObject, User as UserObject, Study as StudyObject,
+} from "./resources.js";
+
+export interface RetryPolicy {
+    /** How many times a request may be retried (0 disables) */
+    retries?: number;
+    /** Delay before the first retry, in ms */
+    minDelay?: number;
+    /** Upper bound for any single delay, in ms */
+    maxDelay?: number;
+    /** Growth of the delay between attempts */
+    factor?: number;
+    /** Randomise delays so parallel clients spread out */
+    jitter?: boolean;
+}
+
+export interface AuthContext {
+    api: string;
+    request(method: string, path: string, options?: { body?: unknown }): Promise<any>;
+    getIdp(name: string): Promise<IdProvider | undefined>;
+}
+
+/** Anything which can supply id tokens */
+export interface Authenticator {
+    getToken(context: AuthContext): Promise<string | undefined>;
+}
+
+export class InternalAuthenticator implements Authenticator {
+    constructor(username: string, password: string);
+    readonly username: string;
+    getToken(context: AuthContext): Promise<string>;
+}
+
+export class TokenAuthenticator implements Authenticator {
+    constructor(token: string);
+    getToken(): Promise<string>;
+}
+
+export class EnvTokenAuthenticator implements Authenticator {
+    constructor(name?: string, env?: Record<string, string | undefined>);
+    name: string;
+    getToken(): Promise<string>;
+}
+
+export class FileTokenAuthenticator implements Authenticator {
+    constructor(file: string);
+    file: string;
+    getToken(): Promise<string>;
+}
+
+export class CallbackAuthenticator implements Authenticator {
+    constructor(callback: (context: AuthContext) => Promise<string>);
+    getToken(context: AuthContext): Promise<string>;
+}
+
+export class FederatedAuthenticator implements Authenticator {
+    constructor(idp: string, prompt: (signInUri: string, idp: IdProvider) => Promise<string>);
+    idp: string;
+    getToken(context: AuthContext): Promise<string | undefined>;
+}
+
+export interface SwbOptions {
+    authenticator?: Authenticator;
+    tokenProvider?: () => Promise<string>;
+    refreshMargin?: number;
+    retry?: RetryPolicy | boolean;
+    timeout?: number;
+    concurrency?: number;
+    userCacheTtl?: number;
+    conflictAttempts?: number;
+    journalSize?: number;
+    strict?: boolean;
+}
+
+export interface ProfileOptions extends SwbOptions {
+    /** Config file to read instead of SWB_CONFIG_FILE or ~/.swb/config */
+    file?: string;
+    /** Environment variables (default process.env) */
+    env?: Record<string, string | undefined>;
+    /** Shows the sign-in URI for profiles with auth = federated */
+    prompt?: (signInUri: string, idp: IdProvider) => Promise<string>;
+}
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    timeout?: number;
+    retry?: RetryPolicy | boolean;
+}
+
+export interface FieldChange {
+    field: string;
+    before: unknown;
+    after: unknown;
+}
+
+export interface JournalEntry {
+    seq: number;
+    time: string;
+    operation: string;
+    target: { type: string; id: string; [key: string]: unknown };
+    method: string;
+    url: string | null;
+    body: unknown;
+    dryrun: boolean;
+    status: "dryrun" | "sent" | "failed";
+    before?: any;
+    after?: any;
+    diff: FieldChange[];
+    error?: { name: string; message: string; code?: string; status?: number };
+}
+
+export interface ChangeJournal {
+    maxEntries: number;
+    entries(): JournalEntry[];
+    clear(): void;
+    toJSON(): JournalEntry[];
+}
+
+export interface UserDirectory {
+    ttl: number;
+    readonly fresh: boolean;
+    load(): Promise<boolean>;
+    refresh(): Promise<void>;
+    invalidate(): void;
+    update(user: User): void;
+    remove(uid: string): void;
+    all(): Promise<User[]>;
+    getByUid(uid: string): Promise<User | undefined>;
+    getByEmailAndIdp(email: string, idpName: string): Promise<User | undefined>;
+    getByProject(projectId: string): Promise<User[]>;
+}
+
+export interface ManifestStudy {
+    id: string;
+    name?: string;
+    description?: string;
+    category?: "Organization" | "My Studies";
+    studyType?: "structured" | "unstructured";
+    uploadLocationEnabled?: boolean;
+    admins?: string[];
+    readonly?: string[];
+}
+
+export interface ManifestProject {
+    id: string;
+    description?: string;
+    index?: string;
+    admins?: string[];
+    members?: string[];
+    studies?: ManifestStudy[];
+}
+
+export interface Manifest {
+    idp?: string;
+    projects: ManifestProject[];
+}
+
+export interface PlanStep {
+    action: "createProject" | "updateProject" | "addProjectUser" | "removeProjectUser"
+        | "createStudy" | "grantStudyPermission" | "revokeStudyPermission"
+        | "createIndex" | "createWorkspaceConfiguration" | "updateWorkspaceConfiguration";
+    summary: string;
+    params: Record<string, any>;
+}
+
+export interface Plan {
+    steps: PlanStep[];
+    warnings: string[];
+}
+
+export interface ApplyResult {
+    step: PlanStep;
+    status: "done" | "failed" | "skipped";
+    result?: unknown;
+    error?: Error;
+}
+
+export interface StudyPermissionChanges {
+    usersToAdd: Array<{ uid: string; permissionLevel: "admin" | "readonly" }>;
+    usersToRemove: Array<{ uid: string; permissionLevel: "admin" | "readonly" }>;
+}
+
+export type UploadInput = string | Readable
+    | { name?: string; path: string }
+    | { name?: string; stream: Readable; size?: number };
+
+export interface UploadResult {
+    name: string;
+    size?: number;
+    status: "uploaded" | "failed" | "dryrun";
+    error?: Error;
+}
+
+export interface ReportUser {
+    uid: string;
+    email?: string;
+    name?: string;
+    userRole?: string;
+    status?: string;
+    external: boolean;
+    flags: Array<"inactive" | "external" | "unknownUser">;
+}
+
+export interface ReportStudy {
+    id: string;
+    name?: string;
+    admins: ReportUser[];
+    readonly: ReportUser[];
+}
+
+export interface ReportProject {
+    id: string;
+    description?: string;
+    indexId?: string;
+    members: ReportUser[];
+    admins: ReportUser[];
+    studies: ReportStudy[];
+    flags: Array<"noAdmins" | "unknownProject">;
+}
+
+export interface ReportFinding {
+    flag: "inactive" | "external" | "unknownUser" | "noAdmins" | "unknownProject";
+    message: string;
+    uid?: string;
+    projectId?: string;
+    access?: Array<{ projectId: string; studyId?: string;
+                     access: "projectAdmin" | "member" | "studyAdmin" | "studyReadonly" }>;
+}
+
+export interface AccessReport {
+    generatedAt: string;
+    api: string;
+    projects: ReportProject[];
+    findings: ReportFinding[];
+}
+
+export interface OffboardStep {
+    action: "deactivateUser" | "stopEnvironment" | "terminateEnvironment" | "revokeStudyPermission"
+        | "removeProjectAdmin" | "removeProjectUser"
+        | "findEnvironments" | "findStudyPermissions" | "findProjectAdmins";
+    summary: string;
+    params: Record<string, any>;
+    status: "done" | "failed";
+    result?: unknown;
+    error?: Error;
+}
+
+export interface OffboardReport {
+    uid: string;
+    dryrun: boolean;
+    steps: OffboardStep[];
+    failed: number;
+}
+
+export interface Dependant {
+    type: "project" | "study" | "user" | "environment" | "file";
+    id: string;
+    reason: string;
+}
+
+export interface DeleteOptions {
+    confirm?: string;
+    force?: boolean;
+}
+
+export interface CostRange {
+    /** First day, as YYYY-MM-DD or a Date (default 30 days before to) */
+    from?: string | Date;
+    /** Last day (default today) */
+    to?: string | Date;
+}
+
+export interface CostTotal {
+    id: string;
+    total: number;
+}
+
+export interface CostReport {
+    from: string;
+    to: string;
+    unit: string;
+    total: number;
+    environments: Array<{
+        envId: string;
+        name: string;
+        projectId: string;
+        owner?: string;
+        workspaceTypeId: string;
+        status: string;
+        total: number;
+    }>;
+    byProject: CostTotal[];
+    byUser: CostTotal[];
+    byWorkspaceType: CostTotal[];
+}
+
+export interface Budgets {
+    /** Fraction of a limit which raises a warning (default 0.8) */
+    warnAt?: number;
+    total?: number;
+    /** Limits by ID; "*" applies to anything not listed */
+    projects?: Record<string, number>;
+    users?: Record<string, number>;
+    workspaceTypes?: Record<string, number>;
+}
+
+export interface BudgetBreach {
+    scope: "total" | "project" | "user" | "workspaceType";
+    id?: string;
+    level: "exceeded" | "warning";
+    spent: number;
+    limit: number;
+    ratio: number;
+    unit: string;
+    message: string;
+}
+
+export interface Snapshot {
+    format: "aws-swb-snapshot";
+    version: number;
+    api: string;
+    takenAt: string;
+    users: User[];
+    indexes: Index[];
+    projects: Project[];
+    studies: Array<Omit<Study, "access"> & { permissions: { adminUsers: string[]; readonlyUsers: string[] } }>;
+    workspaceTypes: Array<WorkspaceType & { configurations: WorkspaceConfiguration[] }>;
+}
+
+export interface SnapshotChange {
+    section: "users" | "indexes" | "projects" | "studies" | "workspaceTypes" | "workspaceConfigurations";
+    id: string;
+    change: "added" | "removed" | "changed";
+    fields: FieldChange[];
+}
+
+export interface SnapshotDiff {
+    from: { api: string; takenAt: string };
+    to: { api: string; takenAt: string };
+    changes: SnapshotChange[];
+}
+
+export type WatchResource = "users" | "projects" | "studies" | "studyPermissions";
+
+export interface WatchFieldChange extends FieldChange {
+    added?: unknown[];
+    removed?: unknown[];
+}
+
+export interface WatchChange {
+    resource: WatchResource;
+    id: string;
+    change: "added" | "removed" | "changed";
+    before?: Record<string, unknown>;
+    after?: Record<string, unknown>;
+    changes: WatchFieldChange[];
+    time: string;
+}
+
+export interface WatchState {
+    version: 1;
+    savedAt: string;
+    resources: Partial<Record<WatchResource, Record<string, Record<string, unknown>>>>;
+}
+
+export interface WatchOptions {
+    resources?: WatchResource[];
+    intervalMs?: number;
+    stateFile?: string;
+    state?: WatchState;
+}
+
+export class Watcher extends EventEmitter {
+    constructor(swb: SWB, options?: WatchOptions);
+    readonly resources: WatchResource[];
+    intervalMs: number;
+    stateFile?: string;
+    readonly running: boolean;
+    state: WatchState | undefined;
+    start(): Promise<Watcher>;
+    stop(): Promise<void>;
+    poll(): Promise<WatchChange[]>;
+    loadState(file: string): Promise<boolean>;
+    saveState(file: string): Promise<void>;
+}
+
+export default class SWB extends EventEmitter {
+    constructor(api: string, options?: SwbOptions);
+    constructor(api: string, username?: string, password?: string, options?: SwbOptions);
+
+    api: string;
+    username?: string;
+    user?: User;
+    dryrun: boolean;
+    strict: boolean;
+    readonly authenticated: boolean;
+    userDirectory: UserDirectory;
+    journal: ChangeJournal;
+    projects: Projects;
+    users: Users;
+    studies: Studies;
+    profile?: string;
+    defaults: { idp?: string; index?: string };
+
+    static fromProfile(name?: string, options?: ProfileOptions): Promise<SWB>;
+
+    getJournal(): JournalEntry[];
+    exportJournal(): string;
+    withRequestOptions<T>(options: RequestOptions, fn: () => Promise<T>): Promise<T>;
+
+    login(): Promise<User>;
+    getLoggedInUser(): Promise<User>;
+    getIdp(name: string): Promise<IdProvider | undefined>;
+
+    addFederatedUser(idp: IdProvider, adpUrl: string, email: string, role?: string): Promise<User>;
+    getUsers(): Promise<User[]>;
+    getUser(uid: string): Promise<User>;
+    getUserRoles(): Promise<UserRole[]>;
+    getUserByEmailAndIdp(email: string, idpName: string): Promise<User>;
+    updateUserDetails(uid: string, firstname: string, surname: string,
+                      status: string, userRole: string): Promise<User>;
+    addRemoveProjectUser(projectId: string, uid: string, action?: "add" | "remove"): Promise<User>;
+    offboardUser(uid: string, options?: { environments?: "stop" | "terminate"; projectAdmins?: boolean }):
+        Promise<OffboardReport>;
+    deleteUser(uid: string, options?: DeleteOptions): Promise<unknown>;
+
+    getAwsAccounts(): Promise<AwsAccount[]>;
+    getAwsAccount(awsAccountId: string): Promise<AwsAccount>;
+    getIndexes(): Promise<Index[]>;
+    getIndex(indexId: string): Promise<Index>;
+    createIndex(indexId: string, awsAccount: { id: string }, description?: string): Promise<Index>;
+    updateIndex(index: Index): Promise<Index>;
+
+    getProject(projectId: string): Promise<Project>;
+    updateProject(proj: Project): Promise<Project>;
+    getProjects(): Promise<Project[]>;
+    createProject(projectId: string, description: string, index: { id: string },
+                  admins: Array<{ uid: string }>): Promise<Project>;
+    deleteProject(projectId: string, options?: DeleteOptions): Promise<unknown>;
+
+    getStudies(category?: "Organization" | "My Studies"): Promise<Study[]>;
+    getStudy(studyId: string): Promise<Study>;
+    createStudy(id: string, name: string, description: string, projectId: string,
+                category?: "Organization" | "My Studies", studyType?: "unstructured" | "structured",
+                uploadLocationEnabled?: boolean): Promise<Study>;
+    deleteStudy(studyId: string, options?: DeleteOptions): Promise<unknown>;
+    copyStudiesTo(target: SWB, options?: { ids?: string[]; project?: string }): Promise<Study[]>;
+    getStudyPermissions(studyId: string): Promise<StudyPermission>;
+    addRemoveStudyPermission(studyId: string, userId: string, action: "add" | "remove",
+                             permissionLevel?: "readonly" | "admin"): Promise<StudyPermission>;
+    setStudyPermissions(studyId: string, wanted: { admin?: string[]; readonly?: string[] },
+                        options?: { additive?: boolean; diffOnly?: false }): Promise<StudyPermission>;
+    setStudyPermissions(studyId: string, wanted: { admin?: string[]; readonly?: string[] },
+                        options: { additive?: boolean; diffOnly: true }): Promise<StudyPermissionChanges>;
+    getStudyFiles(studyId: string): Promise<StudyFile[]>;
+    uploadStudyFiles(studyId: string, files: UploadInput | UploadInput[],
+                     options?: {
+                         onProgress?: (progress: { name: string; loaded: number; total?: number }) => void;
+                         concurrency?: number;
+                     }): Promise<UploadResult[]>;
+
+    getWorkspaceTypes(): Promise<WorkspaceType[]>;
+    getWorkspaceType(workspaceTypeId: string): Promise<WorkspaceType>;
+    getWorkspaceTypeCandidates(options?: { status?: "not-imported" | "*"; version?: "latest" | "*" }):
+        Promise<WorkspaceTypeCandidate[]>;
+    importWorkspaceType(candidate: WorkspaceTypeCandidate,
+                        details?: { name?: string; desc?: string }): Promise<WorkspaceType>;
+    approveWorkspaceType(workspaceTypeId: string): Promise<WorkspaceType>;
+    revokeWorkspaceType(workspaceTypeId: string): Promise<WorkspaceType>;
+    updateWorkspaceType(workspaceTypeId: string,
+                        changes: { name?: string; desc?: string; params?: Array<Record<string, unknown>> }):
+        Promise<WorkspaceType>;
+    getWorkspaceConfigurations(workspaceType: string): Promise<WorkspaceConfiguration[]>;
+    getWorkspaceConfiguration(workspaceType: string, configId: string): Promise<WorkspaceConfiguration>;
+    createWorkspaceConfiguration(workspaceType: string,
+                                 config: Omit<WorkspaceConfiguration, "rev"> & { rev?: number }):
+        Promise<WorkspaceConfiguration>;
+    updateWorkspaceConfiguration(workspaceType: string, workspaceConfObj: WorkspaceConfiguration):
+        Promise<WorkspaceConfiguration>;
+    deleteWorkspaceConfiguration(workspaceType: string, configId: string,
+                                 options?: DeleteOptions): Promise<unknown>;
+    copyWorkspaceConfigurations(fromType: string, toType: string,
+                                options?: { ids?: string[]; overwrite?: boolean }):
+        Promise<WorkspaceConfiguration[]>;
+    copyWorkspaceConfigurationsTo(target: SWB, fromType: string,
+                                  options?: { toType?: string; ids?: string[]; overwrite?: boolean }):
+        Promise<WorkspaceConfiguration[]>;
+
+    getEnvironments(filter?: { projectId?: string; owner?: string }): Promise<Environment[]>;
+    getEnvironment(envId: string): Promise<Environment>;
+    createEnvironment(name: string, workspaceType: string, configurationId: string, projectId: string,
+                      studyIds?: string[], description?: string, cidr?: string): Promise<Environment>;
+    startEnvironment(envId: string): Promise<Environment>;
+    stopEnvironment(envId: string): Promise<Environment>;
+    terminateEnvironment(envId: string): Promise<Environment>;
+    waitForEnvironment(envId: string, status?: string,
+                       options?: { intervalMs?: number; timeoutMs?: number;
+                                   onPoll?: (env: Environment) => void }): Promise<Environment>;
+    getEnvironmentConnections(envId: string): Promise<EnvironmentConnection[]>;
+    createConnectionUrl(envId: string, connectionId: string): Promise<{ url: string }>;
+    getEnvironmentCosts(envId: string, range?: CostRange): Promise<CostEntry[]>;
+    getProjectCosts(projectId: string, range?: CostRange): Promise<CostEntry[]>;
+    getIndexCosts(indexId: string, range?: CostRange): Promise<CostEntry[]>;
+    generateCostReport(range?: CostRange): Promise<CostReport>;
+    checkBudgets(budgets: Budgets | string, range?: CostRange | CostReport): Promise<BudgetBreach[]>;
+
+    planManifest(manifest: Manifest | string): Promise<Plan>;
+    applyPlan(plan: Plan, options?: { continueOnError?: boolean }): Promise<ApplyResult[]>;
+    generateAccessReport(): Promise<AccessReport>;
+    exportSnapshot(file?: string): Promise<Snapshot>;
+    restoreSnapshot(snapshot: Snapshot | string, options?: { continueOnError?: boolean }):
+        Promise<{ plan: Plan; results: ApplyResult[] }>;
+    watch(options?: WatchOptions): Promise<Watcher>;
+}
+
+export function loadManifest(file: string): Promise<Manifest>;
+export function formatPlan(plan: Plan): string;
+export function loadBudgets(file: string): Promise<Budgets>;
+export function loadSnapshot(file: string): Promise<Snapshot>;
+export function diffSnapshots(a: Snapshot, b: Snapshot): SnapshotDiff;
+export function formatSnapshotDiff(diff: SnapshotDiff): string;
+export function formatAccessReport(report: AccessReport, format?: "json" | "csv" | "markdown"): string;
+
+export interface SwbErrorDetails {
+    status?: number;
+    code?: string;
+    method?: string;
+    path?: string;
+    body?: unknown;
+    cause?: Error;
+}
+
+export class SwbApiError extends Error {
+    constructor(message: string, details?: SwbErrorDetails);
+    status?: number;
+    code?: string;
+    method?: string;
+    path?: string;
+    body?: unknown;
+}
+export class SwbAuthError extends SwbApiError {}
+export class SwbNotFoundError extends SwbApiError {}
+export class SwbConflictError extends SwbApiError {}
+export class SwbTimeoutError extends SwbApiError {}
+export class SwbValidationError extends SwbApiError {}
@@ -0,0 +1,85 @@
+// Type definitions for aws-swb/testing
+
+import {
+    IdProvider, User, UserRole, AwsAccount, Index, Project, Study,
+    StudyPermission, StudyFile, WorkspaceType, WorkspaceTypeCandidate,
+    WorkspaceConfiguration, Environment, EnvironmentConnection, CostEntry,
+} from "./entities.js";
+
+type Fixture<T> = Partial<T> & Record<string, unknown>;
+
+export interface Fixtures {
+    users?: Array<Fixture<User> & { uid: string; password?: string }>;
+    authProviders?: IdProvider[];
+    userRoles?: UserRole[];
+    awsAccounts?: Array<Fixture<AwsAccount> & { id: string }>;
+    indexes?: Array<Fixture<Index> & { id: string }>;
+    projects?: Array<Fixture<Project> & { id: string }>;
+    studies?: Array<Fixture<Study> & {
+        id: string;
+        permissions?: Partial<StudyPermission>;
+        files?: Array<Fixture<StudyFile>>;
+    }>;
+    workspaceTypes?: Array<Fixture<WorkspaceType> & {
+        id: string;
+        configurations?: Array<Fixture<WorkspaceConfiguration> & { id: string }>;
+    }>;
+    workspaceTypeCandidates?: Array<WorkspaceTypeCandidate & { latest?: boolean }>;
+    environments?: Array<Fixture<Environment> & {
+        id: string;
+        connections?: EnvironmentConnection[];
+    }>;
+    costs?: Record<string, CostEntry[]>;
+    tokens?: Record<string, string>;
+    tokenLifetime?: number;
+}
+
+export interface FakeRequest {
+    method: string;
+    path: string;
+    body?: unknown;
+    uid?: string;
+    status: number;
+}
+
+export interface InjectedFailure {
+    status?: number;
+    code?: string;
+    message?: string;
+    headers?: Record<string, string>;
+    times?: number;
+}
+
+export class FakeSwbServer {
+    constructor(fixtures?: Fixtures);
+
+    readonly url: string;
+    requests: FakeRequest[];
+    tokenLifetime: number;
+
+    users: Map<string, User>;
+    authProviders: IdProvider[];
+    userRoles: UserRole[];
+    awsAccounts: Map<string, AwsAccount>;
+    indexes: Map<string, Index>;
+    projects: Map<string, Project>;
+    studies: Map<string, Study>;
+    permissions: Map<string, StudyPermission>;
+    files: Map<string, Map<string, StudyFile & { data?: Buffer }>>;
+    workspaceTypes: Map<string, WorkspaceType>;
+    configurations: Map<string, Map<string, WorkspaceConfiguration>>;
+    workspaceTypeCandidates: WorkspaceTypeCandidate[];
+    environments: Map<string, Environment>;
+    connections: Map<string, EnvironmentConnection[]>;
+    costs: Map<string, CostEntry[]>;
+
+    start(port?: number): Promise<this>;
+    stop(): Promise<void>;
+    seed(fixtures?: Fixtures): void;
+    issueToken(uid: string, lifetime?: number): string;
+    failNext(method: string, path: string | RegExp, failure?: InjectedFailure): void;
+}
+
+export function startFakeSwb(fixtures?: Fixtures): Promise<FakeSwbServer>;
+
+export default FakeSwbServer;